@@ -5,22 +5,45 @@ import "./StringUtils.sol";
 import "../resolvers/Resolver.sol";
 import "../registry/ReverseRegistrar.sol";
 import "./IBulkRegistrarController.sol";
+import "./ICommitmentStatus.sol";
+import "./IAllowlistRegistration.sol";
+import "./ITokenPriceConverter.sol";
 
 import "@openzeppelin/contracts/access/Ownable.sol";
 import "@openzeppelin/contracts/utils/introspection/IERC165.sol";
 import "@openzeppelin/contracts/utils/Address.sol";
+import "@openzeppelin/contracts/utils/cryptography/MerkleProof.sol";
+import "@openzeppelin/contracts/utils/cryptography/draft-EIP712.sol";
+import "@openzeppelin/contracts/utils/cryptography/SignatureChecker.sol";
+import "@openzeppelin/contracts/token/ERC20/utils/SafeERC20.sol";
+import "@openzeppelin/contracts/token/ERC20/extensions/draft-IERC20Permit.sol";
 import "../wrapper/INameWrapper.sol";
 
 /**
  * @dev A registrar controller for registering and renewing names at fixed cost.
  */
-contract BulkRegistrarController is Ownable, IBulkRegistrarController {
+contract BulkRegistrarController is
+    Ownable,
+    EIP712,
+    IBulkRegistrarController,
+    ICommitmentStatus,
+    IAllowlistRegistration
+{
     using StringUtils for *;
     using Address for address;
+    using SafeERC20 for IERC20;
 
     uint256 public constant MIN_REGISTRATION_DURATION = 28 days;
     bytes32 private constant ETH_NODE =
         0x93cdeb708b7545dc668eb9280176169d1c33cfd8ed6f04690a0bcc88a93fc4ae;
+    bytes32 private constant VOUCHER_TYPEHASH =
+        keccak256(
+            "Voucher(bytes32 id,address registrant,uint16 discountBps,uint256 deadline)"
+        );
+    bytes32 private constant REGISTRATION_INTENT_TYPEHASH =
+        keccak256(
+            "RegistrationIntent(bytes32 commitment,bytes32 optionsHash,uint256 nonce,uint256 deadline)"
+        );
 
     BaseRegistrarImplementation immutable base;
     IPriceOracle public immutable prices;
@@ -30,6 +53,27 @@ contract BulkRegistrarController is Ownable, IBulkRegistrarController {
     INameWrapper public immutable nameWrapper;
 
     mapping(bytes32 => uint256) public commitments;
+    // Tokens accepted as payment, and the converter used to price them.
+    mapping(IERC20 => ITokenPriceConverter) public paymentTokens;
+    // Refunds that could not be sent, claimable with withdrawRefund.
+    mapping(address => uint256) public pendingRefunds;
+    uint256 internal pendingRefundsTotal;
+    // Merkle root of the (name, owner) pairs that may register while the
+    // allowlist window, from allowlistStart until allowlistEnd, is open.
+    bytes32 public allowlistRoot;
+    uint64 public allowlistStart;
+    uint64 public allowlistEnd;
+    // Signs discount vouchers; vouchers are rejected while it is unset.
+    address public voucherSigner;
+    // Share of what a batch costs, in basis points, credited to its referrer.
+    uint16 public referralShareBps;
+    mapping(bytes32 => bool) public usedVouchers;
+    // Referral rewards by referrer and payment token, the zero address being
+    // ether, claimable with withdrawReferralRewards.
+    mapping(address => mapping(IERC20 => uint256)) public referralRewards;
+    mapping(IERC20 => uint256) internal referralRewardsTotal;
+    // Registration intents signed by each account so far.
+    mapping(address => uint256) public nonces;
 
     event NameRegistered(
         string name,
@@ -45,6 +89,37 @@ contract BulkRegistrarController is Ownable, IBulkRegistrarController {
         uint256 cost,
         uint256 expires
     );
+    event NameRegistrationSkipped(string name, string reason);
+    event RegistrationRefund(bytes32 indexed node, uint256 amount);
+    event BatchRegistered(
+        bytes32 indexed commitment,
+        uint256 count,
+        uint256 totalCost,
+        uint256 refund
+    );
+    event PaymentTokenChanged(
+        IERC20 indexed token,
+        ITokenPriceConverter converter
+    );
+    event AllowlistChanged(bytes32 root, uint64 start, uint64 end);
+    event ReferralTermsChanged(address voucherSigner, uint16 referralShareBps);
+    event VoucherRedeemed(
+        bytes32 indexed id,
+        address indexed registrant,
+        uint16 discountBps
+    );
+    event ReferralRewarded(
+        address indexed referrer,
+        address indexed registrant,
+        IERC20 token,
+        uint256 amount
+    );
+    event RefundDeferred(address indexed recipient, uint256 amount);
+    event TokenPaymentReceived(
+        IERC20 indexed token,
+        address indexed payer,
+        uint256 amount
+    );
 
     constructor(
         BaseRegistrarImplementation _base,
@@ -53,7 +128,7 @@ contract BulkRegistrarController is Ownable, IBulkRegistrarController {
         uint256 _maxCommitmentAge,
         ReverseRegistrar _reverseRegistrar,
         INameWrapper _nameWrapper
-    ) {
+    ) EIP712("BulkRegistrarController", "1") {
         require(_maxCommitmentAge > _minCommitmentAge);
 
         base = _base;
@@ -74,6 +149,15 @@ contract BulkRegistrarController is Ownable, IBulkRegistrarController {
         price = prices.price(name, base.nameExpires(uint256(label)), duration);
     }
 
+    function rentPriceInToken(
+        string memory name,
+        uint256 duration,
+        IERC20 token
+    ) public view override returns (uint256) {
+        IPriceOracle.Price memory price = rentPrice(name, duration);
+        return _weiToToken(token, price.base + price.premium);
+    }
+
     function valid(string memory name) public pure returns (bool) {
         return name.strlen() >= 3;
     }
@@ -83,6 +167,22 @@ contract BulkRegistrarController is Ownable, IBulkRegistrarController {
         return valid(name) && base.available(uint256(label));
     }
 
+    /**
+     * @dev Returns true if `proof` shows that `owner` may register `name`
+     *      while the allowlist window is open. Leaves are
+     *      `keccak256(keccak256(abi.encode(name, owner)))`.
+     */
+    function allowlisted(
+        string calldata name,
+        address owner,
+        bytes32[] memory proof
+    ) public view override returns (bool) {
+        bytes32 leaf = keccak256(
+            bytes.concat(keccak256(abi.encode(name, owner)))
+        );
+        return MerkleProof.verify(proof, allowlistRoot, leaf);
+    }
+
     function makeCommitment(Registration memory registration) public pure override returns (bytes32) {
         bytes32 label = keccak256(bytes(registration.name));
         if (registration.data.length > 0) {
@@ -120,39 +220,335 @@ contract BulkRegistrarController is Ownable, IBulkRegistrarController {
         commitment = keccak256(abi.encode(registrationHashes));
     }
 
+    /**
+     * @dev Returns whether each commitment is pending, can be revealed now or
+     *      has expired, along with the window in which it can be revealed.
+     */
+    function commitmentStatus(bytes32[] calldata hashes)
+        external
+        view
+        override
+        returns (CommitmentStatus[] memory statuses)
+    {
+        statuses = new CommitmentStatus[](hashes.length);
+        for (uint256 i = 0; i < hashes.length; i++) {
+            uint256 committedAt = commitments[hashes[i]];
+            if (committedAt == 0) {
+                continue;
+            }
+            CommitmentStatus memory status = statuses[i];
+            status.revealableAt = committedAt + minCommitmentAge;
+            status.expiresAt = committedAt + maxCommitmentAge - 1;
+            if (block.timestamp < status.revealableAt) {
+                status.state = CommitmentState.Pending;
+            } else if (block.timestamp <= status.expiresAt) {
+                status.state = CommitmentState.Revealable;
+            } else {
+                status.state = CommitmentState.Expired;
+            }
+        }
+    }
+
     function commit(bytes32 commitment) public override {
         require(commitments[commitment] + maxCommitmentAge < block.timestamp);
         commitments[commitment] = block.timestamp;
     }
 
-    function register(Registration[] calldata registrations) external payable override {
-        uint256 remainingBudget = msg.value;
-        bytes32[] memory registrationHashes = new bytes32[](registrations.length);
-        for (uint i = 0; i < registrations.length; i += 1) {
-            if (bytes(registrations[i].name).length == 0) {
-                registrationHashes[i] = bytes32(registrations[i].duration);
-            } else {
-                bytes32 hash = makeCommitment(registrations[i]);
-                registrationHashes[i] = hash;
-                uint256 price = _registerName(registrations[i]);
+    function register(Registration[] calldata registrations)
+        external
+        payable
+        override
+        returns (RegistrationResult[] memory, uint256)
+    {
+        return _register(
+            registrations,
+            RegistrationOptions(
+                false,
+                IERC20(address(0)),
+                address(0),
+                0,
+                new uint256[](0),
+                address(0),
+                Voucher(0, 0, 0, "")
+            ),
+            new bytes32[][](0),
+            msg.sender
+        );
+    }
+
+    /**
+     * @dev Registers a batch with the given options. With `skipFailures` set,
+     *      entries that are unavailable or cannot be paid for from the
+     *      remaining value are skipped and refunded instead of reverting the
+     *      whole batch; the batch commitment is consumed either way. With
+     *      `paymentToken` set, no ether may be sent and the total cost is
+     *      instead pulled from the caller in that token after registration.
+     *      Surplus ether is refunded to `refundRecipient`, or the caller if
+     *      it is unset.
+     *      `maxTotalCost` and `maxPrices` (one per registration) cap what the
+     *      batch and each entry may cost in wei, even when paying in a token;
+     *      entries over a cap fail like any other. Zero means no cap.
+     *      A `voucher` signed by `voucherSigner` for the caller takes its
+     *      discount off the base price of every name, and `referrer` is
+     *      credited `referralShareBps` of what the batch costs, in the
+     *      currency it was paid in.
+     */
+    function registerWithOptions(
+        Registration[] calldata registrations,
+        RegistrationOptions calldata options
+    )
+        external
+        payable
+        override
+        returns (RegistrationResult[] memory, uint256)
+    {
+        return
+            _register(registrations, options, new bytes32[][](0), msg.sender);
+    }
 
-                require(price <= remainingBudget, "Not enough ETH");
-                unchecked {
-                    remainingBudget -= price;
-                }
+    /**
+     * @dev Registers a batch on behalf of `registrant`, who signed an EIP-712
+     *      intent for the batch's commitment and `options`, so that a relayer
+     *      can pay for it. The registrant takes the caller's place: reverse
+     *      records are set for them, vouchers must be theirs and token
+     *      payments are pulled from them. Ether is sent, and refunded, by the
+     *      caller. Contract wallets sign with EIP-1271.
+     *      While the allowlist window is open, `proofs` holds one proof per
+     *      registration as for `registerWithProofs`; otherwise it may be
+     *      empty. Proofs are checked against the allowlist, so they are not
+     *      part of the signed intent.
+     */
+    function registerWithSig(
+        Registration[] calldata registrations,
+        RegistrationOptions calldata options,
+        address registrant,
+        uint256 deadline,
+        bytes calldata signature,
+        bytes32[][] calldata proofs
+    )
+        external
+        payable
+        override
+        returns (RegistrationResult[] memory, uint256)
+    {
+        require(
+            deadline >= block.timestamp,
+            "BulkRegistrarController: Signature has expired"
+        );
+        bytes32 digest = _hashTypedDataV4(
+            keccak256(
+                abi.encode(
+                    REGISTRATION_INTENT_TYPEHASH,
+                    makeBulkCommitment(registrations),
+                    keccak256(abi.encode(options)),
+                    nonces[registrant]++,
+                    deadline
+                )
+            )
+        );
+        require(
+            SignatureChecker.isValidSignatureNow(registrant, digest, signature),
+            "BulkRegistrarController: Invalid signature"
+        );
+        require(
+            proofs.length == 0 || proofs.length == registrations.length,
+            "BulkRegistrarController: Registrations and proofs length mismatch"
+        );
+        return _register(registrations, options, proofs, registrant);
+    }
+
+    /**
+     * @dev Registers a batch while the allowlist window is open, with a
+     *      proof for each registration that its (name, owner) pair is on the
+     *      allowlist. Entries without a valid proof fail like any other, so
+     *      they can be skipped with `skipFailures`. Outside the window the
+     *      proofs are ignored.
+     */
+    function registerWithProofs(
+        Registration[] calldata registrations,
+        RegistrationOptions calldata options,
+        bytes32[][] calldata proofs
+    )
+        external
+        payable
+        override
+        returns (RegistrationResult[] memory, uint256)
+    {
+        require(
+            proofs.length == registrations.length,
+            "BulkRegistrarController: Registrations and proofs length mismatch"
+        );
+        return _register(registrations, options, proofs, msg.sender);
+    }
+
+    /**
+     * @dev Registers a batch paid for in `options.paymentToken`, approving
+     *      the controller with an EIP-2612 permit in the same transaction.
+     *      A permit that fails, for instance because someone copied it from
+     *      the mempool and submitted it first, is ignored as long as the
+     *      allowance it would have granted is in place.
+     */
+    function registerWithPermit(
+        Registration[] calldata registrations,
+        RegistrationOptions calldata options,
+        PaymentPermit calldata permit
+    )
+        external
+        override
+        returns (RegistrationResult[] memory, uint256)
+    {
+        try
+            IERC20Permit(address(options.paymentToken)).permit(
+                msg.sender,
+                address(this),
+                permit.value,
+                permit.deadline,
+                permit.v,
+                permit.r,
+                permit.s
+            )
+        {} catch {
+            require(
+                options.paymentToken.allowance(msg.sender, address(this)) >=
+                    permit.value,
+                "BulkRegistrarController: Permit failed"
+            );
+        }
+        return
+            _register(registrations, options, new bytes32[][](0), msg.sender);
+    }
+
+    function renewAll(string[] calldata names, uint256 duration)
+        external
+        payable
+        override
+    {
+        uint256 remainingBudget = msg.value;
+        for (uint256 i = 0; i < names.length; i++) {
+            uint256 cost = _renewName(names[i], duration, remainingBudget);
+            unchecked {
+                remainingBudget -= cost;
             }
         }
-        bytes32 commitment = keccak256(abi.encode(registrationHashes));
 
-        _consumeCommitment(commitment);
+        if (remainingBudget > 0) {
+            _refund(msg.sender, remainingBudget);
+        }
+    }
+
+    function renewAllWithDurations(
+        string[] calldata names,
+        uint256[] calldata durations
+    ) external payable override {
+        require(
+            names.length == durations.length,
+            "BulkRegistrarController: Names and durations length mismatch"
+        );
+        uint256 remainingBudget = msg.value;
+        for (uint256 i = 0; i < names.length; i++) {
+            uint256 cost = _renewName(names[i], durations[i], remainingBudget);
+            unchecked {
+                remainingBudget -= cost;
+            }
+        }
 
         if (remainingBudget > 0) {
-            payable(msg.sender).transfer(remainingBudget);
+            _refund(msg.sender, remainingBudget);
+        }
+    }
+
+    /**
+     * @dev Sends the caller any refund that could not be delivered when they
+     *      registered or renewed.
+     */
+    function withdrawRefund() public override {
+        uint256 amount = pendingRefunds[msg.sender];
+        require(amount > 0, "BulkRegistrarController: No refund pending");
+        pendingRefunds[msg.sender] = 0;
+        pendingRefundsTotal -= amount;
+        (bool success, ) = msg.sender.call{value: amount}("");
+        require(success, "BulkRegistrarController: Refund failed");
+    }
+
+    /**
+     * @dev Sends the caller their referral rewards in `token`, or in ether if
+     *      `token` is the zero address.
+     */
+    function withdrawReferralRewards(IERC20 token) public override {
+        uint256 amount = referralRewards[msg.sender][token];
+        require(amount > 0, "BulkRegistrarController: No referral rewards");
+        referralRewards[msg.sender][token] = 0;
+        referralRewardsTotal[token] -= amount;
+        if (address(token) == address(0)) {
+            (bool success, ) = msg.sender.call{value: amount}("");
+            require(success, "BulkRegistrarController: Withdrawal failed");
+        } else {
+            token.safeTransfer(msg.sender, amount);
         }
     }
 
     function withdraw() public {
-        payable(owner()).transfer(address(this).balance);
+        payable(owner()).transfer(
+            address(this).balance -
+                pendingRefundsTotal -
+                referralRewardsTotal[IERC20(address(0))]
+        );
+    }
+
+    function withdrawToken(IERC20 token) public {
+        token.safeTransfer(
+            owner(),
+            token.balanceOf(address(this)) - referralRewardsTotal[token]
+        );
+    }
+
+    /**
+     * @dev Accepts `token` as payment, priced by `converter`. Setting the
+     *      converter to the zero address removes the token.
+     */
+    function setPaymentToken(IERC20 token, ITokenPriceConverter converter)
+        public
+        onlyOwner
+    {
+        paymentTokens[token] = converter;
+        emit PaymentTokenChanged(token, converter);
+    }
+
+    /**
+     * @dev Restricts registration to the (name, owner) pairs under `root`
+     *      from `start` until `end`. Setting `end` to zero, or to a time
+     *      already passed, opens registration to everyone.
+     */
+    function setAllowlist(
+        bytes32 root,
+        uint64 start,
+        uint64 end
+    ) public onlyOwner {
+        require(
+            start <= end,
+            "BulkRegistrarController: Allowlist ends before it starts"
+        );
+        allowlistRoot = root;
+        allowlistStart = start;
+        allowlistEnd = end;
+        emit AllowlistChanged(root, start, end);
+    }
+
+    /**
+     * @dev Sets the account that signs discount vouchers, and the share of
+     *      each referred batch's cost credited to its referrer.
+     */
+    function setReferralTerms(address signer, uint16 shareBps)
+        public
+        onlyOwner
+    {
+        require(
+            shareBps <= 10000,
+            "BulkRegistrarController: Referral share exceeds 100%"
+        );
+        voucherSigner = signer;
+        referralShareBps = shareBps;
+        emit ReferralTermsChanged(signer, shareBps);
     }
 
     function supportsInterface(bytes4 interfaceID)
@@ -162,22 +558,368 @@ contract BulkRegistrarController is Ownable, IBulkRegistrarController {
     {
         return
             interfaceID == type(IERC165).interfaceId ||
-            interfaceID == type(IBulkRegistrarController).interfaceId;
+            interfaceID == type(IBulkRegistrarController).interfaceId ||
+            interfaceID == type(ICommitmentStatus).interfaceId ||
+            interfaceID == type(IAllowlistRegistration).interfaceId;
     }
 
     /* Internal functions */
 
-    function _registerName(Registration calldata registration) private returns (uint256 totalPrice){
-        IPriceOracle.Price memory price = rentPrice(registration.name, registration.duration);
+    function _register(
+        Registration[] calldata registrations,
+        RegistrationOptions memory options,
+        bytes32[][] memory proofs,
+        address registrant
+    ) internal returns (RegistrationResult[] memory results, uint256 refund) {
+        // What the remaining entries may still spend: the ether sent, and
+        // `maxTotalCost`. Token payments are only collected once the total is
+        // known, so only the latter limits them.
+        uint256 budget = msg.value;
+        if (address(options.paymentToken) != address(0)) {
+            require(
+                msg.value == 0,
+                "BulkRegistrarController: Ether sent with token payment"
+            );
+            budget = type(uint256).max;
+        }
         require(
-            msg.value >= (price.base + price.premium),
-            "BulkRegistrarController: Not enough ether provided"
+            options.maxPrices.length == 0 ||
+                options.maxPrices.length == registrations.length,
+            "BulkRegistrarController: Registrations and max prices length mismatch"
+        );
+        uint256 allowance = options.maxTotalCost == 0
+            ? type(uint256).max
+            : options.maxTotalCost;
+        uint256 discountBps = _redeemVoucher(options.voucher, registrant);
+        bytes32[] memory registrationHashes = new bytes32[](registrations.length);
+        results = new RegistrationResult[](registrations.length);
+        for (uint i = 0; i < registrations.length; i += 1) {
+            if (bytes(registrations[i].name).length == 0) {
+                registrationHashes[i] = bytes32(registrations[i].duration);
+                continue;
+            }
+
+            registrationHashes[i] = makeCommitment(registrations[i]);
+
+            if (
+                _allowlistOpen() &&
+                (proofs.length == 0 ||
+                    !allowlisted(
+                        registrations[i].name,
+                        registrations[i].owner,
+                        proofs[i]
+                    ))
+            ) {
+                _fail(
+                    registrations[i].name,
+                    "Not on allowlist",
+                    options.skipFailures
+                );
+                continue;
+            }
+
+            if (
+                registrations[i].reverseRecord == ReverseRecord.Owner &&
+                !_authorisedForAddr(registrations[i].owner, registrant)
+            ) {
+                _fail(
+                    registrations[i].name,
+                    "Not authorised to set the owner's reverse record",
+                    options.skipFailures
+                );
+                continue;
+            }
+
+            (
+                IPriceOracle.Price memory price,
+                string memory failure
+            ) = _checkRegistration(
+                    registrations[i],
+                    budget,
+                    options.maxPrices.length == 0 ? 0 : options.maxPrices[i],
+                    allowance,
+                    discountBps
+                );
+            if (bytes(failure).length > 0) {
+                _fail(registrations[i].name, failure, options.skipFailures);
+                continue;
+            }
+
+            results[i] = _registerName(registrations[i], price, registrant);
+            results[i].refund = _entryRefund(options, i, results[i]);
+            budget -= price.base + price.premium;
+            allowance -= price.base + price.premium;
+        }
+        bytes32 commitment = keccak256(abi.encode(registrationHashes));
+
+        _consumeCommitment(commitment);
+        uint256 count = _countRegistered(results);
+        _settleVoucher(options.voucher, registrant, count > 0);
+
+        uint256 totalCost = (
+            options.maxTotalCost == 0
+                ? type(uint256).max
+                : options.maxTotalCost
+        ) - allowance;
+        refund = _settle(options, registrant, totalCost);
+        emit BatchRegistered(commitment, count, totalCost, refund);
+    }
+
+    /**
+     * @dev Credits the referrer, then collects `totalCost` in ether or the
+     *      payment token and refunds any surplus ether. The referrer is
+     *      credited first so that the payment token or refund recipient
+     *      cannot withdraw the reward before it is accounted for. Returns the
+     *      ether refunded.
+     */
+    function _settle(
+        RegistrationOptions memory options,
+        address registrant,
+        uint256 totalCost
+    ) internal returns (uint256 refund) {
+        bool payInToken = address(options.paymentToken) != address(0);
+        uint256 paid = payInToken
+            ? _weiToToken(options.paymentToken, totalCost)
+            : totalCost;
+        _rewardReferrer(
+            options.referrer,
+            registrant,
+            options.paymentToken,
+            paid
         );
+        if (payInToken) {
+            _collectTokenPayment(options.paymentToken, registrant, paid);
+        } else if (msg.value > totalCost) {
+            refund = msg.value - totalCost;
+            _refund(
+                options.refundRecipient == address(0)
+                    ? msg.sender
+                    : options.refundRecipient,
+                refund
+            );
+        }
+    }
+
+    /**
+     * @dev Returns what registered entry `i` was not charged of its
+     *      `maxPrices` limit, and reports it against the entry's node. Entries
+     *      without a limit, or paid for in a token, have no ether reserved for
+     *      them.
+     */
+    function _entryRefund(
+        RegistrationOptions memory options,
+        uint256 i,
+        RegistrationResult memory result
+    ) internal returns (uint256 refund) {
+        if (
+            address(options.paymentToken) != address(0) ||
+            options.maxPrices.length == 0 ||
+            options.maxPrices[i] == 0
+        ) {
+            return 0;
+        }
+        refund = options.maxPrices[i] - result.baseCost - result.premium;
+        if (refund > 0) {
+            emit RegistrationRefund(result.node, refund);
+        }
+    }
+
+    function _countRegistered(RegistrationResult[] memory results)
+        internal
+        pure
+        returns (uint256 count)
+    {
+        for (uint256 i = 0; i < results.length; i++) {
+            if (results[i].node != bytes32(0)) {
+                count += 1;
+            }
+        }
+    }
+
+    function _allowlistOpen() internal view returns (bool) {
+        return
+            block.timestamp >= allowlistStart && block.timestamp < allowlistEnd;
+    }
+
+    function _fail(
+        string calldata name,
+        string memory failure,
+        bool skipFailures
+    ) internal {
+        if (!skipFailures) {
+            revert(string.concat("BulkRegistrarController: ", failure));
+        }
+        emit NameRegistrationSkipped(name, failure);
+    }
 
-        require(available(registration.name), "BulkRegistrarController: Name is unavailable");
+    /**
+     * @dev Sends `amount` to `recipient` with all remaining gas, so contract
+     *      wallets can receive it. If that fails the refund is kept for the
+     *      recipient to claim with withdrawRefund instead of reverting.
+     */
+    function _refund(address recipient, uint256 amount) internal {
+        (bool success, ) = recipient.call{value: amount}("");
+        if (!success) {
+            pendingRefunds[recipient] += amount;
+            pendingRefundsTotal += amount;
+            emit RefundDeferred(recipient, amount);
+        }
+    }
+
+    function _collectTokenPayment(
+        IERC20 token,
+        address payer,
+        uint256 amount
+    ) internal {
+        if (amount == 0) {
+            return;
+        }
+        token.safeTransferFrom(payer, address(this), amount);
+        emit TokenPaymentReceived(token, payer, amount);
+    }
 
+    /**
+     * @dev Checks and reserves a voucher signed for `registrant`, returning
+     *      its discount. A voucher without a signature gives no discount.
+     *      The voucher is reserved before any name is registered so that it
+     *      cannot be used again from within the batch; `_settleVoucher` then
+     *      uses it up or releases it.
+     */
+    function _redeemVoucher(Voucher memory voucher, address registrant)
+        internal
+        returns (uint256)
+    {
+        if (voucher.signature.length == 0) {
+            return 0;
+        }
+        require(
+            voucher.deadline >= block.timestamp,
+            "BulkRegistrarController: Voucher has expired"
+        );
+        require(
+            !usedVouchers[voucher.id],
+            "BulkRegistrarController: Voucher already used"
+        );
+        bytes32 digest = _hashTypedDataV4(
+            keccak256(
+                abi.encode(
+                    VOUCHER_TYPEHASH,
+                    voucher.id,
+                    registrant,
+                    voucher.discountBps,
+                    voucher.deadline
+                )
+            )
+        );
+        address signer = ECDSA.recover(digest, voucher.signature);
+        require(
+            signer != address(0) && signer == voucherSigner,
+            "BulkRegistrarController: Invalid voucher"
+        );
+        require(
+            voucher.discountBps <= 10000,
+            "BulkRegistrarController: Discount exceeds 100%"
+        );
+        usedVouchers[voucher.id] = true;
+        return voucher.discountBps;
+    }
+
+    /**
+     * @dev Uses up a reserved voucher if the batch registered any name, and
+     *      otherwise releases it to be used again.
+     */
+    function _settleVoucher(
+        Voucher memory voucher,
+        address registrant,
+        bool redeemed
+    ) internal {
+        if (voucher.signature.length == 0) {
+            return;
+        }
+        if (redeemed) {
+            emit VoucherRedeemed(voucher.id, registrant, voucher.discountBps);
+        } else {
+            usedVouchers[voucher.id] = false;
+        }
+    }
+
+    /**
+     * @dev Credits `referrer` their share of `amount` paid in `token`.
+     *      Registrants cannot refer themselves.
+     */
+    function _rewardReferrer(
+        address referrer,
+        address registrant,
+        IERC20 token,
+        uint256 amount
+    ) internal {
+        if (referrer == address(0) || referrer == registrant) {
+            return;
+        }
+        uint256 reward = (amount * referralShareBps) / 10000;
+        if (reward == 0) {
+            return;
+        }
+        referralRewards[referrer][token] += reward;
+        referralRewardsTotal[token] += reward;
+        emit ReferralRewarded(referrer, registrant, token, reward);
+    }
+
+    function _weiToToken(IERC20 token, uint256 amount)
+        internal
+        view
+        returns (uint256)
+    {
+        ITokenPriceConverter converter = paymentTokens[token];
+        require(
+            address(converter) != address(0),
+            "BulkRegistrarController: Payment token not accepted"
+        );
+        return converter.weiToToken(token, amount);
+    }
+
+    /**
+     * @dev Returns the price of a registration and, if it cannot currently go
+     *      ahead, the reason why. Only failures a caller cannot rule out at
+     *      commit time are reported; invalid durations always revert.
+     */
+    function _checkRegistration(
+        Registration calldata registration,
+        uint256 budget,
+        uint256 maxPrice,
+        uint256 maxCost,
+        uint256 discountBps
+    )
+        internal
+        view
+        returns (IPriceOracle.Price memory price, string memory failure)
+    {
         require(registration.duration >= MIN_REGISTRATION_DURATION);
 
+        if (!available(registration.name)) {
+            return (price, "Name is unavailable");
+        }
+
+        price = rentPrice(registration.name, registration.duration);
+        price.base -= (price.base * discountBps) / 10000;
+        uint256 cost = price.base + price.premium;
+        if (maxPrice > 0 && cost > maxPrice) {
+            return (price, "Price exceeds maximum");
+        }
+        if (cost > maxCost) {
+            return (price, "Total cost exceeds maximum");
+        }
+        if (cost > budget) {
+            return (price, "Not enough ether provided");
+        }
+    }
+
+    function _registerName(
+        Registration calldata registration,
+        IPriceOracle.Price memory price,
+        address registrant
+    ) private returns (RegistrationResult memory result) {
+        bytes32 label = keccak256(bytes(registration.name));
         uint256 expires = nameWrapper.registerAndWrapETH2LD(
             registration.name,
             registration.owner,
@@ -187,22 +929,58 @@ contract BulkRegistrarController is Ownable, IBulkRegistrarController {
             registration.wrapperExpiry
         );
 
-        _setRecords(registration.resolver, keccak256(bytes(registration.name)), registration.data);
+        _setRecords(registration.resolver, label, registration.data);
 
-        if (registration.reverseRecord) {
-            _setReverseRecord(registration.name, registration.resolver, msg.sender);
+        if (registration.reverseRecord == ReverseRecord.Caller) {
+            _setReverseRecord(registration.name, registration.resolver, registrant);
+        } else if (registration.reverseRecord == ReverseRecord.Owner) {
+            _setReverseRecord(
+                registration.name,
+                registration.resolver,
+                registration.owner
+            );
         }
 
         emit NameRegistered(
             registration.name,
-            keccak256(bytes(registration.name)),
+            label,
             registration.owner,
             price.base,
             price.premium,
             expires
         );
+        return
+            RegistrationResult(
+                keccak256(abi.encodePacked(ETH_NODE, label)),
+                expires,
+                price.base,
+                price.premium,
+                0
+            );
+    }
 
-        totalPrice = price.base + price.premium;
+    function _renewName(
+        string calldata name,
+        uint256 duration,
+        uint256 budget
+    ) private returns (uint256 cost) {
+        bytes32 label = keccak256(bytes(name));
+        IPriceOracle.Price memory price = rentPrice(name, duration);
+        require(
+            price.base <= budget,
+            "BulkRegistrarController: Not enough Ether provided for renewal"
+        );
+
+        // Extend the wrapper expiry as far as the new registrar expiry allows
+        uint256 expires = nameWrapper.renew(
+            uint256(label),
+            duration,
+            type(uint64).max
+        );
+
+        emit NameRenewed(name, label, price.base, expires);
+
+        cost = price.base;
     }
 
     function _consumeCommitment(bytes32 commitment) internal {
@@ -215,7 +993,7 @@ contract BulkRegistrarController is Ownable, IBulkRegistrarController {
         // If the commitment is too old, or the name is registered, stop
         require(
             commitments[commitment] + maxCommitmentAge > block.timestamp,
-            "BulkRegistrarController: Commitment expired"
+            "BulkRegistrarController: Commitment has expired"
         );
 
         delete (commitments[commitment]);
@@ -242,14 +1020,39 @@ contract BulkRegistrarController is Ownable, IBulkRegistrarController {
         }
     }
 
+    /**
+     * @dev Returns true if `registrant` may set the reverse record of `addr`,
+     *      under the rules ReverseRegistrar applies to its callers: it is
+     *      `addr`, an ENS operator for `addr`, or the owner of contract `addr`.
+     *      The controller itself may set any reverse record, so it checks on
+     *      the registrant's behalf.
+     */
+    function _authorisedForAddr(address addr, address registrant)
+        internal
+        view
+        returns (bool)
+    {
+        if (addr == registrant || base.ens().isApprovedForAll(addr, registrant)) {
+            return true;
+        }
+        if (!addr.isContract()) {
+            return false;
+        }
+        try Ownable(addr).owner() returns (address owner) {
+            return owner == registrant;
+        } catch {
+            return false;
+        }
+    }
+
     function _setReverseRecord(
         string memory name,
         address resolver,
-        address owner
+        address addr
     ) internal {
         reverseRegistrar.setNameForAddr(
-            msg.sender,
-            owner,
+            addr,
+            addr,
             resolver,
             string.concat(name, ".eth")
         );
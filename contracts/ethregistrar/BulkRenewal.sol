@@ -6,15 +6,21 @@ import "./ETHRegistrarController.sol";
 import "./IETHRegistrarController.sol";
 import "../resolvers/Resolver.sol";
 import "./IBulkRenewal.sol";
+import "./IBulkRenewalV2.sol";
 import "./IPriceOracle.sol";
+import "./IBaseRegistrar.sol";
 
 import "@openzeppelin/contracts/utils/introspection/IERC165.sol";
 
-contract BulkRenewal is IBulkRenewal {
+contract BulkRenewal is IBulkRenewal, IBulkRenewalV2 {
     bytes32 private constant ETH_NAMEHASH =
         0x93cdeb708b7545dc668eb9280176169d1c33cfd8ed6f04690a0bcc88a93fc4ae;
 
     ENS public immutable ens;
+    // Refunds that could not be sent, claimable with withdrawRefund.
+    mapping(address => uint256) public pendingRefunds;
+
+    event RefundDeferred(address indexed recipient, uint256 amount);
 
     constructor(ENS _ens) {
         ens = _ens;
@@ -47,24 +53,127 @@ contract BulkRenewal is IBulkRenewal {
         }
     }
 
-    function renewAll(string[] calldata names, uint256 duration)
+    /**
+     * @dev Returns the price of renewing each name for its own duration.
+     */
+    function rentPrices(string[] calldata names, uint256[] calldata durations)
         external
-        payable
+        view
         override
+        returns (IPriceOracle.Price[] memory prices)
     {
+        require(
+            names.length == durations.length,
+            "BulkRenewal: Names and durations length mismatch"
+        );
         ETHRegistrarController controller = getController();
+        prices = new IPriceOracle.Price[](names.length);
         for (uint256 i = 0; i < names.length; i++) {
-            IPriceOracle.Price memory price = controller.rentPrice(
-                names[i],
-                duration
+            prices[i] = controller.rentPrice(names[i], durations[i]);
+        }
+    }
+
+    /**
+     * @dev Returns the duration each name must be renewed for to expire at
+     *      `expiry`.
+     */
+    function durationsUntil(string[] calldata names, uint256 expiry)
+        public
+        view
+        override
+        returns (uint256[] memory durations)
+    {
+        IBaseRegistrar registrar = IBaseRegistrar(ens.owner(ETH_NAMEHASH));
+        durations = new uint256[](names.length);
+        for (uint256 i = 0; i < names.length; i++) {
+            uint256 expires = registrar.nameExpires(
+                uint256(keccak256(bytes(names[i])))
             );
-            controller.renew{value: price.base + price.premium}(
-                names[i],
-                duration
+            require(
+                expiry > expires,
+                "BulkRenewal: Name already expires after the target"
             );
+            durations[i] = expiry - expires;
+        }
+    }
+
+    /**
+     * @dev Refunds the caller. To refund someone else, such as the user a
+     *      relayer renews for, use `renewAllWithDurations` with `duration`
+     *      for every name.
+     */
+    function renewAll(string[] calldata names, uint256 duration)
+        external
+        payable
+        override
+    {
+        ETHRegistrarController controller = getController();
+        uint256 cost = 0;
+        for (uint256 i = 0; i < names.length; i++) {
+            cost += _renew(controller, names[i], duration);
+        }
+        // Send any excess funds back
+        _refund(msg.sender, msg.value - cost);
+    }
+
+    /**
+     * @dev Renews each name for its own duration. Surplus ether is refunded
+     *      to `refundRecipient`, or the caller if it is unset.
+     */
+    function renewAllWithDurations(
+        string[] calldata names,
+        uint256[] calldata durations,
+        address refundRecipient
+    ) external payable override {
+        require(
+            names.length == durations.length,
+            "BulkRenewal: Names and durations length mismatch"
+        );
+        ETHRegistrarController controller = getController();
+        uint256 cost = 0;
+        for (uint256 i = 0; i < names.length; i++) {
+            cost += _renew(controller, names[i], durations[i]);
         }
         // Send any excess funds back
-        payable(msg.sender).transfer(address(this).balance);
+        _refund(
+            refundRecipient == address(0) ? msg.sender : refundRecipient,
+            msg.value - cost
+        );
+    }
+
+    /**
+     * @dev Renews every name so that they all expire at `expiry`. Surplus
+     *      ether is refunded to `refundRecipient`, or the caller if it is
+     *      unset.
+     */
+    function renewAllUntil(
+        string[] calldata names,
+        uint256 expiry,
+        address refundRecipient
+    ) external payable override {
+        uint256[] memory durations = durationsUntil(names, expiry);
+        ETHRegistrarController controller = getController();
+        uint256 cost = 0;
+        for (uint256 i = 0; i < names.length; i++) {
+            cost += _renew(controller, names[i], durations[i]);
+        }
+        // Send any excess funds back
+        _refund(
+            refundRecipient == address(0) ? msg.sender : refundRecipient,
+            msg.value - cost
+        );
+    }
+
+    /**
+     * @dev Sends the caller any refund that could not be delivered when they
+     *      renewed.
+     */
+    function withdrawRefund() external override {
+        uint256 amount = pendingRefunds[msg.sender];
+        require(amount > 0, "BulkRenewal: No refund pending");
+        pendingRefunds[msg.sender] = 0;
+        (bool success, ) = msg.sender.call{value: amount}("");
+        require(success, "BulkRenewal: Refund failed");
     }
 
     function supportsInterface(bytes4 interfaceID)
@@ -74,6 +183,32 @@ contract BulkRenewal is IBulkRenewal {
     {
         return
             interfaceID == type(IERC165).interfaceId ||
-            interfaceID == type(IBulkRenewal).interfaceId;
+            interfaceID == type(IBulkRenewal).interfaceId ||
+            interfaceID == type(IBulkRenewalV2).interfaceId;
+    }
+
+    function _renew(
+        ETHRegistrarController controller,
+        string calldata name,
+        uint256 duration
+    ) internal returns (uint256 cost) {
+        IPriceOracle.Price memory price = controller.rentPrice(name, duration);
+        cost = price.base + price.premium;
+        controller.renew{value: cost}(name, duration);
+    }
+
+    /**
+     * @dev Sends `amount` to `recipient` with all remaining gas, so contract
+     *      wallets can receive it, keeping it for withdrawRefund if that fails.
+     */
+    function _refund(address recipient, uint256 amount) internal {
+        if (amount == 0) {
+            return;
+        }
+        (bool success, ) = recipient.call{value: amount}("");
+        if (!success) {
+            pendingRefunds[recipient] += amount;
+            emit RefundDeferred(recipient, amount);
+        }
     }
 }
@@ -5,6 +5,7 @@ import "./StringUtils.sol";
 import "../resolvers/Resolver.sol";
 import "../registry/ReverseRegistrar.sol";
 import "./IETHRegistrarController.sol";
+import "./ICommitmentStatus.sol";
 
 import "@openzeppelin/contracts/access/Ownable.sol";
 import "@openzeppelin/contracts/utils/introspection/IERC165.sol";
@@ -14,7 +15,11 @@ import "../wrapper/INameWrapper.sol";
 /**
  * @dev A registrar controller for registering and renewing names at fixed cost.
  */
-contract ETHRegistrarController is Ownable, IETHRegistrarController {
+contract ETHRegistrarController is
+    Ownable,
+    IETHRegistrarController,
+    ICommitmentStatus
+{
     using StringUtils for *;
     using Address for address;
 
@@ -117,6 +122,35 @@ contract ETHRegistrarController is Ownable, IETHRegistrarController {
             );
     }
 
+    /**
+     * @dev Returns whether each commitment is pending, can be revealed now or
+     *      has expired, along with the window in which it can be revealed.
+     */
+    function commitmentStatus(bytes32[] calldata hashes)
+        external
+        view
+        override
+        returns (CommitmentStatus[] memory statuses)
+    {
+        statuses = new CommitmentStatus[](hashes.length);
+        for (uint256 i = 0; i < hashes.length; i++) {
+            uint256 committedAt = commitments[hashes[i]];
+            if (committedAt == 0) {
+                continue;
+            }
+            CommitmentStatus memory status = statuses[i];
+            status.revealableAt = committedAt + minCommitmentAge;
+            status.expiresAt = committedAt + maxCommitmentAge - 1;
+            if (block.timestamp < status.revealableAt) {
+                status.state = CommitmentState.Pending;
+            } else if (block.timestamp <= status.expiresAt) {
+                status.state = CommitmentState.Revealable;
+            } else {
+                status.state = CommitmentState.Expired;
+            }
+        }
+    }
+
     function commit(bytes32 commitment) public override {
         require(commitments[commitment] + maxCommitmentAge < block.timestamp);
         commitments[commitment] = block.timestamp;
@@ -218,7 +252,8 @@ contract ETHRegistrarController is Ownable, IETHRegistrarController {
     {
         return
             interfaceID == type(IERC165).interfaceId ||
-            interfaceID == type(IETHRegistrarController).interfaceId;
+            interfaceID == type(IETHRegistrarController).interfaceId ||
+            interfaceID == type(ICommitmentStatus).interfaceId;
     }
 
     /* Internal functions */
@@ -0,0 +1,23 @@
+pragma solidity >=0.8.4;
+
+import "./IBulkRegistrarController.sol";
+
+interface IAllowlistRegistration {
+    function allowlisted(
+        string calldata name,
+        address owner,
+        bytes32[] calldata proof
+    ) external view returns (bool);
+
+    function registerWithProofs(
+        IBulkRegistrarController.Registration[] calldata registrations,
+        IBulkRegistrarController.RegistrationOptions calldata options,
+        bytes32[][] calldata proofs
+    )
+        external
+        payable
+        returns (
+            IBulkRegistrarController.RegistrationResult[] memory results,
+            uint256 refund
+        );
+}
@@ -1,8 +1,17 @@
 pragma solidity >=0.8.4;
 
 import "./IPriceOracle.sol";
+import "@openzeppelin/contracts/token/ERC20/IERC20.sol";
 
 interface IBulkRegistrarController {
+    // Whose reverse record a registration points at its name: nobody's, the
+    // caller's, or the new owner's.
+    enum ReverseRecord {
+        None,
+        Caller,
+        Owner
+    }
+
     struct Registration {
       string name;
       address owner;
@@ -10,15 +19,58 @@ interface IBulkRegistrarController {
       address resolver;
       bytes12 secret;
       bytes[] data;
-      bool reverseRecord;
+      ReverseRecord reverseRecord;
       uint32 fuses;
       uint64 wrapperExpiry;
     }
 
+    struct Voucher {
+        bytes32 id;
+        uint16 discountBps;
+        uint256 deadline;
+        bytes signature;
+    }
+
+    struct RegistrationOptions {
+        bool skipFailures;
+        IERC20 paymentToken;
+        address refundRecipient;
+        uint256 maxTotalCost;
+        uint256[] maxPrices;
+        address referrer;
+        Voucher voucher;
+    }
+
+    // The outcome of one entry of a batch. Skipped entries and placeholders
+    // are left zero. The NameWrapper token id is `uint256(node)`. `refund` is
+    // what the entry was not charged of the ether reserved for it by its
+    // `maxPrices` limit, and is part of the batch's refund.
+    struct RegistrationResult {
+        bytes32 node;
+        uint256 expires;
+        uint256 baseCost;
+        uint256 premium;
+        uint256 refund;
+    }
+
+    struct PaymentPermit {
+        uint256 value;
+        uint256 deadline;
+        uint8 v;
+        bytes32 r;
+        bytes32 s;
+    }
+
     function rentPrice(string memory, uint256)
         external
         returns (IPriceOracle.Price memory);
 
+    function rentPriceInToken(
+        string memory,
+        uint256,
+        IERC20
+    ) external returns (uint256);
+
     function available(string memory) external returns (bool);
 
     function makeCommitment(Registration memory registration) external returns (bytes32);
@@ -27,5 +79,47 @@ interface IBulkRegistrarController {
 
     function commit(bytes32) external;
 
-    function register(Registration[] calldata registrations) external payable;
+    function register(Registration[] calldata registrations)
+        external
+        payable
+        returns (RegistrationResult[] memory results, uint256 refund);
+
+    function registerWithOptions(
+        Registration[] calldata registrations,
+        RegistrationOptions calldata options
+    )
+        external
+        payable
+        returns (RegistrationResult[] memory results, uint256 refund);
+
+    function registerWithSig(
+        Registration[] calldata registrations,
+        RegistrationOptions calldata options,
+        address registrant,
+        uint256 deadline,
+        bytes calldata signature,
+        bytes32[][] calldata proofs
+    )
+        external
+        payable
+        returns (RegistrationResult[] memory results, uint256 refund);
+
+    function registerWithPermit(
+        Registration[] calldata registrations,
+        RegistrationOptions calldata options,
+        PaymentPermit calldata permit
+    ) external returns (RegistrationResult[] memory results, uint256 refund);
+
+    function renewAll(string[] calldata names, uint256 duration)
+        external
+        payable;
+
+    function renewAllWithDurations(
+        string[] calldata names,
+        uint256[] calldata durations
+    ) external payable;
+
+    function withdrawRefund() external;
+
+    function withdrawReferralRewards(IERC20 token) external;
 }
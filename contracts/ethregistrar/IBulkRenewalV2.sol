@@ -0,0 +1,30 @@
+import "./IPriceOracle.sol";
+
+// Per-name durations, renewals to a target expiry and held refunds. Kept
+// apart from IBulkRenewal so that its interface ID, which clients look up
+// through the .eth resolver, does not change.
+interface IBulkRenewalV2 {
+    function rentPrices(string[] calldata names, uint256[] calldata durations)
+        external
+        view
+        returns (IPriceOracle.Price[] memory prices);
+
+    function durationsUntil(string[] calldata names, uint256 expiry)
+        external
+        view
+        returns (uint256[] memory durations);
+
+    function renewAllWithDurations(
+        string[] calldata names,
+        uint256[] calldata durations,
+        address refundRecipient
+    ) external payable;
+
+    function renewAllUntil(
+        string[] calldata names,
+        uint256 expiry,
+        address refundRecipient
+    ) external payable;
+
+    function withdrawRefund() external;
+}
@@ -0,0 +1,23 @@
+pragma solidity >=0.8.4;
+
+interface ICommitmentStatus {
+    enum CommitmentState {
+        None,
+        Pending,
+        Revealable,
+        Expired
+    }
+
+    struct CommitmentStatus {
+        CommitmentState state;
+        // Earliest and latest timestamps a reveal can be mined at; zero if
+        // the commitment has not been made.
+        uint256 revealableAt;
+        uint256 expiresAt;
+    }
+
+    function commitmentStatus(bytes32[] calldata commitments)
+        external
+        view
+        returns (CommitmentStatus[] memory);
+}
@@ -0,0 +1,14 @@
+pragma solidity >=0.8.4;
+
+import "./IBulkRegistrarController.sol";
+
+interface IPremiumLimitOrders {
+    function placeOrder(bytes32 commitment) external payable;
+
+    function cancelOrder(bytes32 commitment) external;
+
+    function executeOrder(
+        address buyer,
+        IBulkRegistrarController.Registration calldata registration
+    ) external;
+}
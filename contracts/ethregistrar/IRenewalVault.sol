@@ -0,0 +1,27 @@
+pragma solidity >=0.8.4;
+
+interface IRenewalVault {
+    function deposit() external payable;
+
+    function withdraw(uint256 amount) external;
+
+    function setKeeperTip(uint256 tip) external;
+
+    function subscribe(
+        string calldata name,
+        uint64 duration,
+        uint64 window,
+        uint128 maxPrice
+    ) external;
+
+    function unsubscribe(string calldata name) external;
+
+    function subscribedNames(address owner)
+        external
+        view
+        returns (string[] memory);
+
+    function dueNames(address owner) external view returns (string[] memory);
+
+    function renewDue(address owner) external returns (uint256 renewed);
+}
@@ -0,0 +1,16 @@
+pragma solidity >=0.8.4;
+
+import "@openzeppelin/contracts/token/ERC20/IERC20.sol";
+
+interface ITokenPriceConverter {
+    /**
+     * @dev Converts a price in wei into the equivalent amount of `token`.
+     * @param token The ERC20 token the price will be paid in.
+     * @param amount The price in wei.
+     * @return The price in the smallest unit of `token`.
+     */
+    function weiToToken(IERC20 token, uint256 amount)
+        external
+        view
+        returns (uint256);
+}
@@ -0,0 +1,124 @@
+pragma solidity >=0.8.4;
+
+import "./IBulkRegistrarController.sol";
+import "./IPremiumLimitOrders.sol";
+import "./IPriceOracle.sol";
+
+import "@openzeppelin/contracts/utils/introspection/IERC165.sol";
+
+/**
+ * @dev Holds ether escrowed by buyers as limit orders on names whose premium
+ *      is still decaying. An order is placed under the BulkRegistrarController
+ *      commitment of a single registration, so it does not reveal the name.
+ *      Once that commitment has been committed on the controller, anyone who
+ *      knows the registration can execute the order as soon as the name's
+ *      live price is at or below the escrowed amount. The surplus is refunded
+ *      to the buyer.
+ *
+ *      Orders are kept per buyer, so an order placed by someone else under
+ *      the same commitment cannot displace the buyer's.
+ */
+contract PremiumLimitOrders is IPremiumLimitOrders, IERC165 {
+    IBulkRegistrarController public immutable controller;
+
+    // The ether escrowed by each buyer under a commitment, and the most its
+    // registration may cost.
+    mapping(bytes32 => mapping(address => uint256)) public orders;
+
+    event OrderPlaced(
+        bytes32 indexed commitment,
+        address indexed buyer,
+        uint256 maxPrice
+    );
+    event OrderCancelled(bytes32 indexed commitment, address indexed buyer);
+    event OrderExecuted(
+        bytes32 indexed commitment,
+        address indexed buyer,
+        address indexed executor,
+        uint256 cost
+    );
+
+    constructor(IBulkRegistrarController _controller) {
+        controller = _controller;
+    }
+
+    /**
+     * @dev Places an order for the registration whose batch commitment is
+     *      `commitment`, as returned by the controller's `makeBulkCommitment`
+     *      for that registration alone, paying at most the ether sent.
+     */
+    function placeOrder(bytes32 commitment) external payable override {
+        require(msg.value > 0, "PremiumLimitOrders: No ether escrowed");
+        require(
+            orders[commitment][msg.sender] == 0,
+            "PremiumLimitOrders: Order already placed"
+        );
+        orders[commitment][msg.sender] = msg.value;
+        emit OrderPlaced(commitment, msg.sender, msg.value);
+    }
+
+    function cancelOrder(bytes32 commitment) external override {
+        uint256 maxPrice = orders[commitment][msg.sender];
+        require(maxPrice > 0, "PremiumLimitOrders: No such order");
+        delete orders[commitment][msg.sender];
+        (bool success, ) = msg.sender.call{value: maxPrice}("");
+        require(success, "PremiumLimitOrders: Refund failed");
+        emit OrderCancelled(commitment, msg.sender);
+    }
+
+    /**
+     * @dev Registers the name of `buyer`'s order through the controller once
+     *      its price has fallen to the order's limit. The registration's
+     *      commitment must have been committed on the controller for at least
+     *      its minimum commitment age. The registration cannot set the
+     *      caller's reverse record, as the caller would be this contract.
+     */
+    function executeOrder(
+        address buyer,
+        IBulkRegistrarController.Registration calldata registration
+    ) external override {
+        require(
+            registration.reverseRecord !=
+                IBulkRegistrarController.ReverseRecord.Caller,
+            "PremiumLimitOrders: Cannot set the caller's reverse record"
+        );
+        IBulkRegistrarController.Registration[]
+            memory registrations = new IBulkRegistrarController.Registration[](
+                1
+            );
+        registrations[0] = registration;
+        bytes32 commitment = controller.makeBulkCommitment(registrations);
+        uint256 maxPrice = orders[commitment][buyer];
+        require(maxPrice > 0, "PremiumLimitOrders: No such order");
+
+        IPriceOracle.Price memory price = controller.rentPrice(
+            registration.name,
+            registration.duration
+        );
+        require(
+            price.base + price.premium <= maxPrice,
+            "PremiumLimitOrders: Price above limit"
+        );
+        delete orders[commitment][buyer];
+
+        IBulkRegistrarController.RegistrationOptions memory options;
+        options.refundRecipient = buyer;
+        options.maxTotalCost = maxPrice;
+        (, uint256 refund) = controller.registerWithOptions{value: maxPrice}(
+            registrations,
+            options
+        );
+        emit OrderExecuted(commitment, buyer, msg.sender, maxPrice - refund);
+    }
+
+    function supportsInterface(bytes4 interfaceID)
+        external
+        pure
+        override
+        returns (bool)
+    {
+        return
+            interfaceID == type(IERC165).interfaceId ||
+            interfaceID == type(IPremiumLimitOrders).interfaceId;
+    }
+}
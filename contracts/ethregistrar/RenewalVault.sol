@@ -0,0 +1,263 @@
+pragma solidity >=0.8.4;
+
+import "./BaseRegistrarImplementation.sol";
+import "./ETHRegistrarController.sol";
+import "./IRenewalVault.sol";
+
+import "@openzeppelin/contracts/utils/introspection/IERC165.sol";
+
+/**
+ * @dev Holds ether deposited by owners and spends it renewing the names they
+ *      subscribe once each is within its renewal window of expiring. Anyone
+ *      can trigger due renewals with renewDue, and is paid the owner's keeper
+ *      tip for each name renewed.
+ */
+contract RenewalVault is IRenewalVault, IERC165 {
+    struct Subscription {
+        // How long to renew the name for each time.
+        uint64 duration;
+        // How long before its expiry the name may be renewed.
+        uint64 window;
+        // The most to pay for one renewal.
+        uint128 maxPrice;
+    }
+
+    BaseRegistrarImplementation public immutable base;
+    ETHRegistrarController public immutable controller;
+
+    mapping(address => uint256) public balances;
+    mapping(address => uint256) public keeperTips;
+    mapping(address => mapping(bytes32 => Subscription)) public subscriptions;
+    // Each owner's subscribed names, and the one-based position of each
+    // name's label among them.
+    mapping(address => string[]) private names;
+    mapping(address => mapping(bytes32 => uint256)) private positions;
+
+    event Deposited(address indexed owner, uint256 amount);
+    event Withdrawn(address indexed owner, uint256 amount);
+    event KeeperTipChanged(address indexed owner, uint256 tip);
+    event NameSubscribed(
+        address indexed owner,
+        bytes32 indexed label,
+        string name,
+        uint256 duration,
+        uint256 window,
+        uint256 maxPrice
+    );
+    event NameUnsubscribed(address indexed owner, bytes32 indexed label);
+    event NameRenewed(
+        address indexed owner,
+        bytes32 indexed label,
+        string name,
+        uint256 cost,
+        uint256 expires
+    );
+    event KeeperTipped(
+        address indexed keeper,
+        address indexed owner,
+        uint256 amount
+    );
+
+    constructor(
+        BaseRegistrarImplementation _base,
+        ETHRegistrarController _controller
+    ) {
+        base = _base;
+        controller = _controller;
+    }
+
+    function deposit() external payable override {
+        balances[msg.sender] += msg.value;
+        emit Deposited(msg.sender, msg.value);
+    }
+
+    function withdraw(uint256 amount) external override {
+        require(
+            amount <= balances[msg.sender],
+            "RenewalVault: Insufficient balance"
+        );
+        balances[msg.sender] -= amount;
+        (bool success, ) = msg.sender.call{value: amount}("");
+        require(success, "RenewalVault: Withdrawal failed");
+        emit Withdrawn(msg.sender, amount);
+    }
+
+    /**
+     * @dev Sets what the caller pays a keeper for each of their names it
+     *      renews.
+     */
+    function setKeeperTip(uint256 tip) external override {
+        keeperTips[msg.sender] = tip;
+        emit KeeperTipChanged(msg.sender, tip);
+    }
+
+    /**
+     * @dev Subscribes a name to be renewed for `duration` whenever it expires
+     *      within `window`, for at most `maxPrice` each time, or updates its
+     *      subscription. The duration must be longer than the window, so a
+     *      renewal takes the name out of it.
+     */
+    function subscribe(
+        string calldata name,
+        uint64 duration,
+        uint64 window,
+        uint128 maxPrice
+    ) external override {
+        require(
+            duration > window,
+            "RenewalVault: Duration must be longer than the window"
+        );
+        bytes32 label = keccak256(bytes(name));
+        if (positions[msg.sender][label] == 0) {
+            names[msg.sender].push(name);
+            positions[msg.sender][label] = names[msg.sender].length;
+        }
+        subscriptions[msg.sender][label] = Subscription(
+            duration,
+            window,
+            maxPrice
+        );
+        emit NameSubscribed(
+            msg.sender,
+            label,
+            name,
+            duration,
+            window,
+            maxPrice
+        );
+    }
+
+    function unsubscribe(string calldata name) external override {
+        bytes32 label = keccak256(bytes(name));
+        uint256 position = positions[msg.sender][label];
+        require(position != 0, "RenewalVault: Name not subscribed");
+
+        // Move the last name into the removed name's place.
+        string[] storage subscribed = names[msg.sender];
+        string memory last = subscribed[subscribed.length - 1];
+        subscribed[position - 1] = last;
+        positions[msg.sender][keccak256(bytes(last))] = position;
+        subscribed.pop();
+
+        delete positions[msg.sender][label];
+        delete subscriptions[msg.sender][label];
+        emit NameUnsubscribed(msg.sender, label);
+    }
+
+    function subscribedNames(address owner)
+        external
+        view
+        override
+        returns (string[] memory)
+    {
+        return names[owner];
+    }
+
+    /**
+     * @dev Returns the names `renewDue` would renew for `owner` now, each
+     *      checked against the owner's whole balance.
+     */
+    function dueNames(address owner)
+        external
+        view
+        override
+        returns (string[] memory due)
+    {
+        string[] storage subscribed = names[owner];
+        bool[] memory isDue = new bool[](subscribed.length);
+        uint256 count = 0;
+        for (uint256 i = 0; i < subscribed.length; i++) {
+            (bool renewable, uint256 cost) = _renewalCost(
+                owner,
+                subscribed[i]
+            );
+            if (renewable && cost + keeperTips[owner] <= balances[owner]) {
+                isDue[i] = true;
+                count++;
+            }
+        }
+        due = new string[](count);
+        count = 0;
+        for (uint256 i = 0; i < subscribed.length; i++) {
+            if (isDue[i]) {
+                due[count++] = subscribed[i];
+            }
+        }
+    }
+
+    /**
+     * @dev Renews every name of `owner` that is within its window, still
+     *      renewable and within its price cap, while the owner's balance
+     *      covers it and the keeper tip, and pays the caller the tips.
+     */
+    function renewDue(address owner)
+        external
+        override
+        returns (uint256 renewed)
+    {
+        string[] storage subscribed = names[owner];
+        uint256 tip = keeperTips[owner];
+        for (uint256 i = 0; i < subscribed.length; i++) {
+            string memory name = subscribed[i];
+            (bool renewable, uint256 cost) = _renewalCost(owner, name);
+            if (!renewable || cost + tip > balances[owner]) {
+                continue;
+            }
+            balances[owner] -= cost + tip;
+
+            bytes32 label = keccak256(bytes(name));
+            controller.renew{value: cost}(
+                name,
+                subscriptions[owner][label].duration
+            );
+            emit NameRenewed(
+                owner,
+                label,
+                name,
+                cost,
+                base.nameExpires(uint256(label))
+            );
+            renewed++;
+        }
+        require(renewed > 0, "RenewalVault: No names due");
+
+        if (tip > 0) {
+            (bool success, ) = msg.sender.call{value: tip * renewed}("");
+            require(success, "RenewalVault: Tip transfer failed");
+            emit KeeperTipped(msg.sender, owner, tip * renewed);
+        }
+    }
+
+    function supportsInterface(bytes4 interfaceID)
+        external
+        pure
+        override
+        returns (bool)
+    {
+        return
+            interfaceID == type(IERC165).interfaceId ||
+            interfaceID == type(IRenewalVault).interfaceId;
+    }
+
+    /**
+     * @dev Returns whether a subscribed name is due for renewal, and what
+     *      renewing it would cost.
+     */
+    function _renewalCost(address owner, string memory name)
+        internal
+        view
+        returns (bool renewable, uint256 cost)
+    {
+        bytes32 label = keccak256(bytes(name));
+        Subscription memory subscription = subscriptions[owner][label];
+        uint256 expires = base.nameExpires(uint256(label));
+        if (
+            expires > block.timestamp + subscription.window ||
+            expires + base.GRACE_PERIOD() < block.timestamp
+        ) {
+            return (false, 0);
+        }
+        cost = controller.rentPrice(name, subscription.duration).base;
+        renewable = cost <= subscription.maxPrice;
+    }
+}
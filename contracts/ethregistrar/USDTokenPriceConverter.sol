@@ -0,0 +1,30 @@
+pragma solidity >=0.8.4;
+
+import "./ITokenPriceConverter.sol";
+import "./StablePriceOracle.sol";
+import "@openzeppelin/contracts/token/ERC20/extensions/IERC20Metadata.sol";
+
+/**
+ * @dev Prices USD stablecoins at one dollar, using the same USD/ETH oracle as
+ *      StablePriceOracle to turn wei back into USD.
+ */
+contract USDTokenPriceConverter is ITokenPriceConverter {
+    AggregatorInterface public immutable usdOracle;
+
+    constructor(AggregatorInterface _usdOracle) {
+        usdOracle = _usdOracle;
+    }
+
+    function weiToToken(IERC20 token, uint256 amount)
+        external
+        view
+        override
+        returns (uint256)
+    {
+        uint256 ethPrice = uint256(usdOracle.latestAnswer());
+        uint256 unit = 10**IERC20Metadata(address(token)).decimals();
+        // Round up so a payment is never worth less than the wei price.
+        uint256 denominator = 1e8 * 1e18;
+        return (amount * ethPrice * unit + denominator - 1) / denominator;
+    }
+}
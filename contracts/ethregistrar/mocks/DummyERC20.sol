@@ -0,0 +1,23 @@
+pragma solidity ^0.8.4;
+
+import "@openzeppelin/contracts/token/ERC20/extensions/draft-ERC20Permit.sol";
+
+/**
+ * @dev An ERC20 token with permit support and configurable decimals, minting
+ *      its initial supply to the deployer.
+ */
+contract DummyERC20 is ERC20Permit {
+    uint8 private immutable _decimals;
+
+    constructor(uint8 decimals_, uint256 supply)
+        ERC20("Dummy", "DUM")
+        ERC20Permit("Dummy")
+    {
+        _decimals = decimals_;
+        _mint(msg.sender, supply);
+    }
+
+    function decimals() public view override returns (uint8) {
+        return _decimals;
+    }
+}
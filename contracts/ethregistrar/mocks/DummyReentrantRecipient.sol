@@ -0,0 +1,21 @@
+pragma solidity >=0.8.4;
+
+import "@openzeppelin/contracts/utils/Address.sol";
+
+/**
+ * @dev Calls `target` with `data` whenever it receives ether, to test how
+ *      contracts that send it ether handle being reentered.
+ */
+contract DummyReentrantRecipient {
+    address public immutable target;
+    bytes public data;
+
+    constructor(address _target, bytes memory _data) {
+        target = _target;
+        data = _data;
+    }
+
+    receive() external payable {
+        Address.functionCall(target, data);
+    }
+}
@@ -0,0 +1,32 @@
+pragma solidity >=0.8.4;
+
+import "@openzeppelin/contracts/access/Ownable.sol";
+import "@openzeppelin/contracts/token/ERC1155/utils/ERC1155Holder.sol";
+import "@openzeppelin/contracts/utils/Address.sol";
+
+/**
+ * @dev A contract wallet that forwards calls and whose receive function needs
+ *      more than the 2300 gas stipend, or rejects ether altogether. It is
+ *      owned by its deployer and can hold wrapped names.
+ */
+contract DummySmartWallet is Ownable, ERC1155Holder {
+    bool public acceptPayments = true;
+    uint256 public received;
+
+    function setAcceptPayments(bool accept) external {
+        acceptPayments = accept;
+    }
+
+    function execute(address target, bytes calldata data)
+        external
+        payable
+        returns (bytes memory)
+    {
+        return Address.functionCallWithValue(target, data, msg.value);
+    }
+
+    receive() external payable {
+        require(acceptPayments, "DummySmartWallet: Payments not accepted");
+        received += msg.value;
+    }
+}
@@ -0,0 +1,132 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.4;
+
+import "./INameWrapper.sol";
+import "./IBulkSubnameRegistrar.sol";
+import "../resolvers/IMulticallable.sol";
+import "@openzeppelin/contracts/token/ERC1155/IERC1155Receiver.sol";
+import "@openzeppelin/contracts/utils/introspection/ERC165.sol";
+
+/**
+ * @dev Issues many subnames of a wrapped name in one transaction. The parent
+ *      owner approves this contract on the NameWrapper with
+ *      `setApprovalForAll`; after that, only the parent owner or accounts
+ *      they have approved on the NameWrapper can issue subnames of it.
+ */
+contract BulkSubnameRegistrar is
+    IBulkSubnameRegistrar,
+    IERC1155Receiver,
+    ERC165
+{
+    INameWrapper public immutable nameWrapper;
+
+    constructor(INameWrapper _nameWrapper) {
+        nameWrapper = _nameWrapper;
+    }
+
+    /**
+     * @dev Creates or replaces each subname of `parentNode` and wraps it for
+     *      its owner with the given fuses and expiry. Subnames with records
+     *      are first issued to this contract, so the resolver lets it set
+     *      them, and then transferred to their owner.
+     */
+    function issue(bytes32 parentNode, Subname[] calldata subnames)
+        external
+        override
+    {
+        require(
+            nameWrapper.isTokenOwnerOrApproved(parentNode, msg.sender),
+            "BulkSubnameRegistrar: Unauthorised"
+        );
+        for (uint256 i = 0; i < subnames.length; i++) {
+            _issue(parentNode, subnames[i]);
+        }
+    }
+
+    function onERC1155Received(
+        address operator,
+        address,
+        uint256,
+        uint256,
+        bytes calldata
+    ) external view override returns (bytes4) {
+        // Only accept the names this contract issues to itself.
+        require(
+            msg.sender == address(nameWrapper) && operator == address(this),
+            "BulkSubnameRegistrar: Unexpected token"
+        );
+        return IERC1155Receiver.onERC1155Received.selector;
+    }
+
+    function onERC1155BatchReceived(
+        address,
+        address,
+        uint256[] calldata,
+        uint256[] calldata,
+        bytes calldata
+    ) external pure override returns (bytes4) {
+        revert("BulkSubnameRegistrar: Unexpected token");
+    }
+
+    function supportsInterface(bytes4 interfaceID)
+        public
+        view
+        virtual
+        override(ERC165, IERC165)
+        returns (bool)
+    {
+        return
+            interfaceID == type(IBulkSubnameRegistrar).interfaceId ||
+            interfaceID == type(IERC1155Receiver).interfaceId ||
+            super.supportsInterface(interfaceID);
+    }
+
+    /* Internal functions */
+
+    function _issue(bytes32 parentNode, Subname calldata subname) internal {
+        if (subname.data.length == 0) {
+            nameWrapper.setSubnodeRecord(
+                parentNode,
+                subname.label,
+                subname.owner,
+                subname.resolver,
+                0,
+                subname.fuses,
+                subname.expiry
+            );
+            return;
+        }
+
+        require(
+            subname.resolver != address(0),
+            "BulkSubnameRegistrar: resolver required when data supplied"
+        );
+        bytes32 node = keccak256(
+            abi.encodePacked(parentNode, keccak256(bytes(subname.label)))
+        );
+        for (uint256 i = 0; i < subname.data.length; i++) {
+            require(
+                bytes32(subname.data[i][4:36]) == node,
+                "BulkSubnameRegistrar: Namehash on record do not match the name being issued"
+            );
+        }
+
+        nameWrapper.setSubnodeRecord(
+            parentNode,
+            subname.label,
+            address(this),
+            subname.resolver,
+            0,
+            0,
+            subname.expiry
+        );
+        IMulticallable(subname.resolver).multicall(subname.data);
+        nameWrapper.setSubnodeOwner(
+            parentNode,
+            subname.label,
+            subname.owner,
+            subname.fuses,
+            subname.expiry
+        );
+    }
+}
@@ -0,0 +1,17 @@
+// SPDX-License-Identifier: MIT
+pragma solidity >=0.8.4;
+
+interface IBulkSubnameRegistrar {
+    struct Subname {
+        string label;
+        address owner;
+        address resolver;
+        uint32 fuses;
+        uint64 expiry;
+        // Resolver calls, each starting with the subname's node, made
+        // through the resolver's multicall.
+        bytes[] data;
+    }
+
+    function issue(bytes32 parentNode, Subname[] calldata subnames) external;
+}
@@ -0,0 +1,48 @@
+// SPDX-License-Identifier: MIT
+pragma solidity >=0.8.4;
+
+import "../ethregistrar/IPriceOracle.sol";
+
+interface ISubnameRegistrar {
+    function setListing(
+        bytes32 parentNode,
+        IPriceOracle oracle,
+        uint256[] calldata rentPrices,
+        uint32 fuses
+    ) external;
+
+    function removeListing(bytes32 parentNode) external;
+
+    function rentPrice(
+        bytes32 parentNode,
+        string calldata label,
+        uint256 duration
+    ) external view returns (IPriceOracle.Price memory);
+
+    function available(bytes32 parentNode, string calldata label)
+        external
+        view
+        returns (bool);
+
+    function makeCommitment(
+        bytes32 parentNode,
+        string calldata label,
+        address owner,
+        uint256 duration,
+        address resolver,
+        bytes32 secret
+    ) external pure returns (bytes32);
+
+    function commit(bytes32 commitment) external;
+
+    function register(
+        bytes32 parentNode,
+        string calldata label,
+        address owner,
+        uint256 duration,
+        address resolver,
+        bytes32 secret
+    ) external payable;
+
+    function withdraw() external;
+}
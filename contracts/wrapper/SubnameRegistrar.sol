@@ -0,0 +1,336 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.4;
+
+import "./NameWrapper.sol";
+import "./ISubnameRegistrar.sol";
+import "../ethregistrar/StringUtils.sol";
+import "@openzeppelin/contracts/utils/introspection/IERC165.sol";
+
+/**
+ * @dev Sells subnames of wrapped names on behalf of their owners. A parent
+ *      owner lists their name with a price and approves this contract on the
+ *      NameWrapper with `setApprovalForAll`; anyone can then buy an unused
+ *      subname with commit/reveal. Proceeds accrue to the parent owner, who
+ *      claims them with `withdraw`.
+ */
+contract SubnameRegistrar is ISubnameRegistrar, IERC165 {
+    using StringUtils for *;
+
+    struct Listing {
+        // The parent owner when the name was listed, who is paid for sales.
+        address owner;
+        // Prices subnames if set, otherwise `rentPrices` are used.
+        IPriceOracle oracle;
+        // Fuses burned on every subname sold.
+        uint32 fuses;
+        // Wei per second by label length: the first entry is for one
+        // character labels and the last for that length and longer. A single
+        // entry is a flat price.
+        uint256[] rentPrices;
+    }
+
+    NameWrapper public immutable nameWrapper;
+    uint256 public immutable minCommitmentAge;
+    uint256 public immutable maxCommitmentAge;
+
+    mapping(bytes32 => Listing) internal listings;
+    mapping(bytes32 => uint256) public commitments;
+    // Expiry of each subname sold through this registrar.
+    mapping(bytes32 => uint256) public expiries;
+    // Proceeds, and refunds that could not be sent, claimable with withdraw.
+    mapping(address => uint256) public balances;
+
+    event ListingChanged(
+        bytes32 indexed parentNode,
+        address indexed owner,
+        IPriceOracle oracle,
+        uint256[] rentPrices,
+        uint32 fuses
+    );
+    event ListingRemoved(bytes32 indexed parentNode);
+    event SubnameRegistered(
+        bytes32 indexed parentNode,
+        string label,
+        address indexed owner,
+        uint256 cost,
+        uint256 expires
+    );
+
+    constructor(
+        NameWrapper _nameWrapper,
+        uint256 _minCommitmentAge,
+        uint256 _maxCommitmentAge
+    ) {
+        require(_maxCommitmentAge > _minCommitmentAge);
+
+        nameWrapper = _nameWrapper;
+        minCommitmentAge = _minCommitmentAge;
+        maxCommitmentAge = _maxCommitmentAge;
+    }
+
+    modifier onlyParentOwner(bytes32 parentNode) {
+        require(
+            nameWrapper.isTokenOwnerOrApproved(parentNode, msg.sender),
+            "SubnameRegistrar: Unauthorised"
+        );
+        _;
+    }
+
+    /**
+     * @dev Lists `parentNode` for sale, or changes its listing. Subnames are
+     *      priced by `oracle` if it is set, and by `rentPrices` otherwise.
+     *      Burning PARENT_CANNOT_CONTROL on sold subnames requires the parent
+     *      to have burned CANNOT_UNWRAP, so buyers can rely on it.
+     */
+    function setListing(
+        bytes32 parentNode,
+        IPriceOracle oracle,
+        uint256[] calldata rentPrices,
+        uint32 fuses
+    ) external override onlyParentOwner(parentNode) {
+        require(
+            address(oracle) != address(0) || rentPrices.length > 0,
+            "SubnameRegistrar: No pricing supplied"
+        );
+        _requireParentCanBurn(parentNode, fuses);
+        address owner = nameWrapper.ownerOf(uint256(parentNode));
+        listings[parentNode] = Listing(owner, oracle, fuses, rentPrices);
+        emit ListingChanged(parentNode, owner, oracle, rentPrices, fuses);
+    }
+
+    function removeListing(bytes32 parentNode)
+        external
+        override
+        onlyParentOwner(parentNode)
+    {
+        delete listings[parentNode];
+        emit ListingRemoved(parentNode);
+    }
+
+    /**
+     * @dev Returns the listing for `parentNode`; `owner` is zero if it is not
+     *      listed.
+     */
+    function listing(bytes32 parentNode)
+        external
+        view
+        returns (
+            address owner,
+            IPriceOracle oracle,
+            uint256[] memory rentPrices,
+            uint32 fuses
+        )
+    {
+        Listing storage l = listings[parentNode];
+        return (l.owner, l.oracle, l.rentPrices, l.fuses);
+    }
+
+    function rentPrice(
+        bytes32 parentNode,
+        string calldata label,
+        uint256 duration
+    ) public view override returns (IPriceOracle.Price memory price) {
+        require(bytes(label).length > 0, "SubnameRegistrar: Empty label");
+        Listing storage l = listings[parentNode];
+        require(l.owner != address(0), "SubnameRegistrar: Name not listed");
+        if (address(l.oracle) != address(0)) {
+            return l.oracle.price(label, 0, duration);
+        }
+        uint256 len = label.strlen();
+        if (len > l.rentPrices.length) {
+            len = l.rentPrices.length;
+        }
+        price.base = l.rentPrices[len - 1] * duration;
+    }
+
+    /**
+     * @dev Returns true if `label` has never been created under `parentNode`,
+     *      or was sold here and has expired.
+     */
+    function available(bytes32 parentNode, string calldata label)
+        public
+        view
+        override
+        returns (bool)
+    {
+        if (bytes(label).length == 0) {
+            return false;
+        }
+        bytes32 node = _makeNode(parentNode, keccak256(bytes(label)));
+        if (nameWrapper.ens().owner(node) == address(0)) {
+            return true;
+        }
+        (, , uint64 expiry) = nameWrapper.getData(uint256(node));
+        return expiries[node] != 0 && expiry < block.timestamp;
+    }
+
+    function makeCommitment(
+        bytes32 parentNode,
+        string calldata label,
+        address owner,
+        uint256 duration,
+        address resolver,
+        bytes32 secret
+    ) public pure override returns (bytes32) {
+        return
+            keccak256(
+                abi.encode(
+                    parentNode,
+                    keccak256(bytes(label)),
+                    owner,
+                    duration,
+                    resolver,
+                    secret
+                )
+            );
+    }
+
+    function commit(bytes32 commitment) external override {
+        require(commitments[commitment] + maxCommitmentAge < block.timestamp);
+        commitments[commitment] = block.timestamp;
+    }
+
+    /**
+     * @dev Registers `label` under a listed `parentNode` until `duration`
+     *      seconds from now, or the parent's expiry if that is sooner. The
+     *      listing's fuses are burned and surplus ether is refunded.
+     */
+    function register(
+        bytes32 parentNode,
+        string calldata label,
+        address owner,
+        uint256 duration,
+        address resolver,
+        bytes32 secret
+    ) external payable override {
+        Listing storage l = listings[parentNode];
+        require(
+            l.owner != address(0) &&
+                l.owner == nameWrapper.ownerOf(uint256(parentNode)),
+            "SubnameRegistrar: Name not listed"
+        );
+        require(
+            available(parentNode, label),
+            "SubnameRegistrar: Name is unavailable"
+        );
+        _consumeCommitment(
+            makeCommitment(
+                parentNode,
+                label,
+                owner,
+                duration,
+                resolver,
+                secret
+            )
+        );
+
+        (, , uint64 parentExpiry) = nameWrapper.getData(uint256(parentNode));
+        require(
+            parentExpiry > block.timestamp,
+            "SubnameRegistrar: Parent has expired"
+        );
+        if (block.timestamp + duration > parentExpiry) {
+            duration = parentExpiry - block.timestamp;
+        }
+        IPriceOracle.Price memory price = rentPrice(
+            parentNode,
+            label,
+            duration
+        );
+        uint256 cost = price.base + price.premium;
+        require(
+            msg.value >= cost,
+            "SubnameRegistrar: Not enough ether provided"
+        );
+
+        // Checked again in case the parent's fuses expired since listing.
+        _requireParentCanBurn(parentNode, l.fuses);
+        uint64 expires = uint64(block.timestamp + duration);
+        bytes32 node = _makeNode(parentNode, keccak256(bytes(label)));
+        expiries[node] = expires;
+        balances[l.owner] += cost;
+        nameWrapper.setSubnodeRecord(
+            parentNode,
+            label,
+            owner,
+            resolver,
+            0,
+            l.fuses,
+            expires
+        );
+
+        emit SubnameRegistered(parentNode, label, owner, cost, expires);
+
+        if (msg.value > cost) {
+            _refund(msg.sender, msg.value - cost);
+        }
+    }
+
+    /**
+     * @dev Sends the caller their proceeds and any refund that could not be
+     *      delivered.
+     */
+    function withdraw() external override {
+        uint256 amount = balances[msg.sender];
+        require(amount > 0, "SubnameRegistrar: Nothing to withdraw");
+        balances[msg.sender] = 0;
+        (bool success, ) = msg.sender.call{value: amount}("");
+        require(success, "SubnameRegistrar: Withdrawal failed");
+    }
+
+    function supportsInterface(bytes4 interfaceID)
+        external
+        pure
+        override
+        returns (bool)
+    {
+        return
+            interfaceID == type(IERC165).interfaceId ||
+            interfaceID == type(ISubnameRegistrar).interfaceId;
+    }
+
+    /* Internal functions */
+
+    function _requireParentCanBurn(bytes32 parentNode, uint32 fuses)
+        internal
+        view
+    {
+        if (fuses & PARENT_CANNOT_CONTROL != 0) {
+            require(
+                nameWrapper.allFusesBurned(parentNode, CANNOT_UNWRAP),
+                "SubnameRegistrar: Parent must burn CANNOT_UNWRAP"
+            );
+        }
+    }
+
+    function _consumeCommitment(bytes32 commitment) internal {
+        require(
+            commitments[commitment] + minCommitmentAge <= block.timestamp,
+            "SubnameRegistrar: Commitment not valid"
+        );
+        require(
+            commitments[commitment] + maxCommitmentAge > block.timestamp,
+            "SubnameRegistrar: Commitment has expired"
+        );
+        delete (commitments[commitment]);
+    }
+
+    /**
+     * @dev Sends `amount` to `recipient`, crediting it to their balance to
+     *      withdraw later if the call fails.
+     */
+    function _refund(address recipient, uint256 amount) internal {
+        (bool success, ) = recipient.call{value: amount}("");
+        if (!success) {
+            balances[recipient] += amount;
+        }
+    }
+
+    function _makeNode(bytes32 node, bytes32 labelhash)
+        private
+        pure
+        returns (bytes32)
+    {
+        return keccak256(abi.encodePacked(node, labelhash));
+    }
+}
@@ -0,0 +1,115 @@
+import { Interface } from 'ethers/lib/utils'
+import { ethers } from 'hardhat'
+import { DeployFunction } from 'hardhat-deploy/types'
+import { HardhatRuntimeEnvironment } from 'hardhat/types'
+
+const { namehash, hexZeroPad, hexlify } = ethers.utils
+
+function computeInterfaceId(iface: Interface) {
+  const id = Object.keys(iface.functions)
+    .map((fn) => parseInt(iface.getSighash(fn), 16))
+    .reduce((acc, selector) => (acc ^ selector) >>> 0, 0)
+  return hexZeroPad(hexlify(id), 4)
+}
+
+const func: DeployFunction = async function (hre: HardhatRuntimeEnvironment) {
+  const { getNamedAccounts, deployments } = hre
+  const { deploy, fetchIfDifferent } = deployments
+  const { deployer, owner } = await getNamedAccounts()
+
+  const registry = await ethers.getContract('ENSRegistry')
+  const registrar = await ethers.getContract('BaseRegistrarImplementation')
+  const priceOracle = await ethers.getContract('StablePriceOracle')
+  const reverseRegistrar = await ethers.getContract('ReverseRegistrar')
+  const nameWrapper = await ethers.getContract('NameWrapper')
+
+  const deployArgs = {
+    from: deployer,
+    args: [
+      registrar.address,
+      priceOracle.address,
+      60,
+      86400,
+      reverseRegistrar.address,
+      nameWrapper.address,
+    ],
+    log: true,
+  }
+  const { differences } = await fetchIfDifferent(
+    'BulkRegistrarController',
+    deployArgs,
+  )
+  if (differences) {
+    const controller = await deploy('BulkRegistrarController', deployArgs)
+
+    const tx1 = await registrar.addController(controller.address, {
+      from: deployer,
+    })
+    console.log(
+      `Adding BulkRegistrarController as controller on BaseRegistrarImplementation (tx: ${tx1.hash})...`,
+    )
+    await tx1.wait()
+
+    const tx2 = await nameWrapper.setController(controller.address, true, {
+      from: deployer,
+    })
+    console.log(
+      `Adding BulkRegistrarController as a controller of NameWrapper (tx: ${tx2.hash})...`,
+    )
+    await tx2.wait()
+
+    const tx3 = await reverseRegistrar.setController(controller.address, true, {
+      from: deployer,
+    })
+    console.log(
+      `Adding BulkRegistrarController as a controller of ReverseRegistrar (tx: ${tx3.hash})...`,
+    )
+    await tx3.wait()
+  }
+
+  // Register the controller on the .eth resolver so clients can discover it.
+  // This is checked on every run, as the .eth resolver may be set later.
+  const controller = await ethers.getContract('BulkRegistrarController')
+  const artifact = await deployments.getArtifact('IBulkRegistrarController')
+  const interfaceId = computeInterfaceId(new Interface(artifact.abi))
+
+  const resolverAddress = await registry.resolver(namehash('eth'))
+  if (resolverAddress === ethers.constants.AddressZero) {
+    console.log(
+      `No resolver set for .eth; not setting interface ${interfaceId} for BulkRegistrarController`,
+    )
+    return
+  }
+
+  const resolver = await ethers.getContractAt(
+    'OwnedResolver',
+    resolverAddress,
+    await ethers.getSigner(owner),
+  )
+  if (
+    (await resolver.interfaceImplementer(namehash('eth'), interfaceId)) ===
+    controller.address
+  ) {
+    return
+  }
+  const tx4 = await resolver.setInterface(
+    namehash('eth'),
+    interfaceId,
+    controller.address,
+  )
+  console.log(
+    `Setting BulkRegistrarController interface ${interfaceId} on .eth resolver (tx: ${tx4.hash})...`,
+  )
+  await tx4.wait()
+}
+
+func.tags = ['ethregistrar', 'BulkRegistrarController']
+func.dependencies = [
+  'ENSRegistry',
+  'BaseRegistrarImplementation',
+  'StablePriceOracle',
+  'ReverseRegistrar',
+  'NameWrapper',
+]
+
+export default func
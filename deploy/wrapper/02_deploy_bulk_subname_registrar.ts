@@ -0,0 +1,23 @@
+import { ethers } from 'hardhat'
+import { DeployFunction } from 'hardhat-deploy/types'
+import { HardhatRuntimeEnvironment } from 'hardhat/types'
+
+const func: DeployFunction = async function (hre: HardhatRuntimeEnvironment) {
+  const { getNamedAccounts, deployments } = hre
+  const { deploy } = deployments
+  const { deployer } = await getNamedAccounts()
+
+  const nameWrapper = await ethers.getContract('NameWrapper')
+
+  await deploy('BulkSubnameRegistrar', {
+    from: deployer,
+    args: [nameWrapper.address],
+    log: true,
+  })
+}
+
+func.id = 'bulk-subname-registrar'
+func.tags = ['wrapper', 'BulkSubnameRegistrar']
+func.dependencies = ['NameWrapper']
+
+export default func
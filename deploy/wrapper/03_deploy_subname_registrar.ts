@@ -0,0 +1,23 @@
+import { ethers } from 'hardhat'
+import { DeployFunction } from 'hardhat-deploy/types'
+import { HardhatRuntimeEnvironment } from 'hardhat/types'
+
+const func: DeployFunction = async function (hre: HardhatRuntimeEnvironment) {
+  const { getNamedAccounts, deployments } = hre
+  const { deploy } = deployments
+  const { deployer } = await getNamedAccounts()
+
+  const nameWrapper = await ethers.getContract('NameWrapper')
+
+  await deploy('SubnameRegistrar', {
+    from: deployer,
+    args: [nameWrapper.address, 60, 86400],
+    log: true,
+  })
+}
+
+func.id = 'subname-registrar'
+func.tags = ['wrapper', 'SubnameRegistrar']
+func.dependencies = ['NameWrapper']
+
+export default func
@@ -9,7 +9,7 @@ import fs from 'fs/promises'
 import 'hardhat-abi-exporter'
 import 'hardhat-deploy'
 import 'hardhat-gas-reporter'
-import { HardhatUserConfig, task } from 'hardhat/config'
+import { HardhatUserConfig, task, types } from 'hardhat/config'
 import { Artifact } from 'hardhat/types'
 import { promisify } from 'util'
 
@@ -120,6 +120,206 @@ task('save', 'Saves a specified contract as a deployed contract')
     },
   )
 
+task(
+  'bulk-register',
+  'Registers the names in a manifest through BulkRegistrarController',
+)
+  .addParam('manifest', 'Path to a CSV or JSON manifest of names to register')
+  .addOptionalParam(
+    'state',
+    'Path of the file used to resume an interrupted run (defaults to <manifest>.state.json)',
+  )
+  .addOptionalParam(
+    'controller',
+    'BulkRegistrarController address (defaults to the deployed controller)',
+  )
+  .addFlag(
+    'dryRun',
+    'Validate and quote the manifest without sending transactions',
+  )
+  .addFlag('commitOnly', 'Exit after committing; run again later to register')
+  .addFlag(
+    'skipFailures',
+    'Skip names that became unavailable after the commit instead of reverting',
+  )
+  .setAction(
+    async (
+      {
+        manifest,
+        state,
+        controller,
+        dryRun,
+        commitOnly,
+        skipFailures,
+      }: {
+        manifest: string
+        state?: string
+        controller?: string
+        dryRun: boolean
+        commitOnly: boolean
+        skipFailures: boolean
+      },
+      hre,
+    ) => {
+      const { bulkRegister } = require('./lib/ethregistrar/bulkRegister')
+      const [signer] = await hre.ethers.getSigners()
+      const address =
+        controller ||
+        (await hre.deployments.get('BulkRegistrarController')).address
+      await bulkRegister({
+        controller: address,
+        signer,
+        manifest,
+        statePath: state,
+        dryRun,
+        commitOnly,
+        skipFailures,
+      })
+    },
+  )
+
+task(
+  'allowlist',
+  'Builds the merkle tree for a BulkRegistrarController allowlist from a CSV',
+)
+  .addParam('csv', 'Path to a CSV with name and owner columns')
+  .addParam('out', 'Path to write the root and proofs to, as JSON')
+  .setAction(async ({ csv, out }: { csv: string; out: string }) => {
+    const {
+      buildAllowlist,
+      parseAllowlist,
+    } = require('./lib/ethregistrar/allowlist')
+    const allowlist = buildAllowlist(
+      parseAllowlist(await fs.readFile(csv, 'utf8')),
+    )
+    await fs.writeFile(out, JSON.stringify(allowlist, null, 2))
+    console.log(
+      `Allowlist of ${allowlist.entries.length} entries has root ${allowlist.root}`,
+    )
+  })
+
+task('renew-expiring', 'Renews names through BulkRenewal before they expire')
+  .addParam('bulkRenewal', 'BulkRenewal address')
+  .addParam('names', 'Path to a file listing the names to renew, one per line')
+  .addOptionalParam(
+    'threshold',
+    'Renew names expiring within this long, in seconds or with a d or y suffix',
+    '30d',
+  )
+  .addOptionalParam('duration', 'How long to renew names for', '1y')
+  .addOptionalParam('maxTotalCost', 'The most ether to spend in this run')
+  .addOptionalParam(
+    'maxPricePerName',
+    'Skip names that cost more than this much ether to renew',
+  )
+  .addFlag('dryRun', 'List the renewals without sending them')
+  .setAction(
+    async (
+      {
+        bulkRenewal,
+        names,
+        threshold,
+        duration,
+        maxTotalCost,
+        maxPricePerName,
+        dryRun,
+      }: {
+        bulkRenewal: string
+        names: string
+        threshold: string
+        duration: string
+        maxTotalCost?: string
+        maxPricePerName?: string
+        dryRun: boolean
+      },
+      hre,
+    ) => {
+      const { RenewalKeeper } = require('./lib/ethregistrar/keeper')
+      const { parseDuration } = require('./lib/ethregistrar/manifest')
+      const { parseEther } = hre.ethers.utils
+      const [signer] = await hre.ethers.getSigners()
+      const keeper = new RenewalKeeper(bulkRenewal, signer, {
+        names: (await fs.readFile(names, 'utf8'))
+          .split('\n')
+          .map((line) => line.trim())
+          .filter((line) => line !== '' && !line.startsWith('#')),
+        threshold: parseDuration(threshold),
+        duration: parseDuration(duration),
+        policy: {
+          maxTotalCost: maxTotalCost && parseEther(maxTotalCost),
+          maxPricePerName: maxPricePerName && parseEther(maxPricePerName),
+        },
+        dryRun,
+      })
+      await keeper.run()
+    },
+  )
+
+task('portfolio', 'Indexes the names of a set of accounts and lists them')
+  .addParam('owners', 'Comma-separated accounts whose names to index')
+  .addOptionalParam(
+    'store',
+    'Path of the file the index is kept in between runs',
+    'portfolio.json',
+  )
+  .addOptionalParam('startBlock', 'The first block to index', 0, types.int)
+  .addOptionalParam(
+    'confirmations',
+    'Blocks before a block is treated as final',
+    12,
+    types.int,
+  )
+  .setAction(
+    async (
+      {
+        owners,
+        store,
+        startBlock,
+        confirmations,
+      }: {
+        owners: string
+        store: string
+        startBlock: number
+        confirmations: number
+      },
+      hre,
+    ) => {
+      const { PortfolioIndexer } = require('./lib/ethregistrar/indexer')
+      const controllers: string[] = []
+      for (const name of [
+        'ETHRegistrarController',
+        'BulkRegistrarController',
+      ]) {
+        const deployment = await hre.deployments.getOrNull(name)
+        if (deployment) controllers.push(deployment.address)
+      }
+      const indexer = new PortfolioIndexer(hre.ethers.provider, {
+        registrar: (await hre.deployments.get('BaseRegistrarImplementation'))
+          .address,
+        nameWrapper: (await hre.deployments.get('NameWrapper')).address,
+        registry: (await hre.deployments.get('ENSRegistry')).address,
+        controllers,
+        owners: owners.split(','),
+        storePath: store,
+        startBlock,
+        confirmations,
+      })
+      const { block } = await indexer.sync()
+      console.log(`Indexed up to block ${block}`)
+      for (const record of indexer.names()) {
+        const expiry = record.expires || record.wrapperExpiry
+        console.log(
+          [
+            record.name || record.node,
+            record.owner,
+            record.wrapped ? 'wrapped' : 'unwrapped',
+            expiry ? new Date(expiry * 1000).toISOString() : 'no expiry',
+          ].join('\t'),
+        )
+      }
+    },
+  )
+
 let real_accounts = undefined
 if (process.env.DEPLOYER_KEY) {
   real_accounts = [process.env.DEPLOYER_KEY, process.env.OWNER_KEY || process.env.DEPLOYER_KEY]
@@ -170,6 +370,18 @@ const config: HardhatUserConfig = {
         },
       },
     ],
+    overrides: {
+      // Optimised for size to stay under the 24KB contract size limit.
+      'contracts/ethregistrar/BulkRegistrarController.sol': {
+        version: '0.8.13',
+        settings: {
+          optimizer: {
+            enabled: true,
+            runs: 200,
+          },
+        },
+      },
+    },
   },
   abiExporter: {
     path: './build/contracts',
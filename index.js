@@ -1,5 +1,6 @@
 const BaseRegistrar = require('./build/contracts/BaseRegistrar')
 const BaseRegistrarImplementation = require('./build/contracts/BaseRegistrarImplementation')
+const BulkRegistrarController = require('./build/contracts/BulkRegistrarController')
 const BulkRenewal = require('./build/contracts/BulkRenewal')
 const ENS = require('./build/contracts/ENS')
 const ENSRegistry = require('./build/contracts/ENSRegistry')
@@ -8,8 +9,10 @@ const ExponentialPremiumPriceOracle = require('./build/contracts/ExponentialPrem
 const ETHRegistrarController = require('./build/contracts/ETHRegistrarController')
 const FIFSRegistrar = require('./build/contracts/FIFSRegistrar')
 const LinearPremiumPriceOracle = require('./build/contracts/LinearPremiumPriceOracle')
+const PremiumLimitOrders = require('./build/contracts/PremiumLimitOrders')
 const PriceOracle = require('./build/contracts/PriceOracle')
 const PublicResolver = require('./build/contracts/PublicResolver')
+const RenewalVault = require('./build/contracts/RenewalVault')
 const Resolver = require('./build/contracts/Resolver')
 const ReverseRegistrar = require('./build/contracts/ReverseRegistrar')
 const TestRegistrar = require('./build/contracts/TestRegistrar')
@@ -27,9 +30,49 @@ const SHA256Digest = require('./build/contracts/SHA256Digest')
 const SHA1Digest = require('./build/contracts/SHA1Digest')
 const SHA1NSEC3Digest = require('./build/contracts/SHA1NSEC3Digest')
 
+const {
+  buildAllowlist,
+  parseAllowlist,
+  proofsFor,
+} = require('./lib/ethregistrar/allowlist')
+const { BulkRegistrarClient } = require('./lib/ethregistrar/BulkRegistrarClient')
+const {
+  ReverseRecord,
+  generateSecret,
+  makeBulkCommitment,
+  makeCommitment,
+  makePlaceholder,
+  selectRegistrations,
+} = require('./lib/ethregistrar/commitments')
+const {
+  CommitmentState,
+  getCommitmentStatuses,
+  waitUntilRevealable,
+} = require('./lib/ethregistrar/commitmentStatus')
+const {
+  estimateBatchGas,
+  planBatches,
+} = require('./lib/ethregistrar/gasPlanner')
+const {
+  checkNames,
+  normaliseName,
+  normaliseNames,
+} = require('./lib/ethregistrar/normalisation')
+const { quoteWithBuffer } = require('./lib/ethregistrar/quotes')
+const {
+  decodeRevert,
+  simulateRegistrations,
+} = require('./lib/ethregistrar/simulation')
+const { signVoucher } = require('./lib/ethregistrar/vouchers')
+const { signRegistrationIntent } = require('./lib/ethregistrar/intents')
+const { decodeRegistrationReceipt } = require('./lib/ethregistrar/receipts')
+const { PortfolioIndexer } = require('./lib/ethregistrar/indexer')
+const { RenewalKeeper } = require('./lib/ethregistrar/keeper')
+
 module.exports = {
   BaseRegistrar,
   BaseRegistrarImplementation,
+  BulkRegistrarController,
   BulkRenewal,
   ENS,
   ENSRegistry,
@@ -38,8 +81,10 @@ module.exports = {
   ETHRegistrarController,
   FIFSRegistrar,
   LinearPremiumPriceOracle,
+  PremiumLimitOrders,
   PriceOracle,
   PublicResolver,
+  RenewalVault,
   Resolver,
   ReverseRegistrar,
   StablePriceOracle,
@@ -55,4 +100,30 @@ module.exports = {
   SHA256Digest,
   SHA1Digest,
   SHA1NSEC3Digest,
+  BulkRegistrarClient,
+  CommitmentState,
+  PortfolioIndexer,
+  RenewalKeeper,
+  ReverseRecord,
+  buildAllowlist,
+  checkNames,
+  decodeRegistrationReceipt,
+  decodeRevert,
+  estimateBatchGas,
+  generateSecret,
+  getCommitmentStatuses,
+  makeBulkCommitment,
+  makeCommitment,
+  makePlaceholder,
+  normaliseName,
+  normaliseNames,
+  parseAllowlist,
+  planBatches,
+  proofsFor,
+  quoteWithBuffer,
+  selectRegistrations,
+  signRegistrationIntent,
+  signVoucher,
+  simulateRegistrations,
+  waitUntilRevealable,
 }
@@ -0,0 +1,255 @@
+const { BigNumber, Contract, constants } = require('ethers')
+const {
+  generateSecret,
+  makeBulkCommitment,
+  normaliseRegistration,
+} = require('./commitments')
+const {
+  COMMITMENT_STATUS_ABI,
+  waitUntilRevealable,
+} = require('./commitmentStatus')
+const { requireNormalised } = require('./normalisation')
+const { DEFAULT_BUFFER, quoteWithBuffer } = require('./quotes')
+const {
+  REGISTRATION_EVENTS_ABI,
+  decodeRegistrationReceipt,
+} = require('./receipts')
+const { NO_VOUCHER } = require('./vouchers')
+
+const REGISTRATION_TUPLE =
+  'tuple(string name, address owner, uint256 duration, address resolver, bytes12 secret, bytes[] data, uint8 reverseRecord, uint32 fuses, uint64 wrapperExpiry)'
+const OPTIONS_TUPLE =
+  'tuple(bool skipFailures, address paymentToken, address refundRecipient, uint256 maxTotalCost, uint256[] maxPrices, address referrer, tuple(bytes32 id, uint16 discountBps, uint256 deadline, bytes signature) voucher)'
+
+const RESULTS =
+  'tuple(bytes32 node, uint256 expires, uint256 baseCost, uint256 premium, uint256 refund)[] results, uint256 refund'
+
+const BULK_REGISTRAR_CONTROLLER_ABI = [
+  ...REGISTRATION_EVENTS_ABI,
+  'function MIN_REGISTRATION_DURATION() view returns (uint256)',
+  'function valid(string name) view returns (bool)',
+  'function available(string name) view returns (bool)',
+  'function minCommitmentAge() view returns (uint256)',
+  'function maxCommitmentAge() view returns (uint256)',
+  'function commitments(bytes32) view returns (uint256)',
+  'function nameWrapper() view returns (address)',
+  'function reverseRegistrar() view returns (address)',
+  'function paymentTokens(address) view returns (address)',
+  'function referralRewards(address referrer, address token) view returns (uint256)',
+  'function nonces(address account) view returns (uint256)',
+  'function allowlistStart() view returns (uint64)',
+  'function allowlistEnd() view returns (uint64)',
+  'function allowlisted(string name, address owner, bytes32[] proof) view returns (bool)',
+  ...COMMITMENT_STATUS_ABI,
+  'function rentPrice(string name, uint256 duration) view returns (tuple(uint256 base, uint256 premium))',
+  'function rentPriceInToken(string name, uint256 duration, address token) view returns (uint256)',
+  'function commit(bytes32 commitment)',
+  `function register(${REGISTRATION_TUPLE}[] registrations) payable returns (${RESULTS})`,
+  `function registerWithOptions(${REGISTRATION_TUPLE}[] registrations, ${OPTIONS_TUPLE} options) payable returns (${RESULTS})`,
+  `function registerWithProofs(${REGISTRATION_TUPLE}[] registrations, ${OPTIONS_TUPLE} options, bytes32[][] proofs) payable returns (${RESULTS})`,
+  `function registerWithSig(${REGISTRATION_TUPLE}[] registrations, ${OPTIONS_TUPLE} options, address registrant, uint256 deadline, bytes signature, bytes32[][] proofs) payable returns (${RESULTS})`,
+  'function withdrawReferralRewards(address token)',
+]
+
+/**
+ * Fills in defaults for the options passed to `registerWithOptions`.
+ */
+function normaliseOptions(options = {}) {
+  return {
+    skipFailures: !!options.skipFailures,
+    paymentToken: options.paymentToken || constants.AddressZero,
+    refundRecipient: options.refundRecipient || constants.AddressZero,
+    maxTotalCost: BigNumber.from(options.maxTotalCost || 0),
+    maxPrices: (options.maxPrices || []).map((price) => BigNumber.from(price)),
+    referrer: options.referrer || constants.AddressZero,
+    voucher: options.voucher || NO_VOUCHER,
+  }
+}
+
+/**
+ * Drives the commit/reveal flow of a BulkRegistrarController for one batch.
+ *
+ * Usage:
+ *   const client = new BulkRegistrarClient(address, signer)
+ *   client.prepare([{ name: 'foo', owner, duration }])
+ *   await client.commit()
+ *   await client.waitUntilRevealable()
+ *   const { refund } = await client.register()
+ */
+class BulkRegistrarClient {
+  constructor(address, signerOrProvider, options = {}) {
+    this.controller = new Contract(
+      address,
+      BULK_REGISTRAR_CONTROLLER_ABI,
+      signerOrProvider,
+    )
+    this.valueBuffer =
+      options.valueBuffer === undefined ? DEFAULT_BUFFER : options.valueBuffer
+    this.premiumHalfLife = options.premiumHalfLife
+    this.pollInterval = options.pollInterval
+    this.registrations = undefined
+    this.commitment = undefined
+    this.committedAt = undefined
+  }
+
+  /**
+   * Fills in defaults and secrets for a batch and computes its commitment.
+   * Registrations without a secret share one freshly generated secret.
+   * Names must already be normalised; see `normaliseNames`.
+   * @return The commitment hash to be passed to `commit`.
+   */
+  prepare(registrations) {
+    if (registrations.length === 0) {
+      throw new Error('BulkRegistrarClient: no registrations supplied')
+    }
+    requireNormalised(registrations)
+    const secret = generateSecret()
+    this.registrations = registrations.map((registration) =>
+      normaliseRegistration({ secret, ...registration }),
+    )
+    this.commitment = makeBulkCommitment(this.registrations)
+    this.committedAt = undefined
+    return this.commitment
+  }
+
+  async commit(overrides = {}) {
+    this._requirePrepared()
+    const tx = await this.controller.commit(this.commitment, overrides)
+    const receipt = await tx.wait()
+    const block = await this.controller.provider.getBlock(receipt.blockNumber)
+    this.committedAt = block.timestamp
+    return receipt
+  }
+
+  /**
+   * Resolves with the batch's commitment status once the latest block is at
+   * least `minCommitmentAge` seconds after the commitment was mined.
+   */
+  async waitUntilRevealable() {
+    this._requirePrepared()
+    if (this.committedAt === undefined) {
+      this.committedAt = (
+        await this.controller.commitments(this.commitment)
+      ).toNumber()
+    }
+    if (this.committedAt === 0) {
+      throw new Error('BulkRegistrarClient: batch has not been committed')
+    }
+    return waitUntilRevealable(this.controller, this.commitment, {
+      pollInterval: this.pollInterval,
+    })
+  }
+
+  /**
+   * Prices every registration in the batch, skipping placeholders. Premiums
+   * are decayed to the earliest time the batch can be revealed.
+   * @return `prices` per registration and their `total` as quoted now, the
+   *         buffered `maxPrices` and `maxTotalCost` to pass to `register` as
+   *         slippage limits, and the `value` to send.
+   */
+  async quote() {
+    this._requirePrepared()
+    let at
+    if (this.committedAt) {
+      at =
+        this.committedAt + (await this.controller.minCommitmentAge()).toNumber()
+    }
+    const quote = await quoteWithBuffer(this.controller, this.registrations, {
+      at,
+      bufferBps: this.valueBuffer,
+      premiumHalfLife: this.premiumHalfLife,
+    })
+    const total = quote.prices.reduce(
+      (sum, price) => sum.add(price.base).add(price.premium),
+      BigNumber.from(0),
+    )
+    return { ...quote, total }
+  }
+
+  /**
+   * Reveals the committed batch. Any value above the actual cost is refunded
+   * by the controller. Returns the `receipt`, the `value` sent, the batch's
+   * `cost`, and the rest of its outcome as decoded by
+   * `decodeRegistrationReceipt`.
+   * @param overrides Transaction overrides; `value` defaults to `quote().value`.
+   * @param options.skipFailures Skip and refund entries that have become
+   *        unavailable instead of reverting the batch. Skipped entries are
+   *        returned in `skipped`.
+   * @param options.paymentToken Pay in this accepted ERC20 token instead of
+   *        ether. The controller must already be approved to spend it; the
+   *        amount pulled is returned in `tokenAmount`.
+   * @param options.refundRecipient Send the refund here instead of the
+   *        signer. If it cannot receive ether the refund is held by the
+   *        controller for it to claim with `withdrawRefund()`.
+   * @param options.maxTotalCost Revert (or skip entries) rather than spend
+   *        more than this in wei, e.g. `quote().maxTotalCost`.
+   * @param options.maxPrices Per-registration price limits in wei, e.g.
+   *        `quote().maxPrices`.
+   * @param options.referrer Credit this account with the controller's
+   *        referral share of what the batch costs.
+   * @param options.voucher A discount voucher for the signer; see
+   *        `signVoucher`. Ether sent beyond the discounted cost is refunded.
+   * @param options.proofs Allowlist proofs, one per registration, to register
+   *        while the controller's allowlist window is open; see `proofsFor`.
+   *        They may be given with an `intent`, which does not cover them.
+   * @param options.intent Register on behalf of the account that signed this
+   *        intent, from `signRegistrationIntent` over the prepared batch and
+   *        the same options, with the signer relaying and paying for it.
+   */
+  async register(overrides = {}, options = {}) {
+    this._requirePrepared()
+    const paymentToken = options.paymentToken || constants.AddressZero
+    const payInToken = paymentToken !== constants.AddressZero
+    let value = BigNumber.from(0)
+    if (!payInToken) {
+      value =
+        overrides.value === undefined
+          ? (await this.quote()).value
+          : BigNumber.from(overrides.value)
+    }
+    const txOptions = { ...overrides, value }
+    const registrationOptions = normaliseOptions(options)
+    let tx
+    if (options.intent) {
+      const { registrant, deadline, signature } = options.intent
+      tx = await this.controller.registerWithSig(
+        this.registrations,
+        registrationOptions,
+        registrant,
+        deadline,
+        signature,
+        options.proofs || [],
+        txOptions,
+      )
+    } else if (options.proofs) {
+      tx = await this.controller.registerWithProofs(
+        this.registrations,
+        registrationOptions,
+        options.proofs,
+        txOptions,
+      )
+    } else {
+      tx = await this.controller.registerWithOptions(
+        this.registrations,
+        registrationOptions,
+        txOptions,
+      )
+    }
+    const receipt = await tx.wait()
+    const result = decodeRegistrationReceipt(receipt, this.controller.address)
+    return { receipt, ...result, value, cost: result.totalCost }
+  }
+
+  _requirePrepared() {
+    if (this.registrations === undefined) {
+      throw new Error('BulkRegistrarClient: call prepare() first')
+    }
+  }
+}
+
+module.exports = {
+  BULK_REGISTRAR_CONTROLLER_ABI,
+  OPTIONS_TUPLE,
+  BulkRegistrarClient,
+  normaliseOptions,
+}
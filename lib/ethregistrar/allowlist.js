@@ -0,0 +1,161 @@
+const { utils } = require('ethers')
+const { parseCsv } = require('./manifest')
+const { describeDiagnostic, normaliseName } = require('./normalisation')
+
+/**
+ * Hashes an allowlist entry as BulkRegistrarController.allowlisted does:
+ * `keccak256(keccak256(abi.encode(name, owner)))`.
+ */
+function allowlistLeaf(name, owner) {
+  return utils.keccak256(
+    utils.keccak256(
+      utils.defaultAbiCoder.encode(['string', 'address'], [name, owner]),
+    ),
+  )
+}
+
+// Pairs are hashed in sorted order, as OpenZeppelin's MerkleProof expects.
+function hashPair(a, b) {
+  return utils.keccak256(
+    utils.concat(a.toLowerCase() < b.toLowerCase() ? [a, b] : [b, a]),
+  )
+}
+
+/**
+ * Builds the merkle tree for a list of `{ name, owner }` entries, which must
+ * be normalised names without the `.eth` suffix.
+ * @return The `root` to pass to `setAllowlist`, and the `entries` with their
+ *         `leaf` and `proof` to pass to `registerWithProofs`.
+ */
+function buildAllowlist(entries) {
+  if (entries.length === 0) {
+    throw new Error('Allowlist: no entries supplied')
+  }
+  const seen = new Set()
+  const leaves = entries.map(({ name, owner }) => {
+    const leaf = allowlistLeaf(name, utils.getAddress(owner))
+    if (seen.has(leaf)) {
+      throw new Error(`Allowlist: duplicate entry for "${name}" and ${owner}`)
+    }
+    seen.add(leaf)
+    return leaf
+  })
+
+  // Leaves are sorted so the root does not depend on the input order; an
+  // unpaired node is carried up to the next level unchanged.
+  const levels = [[...leaves].sort()]
+  while (levels[levels.length - 1].length > 1) {
+    const level = levels[levels.length - 1]
+    const next = []
+    for (let i = 0; i < level.length; i += 2) {
+      next.push(
+        i + 1 < level.length ? hashPair(level[i], level[i + 1]) : level[i],
+      )
+    }
+    levels.push(next)
+  }
+
+  const proofOf = (leaf) => {
+    const proof = []
+    let index = levels[0].indexOf(leaf)
+    for (const level of levels.slice(0, -1)) {
+      const sibling = index % 2 === 0 ? index + 1 : index - 1
+      if (sibling < level.length) {
+        proof.push(level[sibling])
+      }
+      index = Math.floor(index / 2)
+    }
+    return proof
+  }
+
+  return {
+    root: levels[levels.length - 1][0],
+    entries: entries.map(({ name, owner }, i) => ({
+      name,
+      owner: utils.getAddress(owner),
+      leaf: leaves[i],
+      proof: proofOf(leaves[i]),
+    })),
+  }
+}
+
+/**
+ * Checks `proof` against `root` the way MerkleProof.verify does.
+ */
+function verifyAllowlistProof(root, name, owner, proof) {
+  const computed = proof.reduce(hashPair, allowlistLeaf(name, owner))
+  return computed.toLowerCase() === root.toLowerCase()
+}
+
+/**
+ * Parses a CSV allowlist with `name` and `owner` columns into entries for
+ * `buildAllowlist`. Every invalid row is reported at once.
+ */
+function parseAllowlist(text) {
+  const rows = parseCsv(text)
+    .map((fields, index) => ({ row: index + 1, fields }))
+    .filter(
+      ({ fields }) =>
+        fields.some((field) => field.trim() !== '') &&
+        !fields[0].trim().startsWith('#'),
+    )
+  if (rows.length === 0) {
+    throw new Error('Allowlist: no entries found')
+  }
+  const header = rows[0].fields.map((field) => field.trim().toLowerCase())
+  const nameColumn = header.indexOf('name')
+  const ownerColumn = header.indexOf('owner')
+  if (nameColumn === -1 || ownerColumn === -1) {
+    throw new Error('Allowlist: expected "name" and "owner" columns')
+  }
+
+  const errors = []
+  const entries = []
+  for (const { row, fields } of rows.slice(1)) {
+    const name = (fields[nameColumn] || '').trim().replace(/\.eth$/, '')
+    const normalised = normaliseName(name)
+    if (normalised.error !== undefined || normalised.changed) {
+      errors.push(`Allowlist row ${row}: ${describeDiagnostic(normalised)}`)
+      continue
+    }
+    const owner = fields[ownerColumn] || ''
+    try {
+      entries.push({ name, owner: utils.getAddress(owner.trim()) })
+    } catch (e) {
+      errors.push(`Allowlist row ${row}: invalid owner "${owner}"`)
+    }
+  }
+  if (errors.length > 0) {
+    throw new Error(errors.join('\n'))
+  }
+  return entries
+}
+
+/**
+ * Returns the proof for each registration from a built allowlist, in order,
+ * for `registerWithProofs`. Placeholders get empty proofs.
+ */
+function proofsFor(allowlist, registrations) {
+  return registrations.map(({ name, owner }) => {
+    if (!name) {
+      return []
+    }
+    const entry = allowlist.entries.find(
+      (entry) =>
+        entry.name === name &&
+        entry.owner.toLowerCase() === owner.toLowerCase(),
+    )
+    if (entry === undefined) {
+      throw new Error(`Allowlist: "${name}" is not allowlisted for ${owner}`)
+    }
+    return entry.proof
+  })
+}
+
+module.exports = {
+  allowlistLeaf,
+  buildAllowlist,
+  parseAllowlist,
+  proofsFor,
+  verifyAllowlistProof,
+}
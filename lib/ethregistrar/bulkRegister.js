@@ -0,0 +1,289 @@
+const fs = require('fs')
+const path = require('path')
+const { utils } = require('ethers')
+const { BulkRegistrarClient } = require('./BulkRegistrarClient')
+const { CommitmentState, getCommitmentStatuses } = require('./commitmentStatus')
+const { parseManifest } = require('./manifest')
+const {
+  REGISTRATION_EVENTS_ABI,
+  decodeRegistrationReceipt,
+} = require('./receipts')
+const { simulateRegistrations } = require('./simulation')
+
+const STATE_VERSION = 1
+const BATCH_REGISTERED = new utils.Interface(
+  REGISTRATION_EVENTS_ABI,
+).getEventTopic('BatchRegistered')
+
+function readManifest(manifestPath) {
+  const text = fs.readFileSync(manifestPath, 'utf8')
+  const format =
+    path.extname(manifestPath).toLowerCase() === '.json' ? 'json' : 'csv'
+  return {
+    registrations: parseManifest(text, format),
+    manifestHash: utils.keccak256(utils.toUtf8Bytes(text)),
+  }
+}
+
+function readState(statePath) {
+  if (!fs.existsSync(statePath)) {
+    return undefined
+  }
+  const state = JSON.parse(fs.readFileSync(statePath, 'utf8'))
+  if (state.version !== STATE_VERSION) {
+    throw new Error(`Unsupported state file version ${state.version}`)
+  }
+  return state
+}
+
+// Writes to a temporary file first so an interrupted write cannot leave a
+// truncated state file behind.
+function writeState(statePath, state) {
+  const tmpPath = `${statePath}.tmp`
+  fs.writeFileSync(tmpPath, JSON.stringify(state, null, 2))
+  fs.renameSync(tmpPath, statePath)
+}
+
+// Records a registered batch, as returned by `decodeRegistrationReceipt`.
+function withRegistration(state, { transactionHash, registered, skipped }) {
+  return {
+    ...state,
+    registerTx: transactionHash,
+    registered: registered.map(({ name }) => name),
+    skipped,
+  }
+}
+
+// Looks up the registration of a batch whose commitment the controller has
+// consumed, for a run that stopped before saving it.
+async function findRegistration(controller, state) {
+  const { provider } = controller
+  const commitReceipt =
+    state.commitTx && (await provider.getTransactionReceipt(state.commitTx))
+  const [log] = await provider.getLogs({
+    address: controller.address,
+    topics: [BATCH_REGISTERED, state.commitment],
+    fromBlock: commitReceipt ? commitReceipt.blockNumber : 0,
+    toBlock: 'latest',
+  })
+  if (log === undefined) {
+    return undefined
+  }
+  return decodeRegistrationReceipt(
+    await provider.getTransactionReceipt(log.transactionHash),
+    controller.address,
+  )
+}
+
+function serialiseRegistration(registration) {
+  return {
+    ...registration,
+    duration: registration.duration.toString(),
+    wrapperExpiry: registration.wrapperExpiry.toString(),
+  }
+}
+
+/**
+ * Checks every registration against the controller before anything is
+ * committed, so a bad row cannot cost a commit.
+ * @return A list of problems, empty if the batch can be registered.
+ */
+async function validateRegistrations(controller, registrations) {
+  const minDuration = await controller.MIN_REGISTRATION_DURATION()
+  const problems = []
+  const seen = new Set()
+  for (const { name, duration } of registrations) {
+    if (seen.has(name)) {
+      problems.push(`${name}.eth appears more than once`)
+      continue
+    }
+    seen.add(name)
+    if (!(await controller.valid(name))) {
+      problems.push(`${name}.eth is not a valid name`)
+    } else if (!(await controller.available(name))) {
+      problems.push(`${name}.eth is not available`)
+    }
+    if (minDuration.gt(duration)) {
+      problems.push(
+        `${name}.eth duration is below the minimum of ${minDuration} seconds`,
+      )
+    }
+  }
+  return problems
+}
+
+/**
+ * Registers every name in a manifest through a BulkRegistrarController.
+ *
+ * Progress is saved to `statePath` before the commit is sent, once it is
+ * mined and after the reveal, so a run that is interrupted, or stopped with
+ * `commitOnly`, picks up where it left off when started again with the same
+ * manifest: a commit that was sent is not paid for again, and a batch that
+ * was registered is found from its `BatchRegistered` event. The state file
+ * holds the commitment secret and must be kept private until the names are
+ * registered.
+ *
+ * @param options.controller BulkRegistrarController address.
+ * @param options.signer Signer that commits and pays for the batch.
+ * @param options.manifest Path to a CSV or JSON manifest.
+ * @param options.statePath Defaults to `<manifest>.state.json`.
+ * @param options.dryRun Validate, quote and simulate the batch with
+ *        `simulateRegistrations` only; send no transactions.
+ * @param options.commitOnly Stop once the batch is committed.
+ * @param options.skipFailures Skip names that became unavailable after the
+ *        commit instead of reverting the batch.
+ * @param options.pollInterval Passed to BulkRegistrarClient.
+ * @param options.log Progress logger, `console.log` by default.
+ * @return The saved state, or the quote and `simulation` report for a dry
+ *         run.
+ */
+async function bulkRegister(options) {
+  const log = options.log || console.log
+  const statePath = options.statePath || `${options.manifest}.state.json`
+  const { registrations, manifestHash } = readManifest(options.manifest)
+  const client = new BulkRegistrarClient(options.controller, options.signer, {
+    pollInterval: options.pollInterval,
+  })
+  const controller = client.controller
+
+  let state = readState(statePath)
+  if (state !== undefined) {
+    if (state.manifestHash !== manifestHash) {
+      throw new Error(
+        `${statePath} was created for a different manifest; delete it to start over`,
+      )
+    }
+    if (state.controller.toLowerCase() !== controller.address.toLowerCase()) {
+      throw new Error(
+        `${statePath} was created for the controller at ${state.controller}`,
+      )
+    }
+    if (state.registerTx !== undefined) {
+      log(`Already registered in ${state.registerTx}`)
+      return state
+    }
+    client.prepare(state.registrations)
+    client.committedAt = state.committedAt
+  } else {
+    const problems = await validateRegistrations(controller, registrations)
+    if (problems.length > 0) {
+      throw new Error(`Manifest cannot be registered:\n${problems.join('\n')}`)
+    }
+    client.prepare(registrations)
+    state = {
+      version: STATE_VERSION,
+      controller: controller.address,
+      manifestHash,
+      registrations: client.registrations.map(serialiseRegistration),
+      commitment: client.commitment,
+    }
+  }
+
+  const quote = await client.quote()
+  log(
+    `${registrations.length} names cost ${utils.formatEther(
+      quote.total,
+    )} ETH; sending up to ${utils.formatEther(quote.value)} ETH`,
+  )
+  if (options.dryRun) {
+    const simulation = await simulateRegistrations(
+      controller,
+      client.registrations,
+      {
+        value: quote.value,
+        registrationOptions: {
+          maxPrices: quote.maxPrices,
+          maxTotalCost: quote.maxTotalCost,
+          skipFailures: !!options.skipFailures,
+        },
+      },
+    )
+    for (const { name, status, failures } of simulation.entries) {
+      if (status === 'skipped' || status === 'failed') {
+        log(
+          `${name}.eth would ${
+            status === 'skipped' ? 'be skipped' : 'fail'
+          }: ${failures.join('; ')}`,
+        )
+      }
+    }
+    return { ...quote, simulation }
+  }
+
+  const [status] = await getCommitmentStatuses(controller, [client.commitment])
+  if (status.state === CommitmentState.Expired) {
+    throw new Error(
+      `Commitment ${client.commitment} has expired; delete ${statePath} to start over`,
+    )
+  }
+  if (status.state === CommitmentState.None) {
+    // A commitment that was mined and is gone again has been consumed by the
+    // reveal.
+    const registration =
+      state.committedAt !== undefined &&
+      (await findRegistration(controller, state))
+    if (registration) {
+      state = withRegistration(state, registration)
+      writeState(statePath, state)
+      log(`Already registered in ${state.registerTx}`)
+      return state
+    }
+
+    // Saved first, so the secret of a commit that is sent is never lost.
+    writeState(statePath, state)
+    const receipt = await client.commit()
+    state = {
+      ...state,
+      commitTx: receipt.transactionHash,
+      committedAt: client.committedAt,
+    }
+    writeState(statePath, state)
+    log(`Committed ${client.commitment} in ${receipt.transactionHash}`)
+  } else if (state.committedAt === undefined) {
+    // Committed by a run that stopped before the commit was mined.
+    client.committedAt = (
+      await controller.commitments(client.commitment)
+    ).toNumber()
+    state = { ...state, committedAt: client.committedAt }
+    writeState(statePath, state)
+  }
+
+  if (options.commitOnly) {
+    const { revealableAt } = (
+      await getCommitmentStatuses(controller, [client.commitment])
+    )[0]
+    log(
+      `Run again after ${new Date(
+        revealableAt * 1000,
+      ).toISOString()} to register`,
+    )
+    return state
+  }
+
+  log('Waiting for the commitment to become revealable...')
+  await client.waitUntilRevealable()
+  const { maxPrices, maxTotalCost, value } = await client.quote()
+  const result = await client.register(
+    { value },
+    { maxPrices, maxTotalCost, skipFailures: !!options.skipFailures },
+  )
+  const { receipt, registered, skipped, cost, refund } = result
+  state = withRegistration(state, result)
+  writeState(statePath, state)
+  log(
+    `Registered ${registered.length} names for ${utils.formatEther(
+      cost,
+    )} ETH (refunded ${utils.formatEther(refund)} ETH) in ${
+      receipt.transactionHash
+    }`,
+  )
+  for (const { name, reason } of skipped) {
+    log(`Skipped ${name}.eth: ${reason}`)
+  }
+  return state
+}
+
+module.exports = {
+  bulkRegister,
+  validateRegistrations,
+}
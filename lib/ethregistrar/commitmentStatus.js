@@ -0,0 +1,73 @@
+const { Contract } = require('ethers')
+
+const COMMITMENT_STATUS_ABI = [
+  'function commitmentStatus(bytes32[] commitments) view returns (tuple(uint8 state, uint256 revealableAt, uint256 expiresAt)[])',
+]
+
+// Mirrors ICommitmentStatus.CommitmentState.
+const CommitmentState = Object.freeze({
+  None: 0,
+  Pending: 1,
+  Revealable: 2,
+  Expired: 3,
+})
+
+const DEFAULT_POLL_INTERVAL = 5000
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms))
+
+function asStatusContract(controller) {
+  return new Contract(
+    controller.address,
+    COMMITMENT_STATUS_ABI,
+    controller.signer || controller.provider,
+  )
+}
+
+/**
+ * Looks up the status of each commitment on an ETHRegistrarController or
+ * BulkRegistrarController.
+ * @return One `{ state, revealableAt, expiresAt }` per commitment, with the
+ *         timestamps as numbers.
+ */
+async function getCommitmentStatuses(controller, commitments) {
+  const statuses = await asStatusContract(controller).commitmentStatus(
+    commitments,
+  )
+  return statuses.map(({ state, revealableAt, expiresAt }) => ({
+    state,
+    revealableAt: revealableAt.toNumber(),
+    expiresAt: expiresAt.toNumber(),
+  }))
+}
+
+/**
+ * Resolves with the commitment's status once the latest block is within its
+ * reveal window. Rejects if it was never made or expires before then.
+ * @param options.pollInterval Maximum milliseconds between checks.
+ */
+async function waitUntilRevealable(controller, commitment, options = {}) {
+  const pollInterval = options.pollInterval || DEFAULT_POLL_INTERVAL
+  for (;;) {
+    const [status] = await getCommitmentStatuses(controller, [commitment])
+    switch (status.state) {
+      case CommitmentState.None:
+        throw new Error(`Commitment ${commitment} has not been made`)
+      case CommitmentState.Expired:
+        throw new Error(`Commitment ${commitment} has expired`)
+      case CommitmentState.Revealable:
+        return status
+    }
+    const { timestamp } = await controller.provider.getBlock('latest')
+    await sleep(
+      Math.min((status.revealableAt - timestamp) * 1000, pollInterval),
+    )
+  }
+}
+
+module.exports = {
+  COMMITMENT_STATUS_ABI,
+  CommitmentState,
+  getCommitmentStatuses,
+  waitUntilRevealable,
+}
@@ -0,0 +1,168 @@
+const { BigNumber, constants, utils } = require('ethers')
+
+// Mirrors the argument order of `abi.encode` in
+// BulkRegistrarController.makeCommitment.
+const COMMITMENT_TYPES = [
+  'bytes32', // label
+  'address', // owner
+  'uint256', // duration
+  'address', // resolver
+  'bytes[]', // data
+  'bytes12', // secret
+  'uint8', // reverseRecord
+  'uint32', // fuses
+  'uint64', // wrapperExpiry
+]
+
+// Mirrors IBulkRegistrarController.ReverseRecord: whose reverse record a
+// registration sets.
+const ReverseRecord = Object.freeze({
+  None: 0,
+  Caller: 1,
+  Owner: 2,
+})
+
+const DEFAULT_REGISTRATION = {
+  resolver: constants.AddressZero,
+  data: [],
+  reverseRecord: ReverseRecord.None,
+  fuses: 0,
+  wrapperExpiry: 0,
+}
+
+function labelhash(label) {
+  return utils.keccak256(utils.toUtf8Bytes(label))
+}
+
+/**
+ * Generates a random 12 byte secret suitable for `Registration.secret`.
+ */
+function generateSecret() {
+  return utils.hexlify(utils.randomBytes(12))
+}
+
+/**
+ * Fills in the optional fields of a registration with the same defaults the
+ * contract tests use, so callers only need to supply name, owner and duration.
+ * A boolean `reverseRecord` is read as `Caller` or `None`, as it was before
+ * registrations could name the owner.
+ */
+function normaliseRegistration(registration) {
+  const normalised = { ...DEFAULT_REGISTRATION, ...registration }
+  if (typeof normalised.reverseRecord === 'boolean') {
+    normalised.reverseRecord = normalised.reverseRecord
+      ? ReverseRecord.Caller
+      : ReverseRecord.None
+  }
+  return normalised
+}
+
+/**
+ * Computes the same hash as `BulkRegistrarController.makeCommitment`.
+ */
+function makeCommitment(registration) {
+  const {
+    name,
+    owner,
+    duration,
+    resolver,
+    data,
+    secret,
+    reverseRecord,
+    fuses,
+    wrapperExpiry,
+  } = normaliseRegistration(registration)
+  if (data.length > 0 && resolver === constants.AddressZero) {
+    throw new Error(
+      'BulkRegistrarController: resolver required when data supplied',
+    )
+  }
+  return utils.keccak256(
+    utils.defaultAbiCoder.encode(COMMITMENT_TYPES, [
+      labelhash(name),
+      owner,
+      duration,
+      resolver,
+      data,
+      secret,
+      reverseRecord,
+      fuses,
+      wrapperExpiry,
+    ]),
+  )
+}
+
+/**
+ * Returns true for entries that stand in for an already hashed registration,
+ * which the contract recognises by an empty name.
+ */
+function isPlaceholder(registration) {
+  return registration.name.length === 0
+}
+
+/**
+ * Builds a placeholder entry carrying the commitment of `registration` in its
+ * duration. Revealing a placeholder keeps the bulk commitment intact without
+ * registering the name it stands for.
+ */
+function makePlaceholder(registration) {
+  return normaliseRegistration({
+    name: '',
+    owner: constants.AddressZero,
+    duration: BigNumber.from(makeCommitment(registration)),
+    secret: utils.hexZeroPad('0x', 12),
+  })
+}
+
+/**
+ * Computes the same hash as `BulkRegistrarController.makeBulkCommitment`,
+ * including its handling of placeholder entries.
+ */
+function makeBulkCommitment(registrations) {
+  const hashes = registrations.map((registration) =>
+    isPlaceholder(registration)
+      ? utils.hexZeroPad(
+          BigNumber.from(registration.duration).toHexString(),
+          32,
+        )
+      : makeCommitment(registration),
+  )
+  return utils.keccak256(utils.defaultAbiCoder.encode(['bytes32[]'], [hashes]))
+}
+
+/**
+ * Given a committed batch and the subset of it to register now, returns the
+ * batch with every other entry swapped for its placeholder. The result reveals
+ * against the original commitment.
+ * @param committed The registrations exactly as they were committed.
+ * @param subset Names, or registrations, to keep.
+ */
+function selectRegistrations(committed, subset) {
+  const names = new Set(
+    subset.map((entry) => (typeof entry === 'string' ? entry : entry.name)),
+  )
+  for (const name of names) {
+    if (!committed.some((registration) => registration.name === name)) {
+      throw new Error(
+        `Registration for "${name}" is not in the committed batch`,
+      )
+    }
+  }
+  return committed.map((registration) =>
+    names.has(registration.name) || isPlaceholder(registration)
+      ? normaliseRegistration(registration)
+      : makePlaceholder(registration),
+  )
+}
+
+module.exports = {
+  ReverseRecord,
+  generateSecret,
+  isPlaceholder,
+  labelhash,
+  makeBulkCommitment,
+  makeCommitment,
+  makePlaceholder,
+  normaliseRegistration,
+  selectRegistrations,
+}
@@ -0,0 +1,239 @@
+const { constants, utils } = require('ethers')
+const {
+  ReverseRecord,
+  generateSecret,
+  makeBulkCommitment,
+  normaliseRegistration,
+} = require('./commitments')
+
+const REGISTRATION_TUPLE =
+  'tuple(string name, address owner, uint256 duration, address resolver, bytes12 secret, bytes[] data, uint8 reverseRecord, uint32 fuses, uint64 wrapperExpiry)'
+
+// Gas model for BulkRegistrarController.register, calibrated against the
+// hardhat network. Figures are rounded up, as a batch that runs out of gas
+// costs more than one that is split slightly early.
+const TX_GAS = 21000
+// Decoding the batch, consuming the commitment and refunding the surplus,
+// with headroom for gas refunds only being paid out after execution and for
+// calls only receiving 63/64 of the remaining gas.
+const BATCH_GAS = 70000
+// Registering and wrapping one name, excluding the costs below.
+const REGISTRATION_GAS = 136000
+// Per byte of the name; it is measured and hashed several times.
+const NAME_BYTE_GAS = 600
+// Per storage slot written, for the wrapped name and for record values.
+const SLOT_GAS = 22500
+const RESOLVER_GAS = 25000
+// A record call on the resolver, excluding the storage of its value.
+const RECORD_GAS = 14000
+const RECORD_BYTE_GAS = 70
+// The first reverse record of each address in a batch may create its reverse
+// node; later ones only update it.
+const FIRST_REVERSE_RECORD_GAS = 92000
+const REVERSE_RECORD_GAS = 23000
+// Checking that the sender may set an owner's reverse record: an approval on
+// the registry, or else whether the owner is a contract the sender owns.
+const FIRST_AUTHORISATION_GAS = 12000
+const AUTHORISATION_GAS = 4000
+
+const DEFAULT_GAS_LIMIT = 15000000
+
+// How many bytes of each known resolver setter's arguments end up in storage.
+const RECORD_SETTERS = new utils.Interface([
+  'function setAddr(bytes32 node, address a)',
+  'function setAddr(bytes32 node, uint256 coinType, bytes a)',
+  'function setText(bytes32 node, string key, string value)',
+  'function setContenthash(bytes32 node, bytes hash)',
+  'function setName(bytes32 node, string name)',
+  'function setPubkey(bytes32 node, bytes32 x, bytes32 y)',
+  'function setABI(bytes32 node, uint256 contentType, bytes data)',
+  'function setInterface(bytes32 node, bytes4 interfaceID, address implementer)',
+])
+const STORED_VALUE = {
+  'setAddr(bytes32,address)': () => 20,
+  'setAddr(bytes32,uint256,bytes)': (args) => utils.arrayify(args.a).length,
+  'setText(bytes32,string,string)': (args) =>
+    utils.toUtf8Bytes(args.value).length,
+  'setContenthash(bytes32,bytes)': (args) => utils.arrayify(args.hash).length,
+  'setName(bytes32,string)': (args) => utils.toUtf8Bytes(args.name).length,
+  'setPubkey(bytes32,bytes32,bytes32)': () => 64,
+  'setABI(bytes32,uint256,bytes)': (args) => utils.arrayify(args.data).length,
+  'setInterface(bytes32,bytes4,address)': () => 20,
+}
+
+// Slots used to store a `bytes` or `string` value of `length` bytes.
+function storageSlots(length) {
+  if (length === 0) {
+    return 0
+  }
+  if (length < 32) {
+    return 1
+  }
+  return 1 + Math.ceil(length / 32)
+}
+
+function calldataGas(data) {
+  return utils
+    .arrayify(data)
+    .reduce((gas, byte) => gas + (byte === 0 ? 4 : 16), 0)
+}
+
+function storedRecordLength(data) {
+  try {
+    const call = RECORD_SETTERS.parseTransaction({ data })
+    return STORED_VALUE[call.signature](call.args)
+  } catch (e) {
+    // Unknown setter: assume everything after the selector and node is kept.
+    return Math.max(0, utils.arrayify(data).length - 36)
+  }
+}
+
+/**
+ * Estimates the execution gas one registration adds to a batch, excluding
+ * its calldata.
+ * @param options.firstReverseRecord Whether this is the first entry in the
+ *        batch to set the reverse record of its caller or owner.
+ */
+function estimateRegistrationGas(registration, options = {}) {
+  const { name, resolver, data, reverseRecord } =
+    normaliseRegistration(registration)
+  if (name.length === 0) {
+    // Placeholders are only hashed.
+    return 0
+  }
+  const nameLength = utils.toUtf8Bytes(name).length
+  // The wrapper stores the DNS-encoded name: length prefix, label, ".eth".
+  let gas =
+    REGISTRATION_GAS +
+    nameLength * NAME_BYTE_GAS +
+    storageSlots(nameLength + 6) * SLOT_GAS
+  if (resolver !== constants.AddressZero) {
+    gas += RESOLVER_GAS
+  }
+  for (const record of data) {
+    const length = storedRecordLength(record)
+    gas +=
+      RECORD_GAS + length * RECORD_BYTE_GAS + storageSlots(length) * SLOT_GAS
+  }
+  if (reverseRecord !== ReverseRecord.None) {
+    gas += options.firstReverseRecord
+      ? FIRST_REVERSE_RECORD_GAS
+      : REVERSE_RECORD_GAS
+  }
+  if (reverseRecord === ReverseRecord.Owner) {
+    gas += options.firstReverseRecord
+      ? FIRST_AUTHORISATION_GAS
+      : AUTHORISATION_GAS
+  }
+  return gas
+}
+
+function registrationCalldataGas(registration) {
+  return calldataGas(
+    utils.defaultAbiCoder.encode(
+      [REGISTRATION_TUPLE],
+      [normaliseRegistration(registration)],
+    ),
+  )
+}
+
+// Selector, array offset and array length of a `register` call.
+const REGISTER_CALLDATA_GAS = 4 * 16 + 2 * (30 * 4 + 2 * 16)
+const EMPTY_BATCH_GAS = TX_GAS + REGISTER_CALLDATA_GAS + BATCH_GAS
+
+// Whose reverse record a registration sets: the caller's, which the planner
+// cannot know, or its owner's.
+function reverseRecordTarget({ reverseRecord, owner }) {
+  switch (reverseRecord) {
+    case ReverseRecord.Caller:
+      return 'caller'
+    case ReverseRecord.Owner:
+      return owner.toLowerCase()
+    default:
+      return undefined
+  }
+}
+
+// Gas a registration adds to a batch, including its calldata, given the
+// reverse records already set earlier in the batch.
+function entryGas(registration, reverseRecords) {
+  const normalised = normaliseRegistration(registration)
+  const target = reverseRecordTarget(normalised)
+  return (
+    registrationCalldataGas(normalised) +
+    estimateRegistrationGas(normalised, {
+      firstReverseRecord: target !== undefined && !reverseRecords.has(target),
+    })
+  )
+}
+
+function addReverseRecord(reverseRecords, registration) {
+  const target = reverseRecordTarget(normaliseRegistration(registration))
+  if (target !== undefined) {
+    reverseRecords.add(target)
+  }
+}
+
+/**
+ * Estimates the gas needed to `register` a batch, including the intrinsic
+ * transaction cost and calldata.
+ */
+function estimateBatchGas(registrations) {
+  let gas = EMPTY_BATCH_GAS
+  const reverseRecords = new Set()
+  for (const registration of registrations) {
+    gas += entryGas(registration, reverseRecords)
+    addReverseRecord(reverseRecords, registration)
+  }
+  return gas
+}
+
+/**
+ * Splits registrations, in order, into batches whose estimated gas stays
+ * under `gasLimit`. Each batch is committed and registered on its own.
+ * Registrations without a secret share one freshly generated secret.
+ * @param options.gasLimit Gas budget per batch.
+ * @return `{ registrations, gas, commitment }` for each batch.
+ */
+function planBatches(registrations, options = {}) {
+  const gasLimit = options.gasLimit || DEFAULT_GAS_LIMIT
+  const secret = generateSecret()
+  const batches = []
+  let batch = { registrations: [], gas: EMPTY_BATCH_GAS }
+  let reverseRecords = new Set()
+  for (const registration of registrations) {
+    const normalised = normaliseRegistration({ secret, ...registration })
+    let gas = entryGas(normalised, reverseRecords)
+    if (batch.gas + gas > gasLimit && batch.registrations.length > 0) {
+      batches.push(batch)
+      batch = { registrations: [], gas: EMPTY_BATCH_GAS }
+      reverseRecords = new Set()
+      gas = entryGas(normalised, reverseRecords)
+    }
+    if (batch.gas + gas > gasLimit) {
+      throw new Error(
+        `Registration for "${normalised.name}" needs an estimated ${
+          EMPTY_BATCH_GAS + gas
+        } gas, above the limit of ${gasLimit}`,
+      )
+    }
+    batch.registrations.push(normalised)
+    batch.gas += gas
+    addReverseRecord(reverseRecords, normalised)
+  }
+  if (batch.registrations.length > 0) {
+    batches.push(batch)
+  }
+  return batches.map(({ registrations, gas }) => ({
+    registrations,
+    gas,
+    commitment: makeBulkCommitment(registrations),
+  }))
+}
+
+module.exports = {
+  DEFAULT_GAS_LIMIT,
+  estimateBatchGas,
+  estimateRegistrationGas,
+  planBatches,
+}
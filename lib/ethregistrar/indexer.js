@@ -0,0 +1,590 @@
+const fs = require('fs')
+const { BigNumber, Contract, constants, utils } = require('ethers')
+
+const STORE_VERSION = 1
+const DEFAULT_CONFIRMATIONS = 12
+const DEFAULT_BLOCK_RANGE = 5000
+// Nodes to filter resolver logs by in a single getLogs call.
+const MAX_TOPIC_NODES = 500
+const ETH_NODE = utils.namehash('eth')
+
+const REGISTRAR_ABI = [
+  'event NameRegistered(uint256 indexed id, address indexed owner, uint256 expires)',
+  'event NameRenewed(uint256 indexed id, uint256 expires)',
+  'event Transfer(address indexed from, address indexed to, uint256 indexed tokenId)',
+  'function nameExpires(uint256 id) view returns (uint256)',
+  'function ownerOf(uint256 tokenId) view returns (address)',
+]
+
+const NAME_WRAPPER_ABI = [
+  'event NameWrapped(bytes32 indexed node, bytes name, address owner, uint32 fuses, uint64 expiry)',
+  'event NameUnwrapped(bytes32 indexed node, address owner)',
+  'event FusesSet(bytes32 indexed node, uint32 fuses, uint64 expiry)',
+  'event TransferSingle(address indexed operator, address indexed from, address indexed to, uint256 id, uint256 value)',
+  'event TransferBatch(address indexed operator, address indexed from, address indexed to, uint256[] ids, uint256[] values)',
+  'function getData(uint256 tokenId) view returns (address owner, uint32 fuses, uint64 expiry)',
+  'function names(bytes32 node) view returns (bytes)',
+]
+
+const REGISTRY_ABI = [
+  'event NewResolver(bytes32 indexed node, address resolver)',
+  'function resolver(bytes32 node) view returns (address)',
+]
+
+// Record events of any resolver, fetched for indexed nodes only; only those
+// of a name's current resolver are applied to it.
+const RESOLVER_EVENTS_ABI = [
+  'event AddrChanged(bytes32 indexed node, address a)',
+  'event AddressChanged(bytes32 indexed node, uint256 coinType, bytes newAddress)',
+  'event TextChanged(bytes32 indexed node, string indexed indexedKey, string key, string value)',
+  'event ContenthashChanged(bytes32 indexed node, bytes hash)',
+]
+
+// Emitted by ETHRegistrarController and BulkRegistrarController; the only
+// events that carry a .eth name's label in clear.
+const CONTROLLER_EVENTS_ABI = [
+  'event NameRegistered(string name, bytes32 indexed label, address indexed owner, uint256 baseCost, uint256 premium, uint256 expires)',
+  'event NameRenewed(string name, bytes32 indexed label, uint256 cost, uint256 expires)',
+]
+
+const RESOLVER_EVENTS = new utils.Interface(RESOLVER_EVENTS_ABI)
+const CONTROLLER_EVENTS = new utils.Interface(CONTROLLER_EVENTS_ABI)
+
+function clone(value) {
+  return JSON.parse(JSON.stringify(value))
+}
+
+function toBytes32(id) {
+  return utils.hexZeroPad(BigNumber.from(id).toHexString(), 32)
+}
+
+function ethNode(labelhash) {
+  return utils.keccak256(utils.concat([ETH_NODE, labelhash]))
+}
+
+// Wrapper expiries are uint64 and may exceed what a JS number holds exactly.
+function toTimestamp(value) {
+  const timestamp = BigNumber.from(value)
+  return timestamp.gt(String(Number.MAX_SAFE_INTEGER))
+    ? Number.MAX_SAFE_INTEGER
+    : timestamp.toNumber()
+}
+
+function decodeDnsName(encoded) {
+  const bytes = utils.arrayify(encoded)
+  const labels = []
+  for (let i = 0; i < bytes.length && bytes[i] !== 0; i += bytes[i] + 1) {
+    labels.push(utils.toUtf8String(bytes.slice(i + 1, i + 1 + bytes[i])))
+  }
+  return labels.length === 0 ? null : labels.join('.')
+}
+
+// The labelhash of a .eth second-level name, which is its registrar token id.
+function ethLabelhash(name) {
+  const labels = name === null ? [] : name.split('.')
+  return labels.length === 2 && labels[1] === 'eth' ? utils.id(labels[0]) : null
+}
+
+// The nodes an event of the registrar or the NameWrapper starts indexing,
+// with the owner each is indexed for; mirrors the `_record` calls of `_apply`.
+function recordedNodes({ source, name, args }) {
+  switch (`${source}.${name}`) {
+    case 'registrar.Transfer':
+      return [[ethNode(toBytes32(args.tokenId)), args.to]]
+    case 'registrar.NameRegistered':
+    case 'registrar.NameRenewed':
+      return [[ethNode(toBytes32(args.id)), args.owner]]
+    case 'nameWrapper.NameWrapped':
+    case 'nameWrapper.NameUnwrapped':
+    case 'nameWrapper.FusesSet':
+      return [[args.node, args.owner]]
+    case 'nameWrapper.TransferSingle':
+    case 'nameWrapper.TransferBatch':
+      return (args.ids || [args.id]).map((id) => [toBytes32(id), args.to])
+    default:
+      return []
+  }
+}
+
+function sameAddress(a, b) {
+  return a !== null && b !== null && a.toLowerCase() === b.toLowerCase()
+}
+
+function expiryOf(record) {
+  return record.expires === null ? record.wrapperExpiry : record.expires
+}
+
+function setOwner(record) {
+  record.owner = record.wrapped ? record.wrappedOwner : record.registrant
+}
+
+/**
+ * Keeps a local index of names, keyed by node, from the events of the .eth
+ * registrar, the NameWrapper, the registry, the registrar controllers and
+ * resolvers.
+ *
+ * A name's state is read from the chain when the indexer first sees it and
+ * kept up to date from events after that; resolver records are only known
+ * from events emitted while the name is indexed. The `.eth` names of
+ * unwrapped names are only known if they were registered or renewed through
+ * one of `controllers`.
+ *
+ * Blocks more than `confirmations` deep are applied to the index and saved
+ * to `storePath`; newer blocks are replayed on top of it on every `sync`, so
+ * a reorganisation of them is picked up. A reorganisation deeper than that
+ * makes `sync` throw: the store must then be rebuilt.
+ *
+ * Usage:
+ *   const indexer = new PortfolioIndexer(provider, {
+ *     registrar, nameWrapper, registry, controllers: [controller], owners,
+ *     storePath: 'portfolio.json',
+ *   })
+ *   await indexer.sync()
+ *   const expiring = indexer.names({ expiringBefore })
+ */
+class PortfolioIndexer {
+  /**
+   * @param provider An ethers provider.
+   * @param options.registrar The BaseRegistrarImplementation's address.
+   * @param options.nameWrapper The NameWrapper's address.
+   * @param options.registry The ENS registry's address.
+   * @param options.controllers Registrar controllers to learn names from.
+   * @param options.owners Only index names owned by these accounts; every
+   *        name the registrar and NameWrapper emit events for if omitted.
+   *        Names stay indexed when they are transferred away.
+   * @param options.storePath A JSON file to keep the index in between runs;
+   *        the index is only kept in memory if omitted.
+   * @param options.confirmations Blocks before the index treats a block as
+   *        final. Defaults to 12.
+   * @param options.startBlock The first block to index, e.g. the block the
+   *        registrar was deployed at.
+   * @param options.maxBlockRange The most blocks to fetch logs for at once.
+   */
+  constructor(provider, options) {
+    this.provider = provider
+    this.registrar = new Contract(options.registrar, REGISTRAR_ABI, provider)
+    this.nameWrapper = new Contract(
+      options.nameWrapper,
+      NAME_WRAPPER_ABI,
+      provider,
+    )
+    this.registry = new Contract(options.registry, REGISTRY_ABI, provider)
+    this.controllers = (options.controllers || []).map((address) =>
+      utils.getAddress(address),
+    )
+    this.owners =
+      options.owners &&
+      new Set(options.owners.map((owner) => owner.toLowerCase()))
+    this.storePath = options.storePath
+    this.confirmations =
+      options.confirmations === undefined
+        ? DEFAULT_CONFIRMATIONS
+        : options.confirmations
+    this.startBlock = options.startBlock || 0
+    this.maxBlockRange = options.maxBlockRange || DEFAULT_BLOCK_RANGE
+    this.state = undefined
+    this.view = undefined
+  }
+
+  /**
+   * Indexes every block up to the latest one.
+   * @return The `block` indexed up to and the `finalisedBlock` saved to the
+   *         store.
+   */
+  async sync() {
+    if (this.state === undefined) {
+      this.state = await this._load()
+    }
+    const head = await this.provider.getBlockNumber()
+    await this._checkFinalised()
+
+    const finalised = Math.max(head - this.confirmations, this.state.block)
+    if (finalised > this.state.block) {
+      await this._index(this.state.names, this.state.block + 1, finalised)
+      this.state.block = finalised
+      this.state.blockHash = (await this.provider.getBlock(finalised)).hash
+      this._save()
+    }
+
+    const names = clone(this.state.names)
+    await this._index(names, finalised + 1, head)
+    this.view = { block: head, finalisedBlock: finalised, names }
+    return { block: head, finalisedBlock: finalised }
+  }
+
+  /**
+   * Returns the indexed state of a name, given as a name or a node, or
+   * undefined if it is not indexed.
+   * @return The name's `node`; its `name` and, for .eth second-level names,
+   *         `labelhash` if known; its `owner`, which is the `wrappedOwner`
+   *         if `wrapped` and the `registrant` otherwise; its wrapper `fuses`
+   *         and `wrapperExpiry`; its registrar `expires`; its `resolver`
+   *         and the `records` set on it (`addr`, `addresses` by coin type,
+   *         `text` by key and `contenthash`).
+   */
+  name(nameOrNode) {
+    const node = utils.isHexString(nameOrNode, 32)
+      ? nameOrNode.toLowerCase()
+      : utils.namehash(nameOrNode)
+    const record = this._names()[node]
+    return record && clone(record)
+  }
+
+  /**
+   * Lists indexed names, soonest to expire first.
+   * @param filter.owner Only names owned by this account; by default, only
+   *        names owned by one of `owners`, if given.
+   * @param filter.expiringBefore Only names expiring before this time.
+   * @param filter.wrapped Only wrapped, or only unwrapped, names.
+   */
+  names({ owner, expiringBefore, wrapped } = {}) {
+    const owners =
+      owner === undefined ? this.owners : new Set([owner.toLowerCase()])
+    return Object.values(this._names())
+      .filter(
+        (record) =>
+          (owners === undefined ||
+            (record.owner !== null &&
+              owners.has(record.owner.toLowerCase()))) &&
+          (expiringBefore === undefined ||
+            (expiryOf(record) !== null && expiryOf(record) < expiringBefore)) &&
+          (wrapped === undefined || record.wrapped === wrapped),
+      )
+      .sort((a, b) => {
+        if (expiryOf(a) === expiryOf(b)) return a.node < b.node ? -1 : 1
+        if (expiryOf(a) === null) return 1
+        if (expiryOf(b) === null) return -1
+        return expiryOf(a) - expiryOf(b)
+      })
+      .map(clone)
+  }
+
+  _names() {
+    if (this.view === undefined) {
+      throw new Error('PortfolioIndexer: call sync() first')
+    }
+    return this.view.names
+  }
+
+  _contracts() {
+    return {
+      registrar: this.registrar.address,
+      nameWrapper: this.nameWrapper.address,
+      registry: this.registry.address,
+      controllers: this.controllers,
+    }
+  }
+
+  async _load() {
+    const { chainId } = await this.provider.getNetwork()
+    if (this.storePath === undefined || !fs.existsSync(this.storePath)) {
+      return {
+        version: STORE_VERSION,
+        chainId,
+        contracts: this._contracts(),
+        block: this.startBlock - 1,
+        blockHash: null,
+        names: {},
+      }
+    }
+    const state = JSON.parse(fs.readFileSync(this.storePath, 'utf8'))
+    if (state.version !== STORE_VERSION) {
+      throw new Error(`Unsupported index store version ${state.version}`)
+    }
+    if (
+      state.chainId !== chainId ||
+      JSON.stringify(state.contracts) !== JSON.stringify(this._contracts())
+    ) {
+      throw new Error(
+        `${this.storePath} was created for other contracts or another chain`,
+      )
+    }
+    return state
+  }
+
+  // Written to a temporary file first, so an interrupted run never leaves a
+  // truncated store behind.
+  _save() {
+    if (this.storePath === undefined) return
+    const tmpPath = `${this.storePath}.tmp`
+    fs.writeFileSync(tmpPath, JSON.stringify(this.state, null, 2))
+    fs.renameSync(tmpPath, this.storePath)
+  }
+
+  async _checkFinalised() {
+    if (this.state.blockHash === null) return
+    const block = await this.provider.getBlock(this.state.block)
+    if (block === null || block.hash !== this.state.blockHash) {
+      throw new Error(
+        `Block ${this.state.block} was reorganised after it was indexed; rebuild the index`,
+      )
+    }
+  }
+
+  async _index(names, fromBlock, toBlock) {
+    for (let start = fromBlock; start <= toBlock; start += this.maxBlockRange) {
+      const end = Math.min(start + this.maxBlockRange - 1, toBlock)
+      for (const event of await this._fetchEvents(names, start, end)) {
+        await this._apply(names, event)
+      }
+    }
+  }
+
+  async _fetchEvents(names, fromBlock, toBlock) {
+    const sources = [
+      ['registrar', this.registrar.interface, this.registrar.address],
+      ['nameWrapper', this.nameWrapper.interface, this.nameWrapper.address],
+      ['registry', this.registry.interface, this.registry.address],
+      ...this.controllers.map((address) => [
+        'controller',
+        CONTROLLER_EVENTS,
+        address,
+      ]),
+    ]
+    const batches = await Promise.all(
+      sources.map(([source, iface, address]) =>
+        this._fetchLogs(source, iface, { address }, fromBlock, toBlock),
+      ),
+    )
+
+    // Resolver events are filtered by node rather than by address, since any
+    // contract can be a resolver: only the nodes already indexed, or that
+    // these events start indexing, are asked for.
+    const nodes = new Set(Object.keys(names))
+    for (const event of batches.flat()) {
+      for (const [node, owner] of recordedNodes(event)) {
+        if (this._indexes(owner)) nodes.add(node.toLowerCase())
+      }
+    }
+    const nodeList = [...nodes]
+    for (let i = 0; i < nodeList.length; i += MAX_TOPIC_NODES) {
+      batches.push(
+        await this._fetchLogs(
+          'resolver',
+          RESOLVER_EVENTS,
+          { nodes: nodeList.slice(i, i + MAX_TOPIC_NODES) },
+          fromBlock,
+          toBlock,
+        ),
+      )
+    }
+
+    return batches
+      .flat()
+      .sort(
+        (a, b) =>
+          a.log.blockNumber - b.log.blockNumber ||
+          a.log.logIndex - b.log.logIndex,
+      )
+  }
+
+  async _fetchLogs(source, iface, { address, nodes }, fromBlock, toBlock) {
+    const topics = [
+      Object.values(iface.events).map((event) => iface.getEventTopic(event)),
+    ]
+    if (nodes !== undefined) topics.push(nodes)
+    const logs = await this.provider.getLogs({
+      address,
+      topics,
+      fromBlock,
+      toBlock,
+    })
+    return logs
+      .map((log) => {
+        // Decoded without parseLog, which drops the argument names of
+        // events with an indexed string such as TextChanged.
+        const event = iface.getEvent(log.topics[0])
+        try {
+          const args = iface.decodeEventLog(event, log.data, log.topics)
+          return { source, log, name: event.name, args }
+        } catch (e) {
+          // A contract other than a resolver emitting an event with the
+          // same topic but different indexed arguments.
+          return undefined
+        }
+      })
+      .filter((event) => event !== undefined)
+  }
+
+  // Indexes accounts becoming owners of names they hold, and names with no
+  // owner in the event if every name is indexed.
+  _indexes(owner) {
+    if (this.owners === undefined) return true
+    return owner !== undefined && this.owners.has(owner.toLowerCase())
+  }
+
+  async _record(names, node, blockNumber, owner, labelhash = null) {
+    if (names[node] === undefined && this._indexes(owner)) {
+      names[node] = await this._fetchRecord(node, blockNumber, labelhash)
+    }
+    return names[node]
+  }
+
+  async _fetchRecord(node, blockTag, labelhash) {
+    const [[wrappedOwner, fuses, wrapperExpiry], dnsName, resolver] =
+      await Promise.all([
+        this.nameWrapper.getData(node, { blockTag }),
+        this.nameWrapper.names(node, { blockTag }),
+        this.registry.resolver(node, { blockTag }),
+      ])
+    const name = decodeDnsName(dnsName)
+    labelhash = labelhash || ethLabelhash(name)
+
+    let registrant = null
+    let expires = null
+    if (labelhash !== null) {
+      ;[registrant, expires] = await Promise.all([
+        this.registrar
+          .ownerOf(labelhash, { blockTag })
+          .catch(() => constants.AddressZero),
+        this.registrar.nameExpires(labelhash, { blockTag }),
+      ])
+      expires = expires.toNumber()
+    }
+    const wrapped = wrappedOwner !== constants.AddressZero
+    const record = {
+      node,
+      name,
+      labelhash,
+      owner: null,
+      registrant,
+      wrapped,
+      wrappedOwner: wrapped ? wrappedOwner : null,
+      fuses: wrapped ? fuses : 0,
+      wrapperExpiry: wrapped ? toTimestamp(wrapperExpiry) : null,
+      expires,
+      resolver: resolver === constants.AddressZero ? null : resolver,
+      records: { addr: null, addresses: {}, text: {}, contenthash: null },
+      updatedBlock: blockTag,
+    }
+    setOwner(record)
+    return record
+  }
+
+  async _apply(names, { source, name, args, log }) {
+    const { blockNumber } = log
+    let record
+    switch (`${source}.${name}`) {
+      case 'registrar.Transfer': {
+        const labelhash = toBytes32(args.tokenId)
+        record = await this._record(
+          names,
+          ethNode(labelhash),
+          blockNumber,
+          args.to,
+          labelhash,
+        )
+        if (record === undefined) return
+        record.registrant = args.to
+        break
+      }
+      case 'registrar.NameRegistered':
+      case 'registrar.NameRenewed': {
+        const labelhash = toBytes32(args.id)
+        record = await this._record(
+          names,
+          ethNode(labelhash),
+          blockNumber,
+          args.owner,
+          labelhash,
+        )
+        if (record === undefined) return
+        record.expires = args.expires.toNumber()
+        if (record.wrapped) {
+          // Renewing through the NameWrapper extends its expiry without an
+          // event.
+          const [, fuses, expiry] = await this.nameWrapper.getData(
+            record.node,
+            { blockTag: blockNumber },
+          )
+          record.fuses = fuses
+          record.wrapperExpiry = toTimestamp(expiry)
+        }
+        break
+      }
+      case 'nameWrapper.NameWrapped':
+        record = await this._record(names, args.node, blockNumber, args.owner)
+        if (record === undefined) return
+        record.name = decodeDnsName(args.name)
+        record.labelhash = record.labelhash || ethLabelhash(record.name)
+        record.wrapped = true
+        record.wrappedOwner = args.owner
+        record.fuses = args.fuses
+        record.wrapperExpiry = toTimestamp(args.expiry)
+        break
+      case 'nameWrapper.NameUnwrapped':
+        record = await this._record(names, args.node, blockNumber, args.owner)
+        if (record === undefined) return
+        record.wrapped = false
+        record.wrappedOwner = null
+        record.fuses = 0
+        record.wrapperExpiry = null
+        record.registrant = args.owner
+        break
+      case 'nameWrapper.FusesSet':
+        record = await this._record(names, args.node, blockNumber)
+        if (record === undefined) return
+        record.fuses = args.fuses
+        record.wrapperExpiry = toTimestamp(args.expiry)
+        break
+      case 'nameWrapper.TransferSingle':
+      case 'nameWrapper.TransferBatch':
+        for (const id of args.ids || [args.id]) {
+          const transferred = await this._record(
+            names,
+            toBytes32(id),
+            blockNumber,
+            args.to,
+          )
+          if (transferred !== undefined) {
+            transferred.wrappedOwner = args.to
+            setOwner(transferred)
+            transferred.updatedBlock = blockNumber
+          }
+        }
+        return
+      case 'registry.NewResolver':
+        record = names[args.node]
+        if (record === undefined) return
+        record.resolver =
+          args.resolver === constants.AddressZero ? null : args.resolver
+        record.records = {
+          addr: null,
+          addresses: {},
+          text: {},
+          contenthash: null,
+        }
+        break
+      case 'resolver.AddrChanged':
+      case 'resolver.AddressChanged':
+      case 'resolver.TextChanged':
+      case 'resolver.ContenthashChanged':
+        record = names[args.node]
+        if (record === undefined || !sameAddress(record.resolver, log.address))
+          return
+        if (name === 'AddrChanged') record.records.addr = args.a
+        if (name === 'AddressChanged')
+          record.records.addresses[args.coinType.toString()] = args.newAddress
+        if (name === 'TextChanged') record.records.text[args.key] = args.value
+        if (name === 'ContenthashChanged')
+          record.records.contenthash = args.hash
+        break
+      case 'controller.NameRegistered':
+      case 'controller.NameRenewed':
+        record = names[ethNode(args.label)]
+        if (record === undefined) return
+        record.name = `${args.name}.eth`
+        record.labelhash = args.label
+        break
+      default:
+        return
+    }
+    setOwner(record)
+    record.updatedBlock = blockNumber
+  }
+}
+
+module.exports = {
+  PortfolioIndexer,
+  decodeDnsName,
+}
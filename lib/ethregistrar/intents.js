@@ -0,0 +1,76 @@
+const { BigNumber, Contract, utils } = require('ethers')
+const {
+  BULK_REGISTRAR_CONTROLLER_ABI,
+  OPTIONS_TUPLE,
+  normaliseOptions,
+} = require('./BulkRegistrarClient')
+const { makeBulkCommitment } = require('./commitments')
+const { controllerDomain } = require('./vouchers')
+
+const REGISTRATION_INTENT_TYPES = {
+  RegistrationIntent: [
+    { name: 'commitment', type: 'bytes32' },
+    { name: 'optionsHash', type: 'bytes32' },
+    { name: 'nonce', type: 'uint256' },
+    { name: 'deadline', type: 'uint256' },
+  ],
+}
+
+/**
+ * Hashes registration options as BulkRegistrarController.registerWithSig
+ * does: `keccak256(abi.encode(options))`.
+ */
+function hashOptions(options) {
+  return utils.keccak256(
+    utils.defaultAbiCoder.encode([OPTIONS_TUPLE], [normaliseOptions(options)]),
+  )
+}
+
+/**
+ * Signs an EIP-712 intent to register a batch, which anyone may then submit
+ * to a BulkRegistrarController with `registerWithSig`, paying for it. The
+ * signer becomes the registrant: vouchers, token payments and reverse
+ * records apply to them.
+ * @param signer The registrant, an ethers Signer.
+ * @param controller The controller's address.
+ * @param registrations The batch exactly as it will be submitted.
+ * @param options The registration options exactly as they will be submitted.
+ * @param intent.deadline The time after which the intent is no longer valid.
+ * @param intent.nonce The signer's current nonce on the controller; read from
+ *        the controller if omitted.
+ * @return The intent to pass to `register` as `options.intent`.
+ */
+async function signRegistrationIntent(
+  signer,
+  controller,
+  registrations,
+  options,
+  { deadline, nonce },
+) {
+  const registrant = await signer.getAddress()
+  if (nonce === undefined) {
+    nonce = await new Contract(
+      controller,
+      BULK_REGISTRAR_CONTROLLER_ABI,
+      signer,
+    ).nonces(registrant)
+  }
+  const value = {
+    commitment: makeBulkCommitment(registrations),
+    optionsHash: hashOptions(options),
+    nonce: BigNumber.from(nonce),
+    deadline: BigNumber.from(deadline),
+  }
+  const signature = await signer._signTypedData(
+    await controllerDomain(signer, controller),
+    REGISTRATION_INTENT_TYPES,
+    value,
+  )
+  return { registrant, deadline: value.deadline, signature }
+}
+
+module.exports = {
+  REGISTRATION_INTENT_TYPES,
+  hashOptions,
+  signRegistrationIntent,
+}
@@ -0,0 +1,278 @@
+const { BigNumber, Contract, utils } = require('ethers')
+const { describeDiagnostic, normaliseName } = require('./normalisation')
+const { DEFAULT_BUFFER, applyBuffer } = require('./quotes')
+
+const DAYS = 24 * 60 * 60
+const DEFAULT_THRESHOLD = 30 * DAYS
+const DEFAULT_DURATION = 365 * DAYS
+const DEFAULT_BATCH_SIZE = 20
+const ETH_NODE = utils.namehash('eth')
+
+const BULK_RENEWAL_ABI = [
+  'function ens() view returns (address)',
+  'function rentPrice(string[] names, uint256 duration) view returns (uint256 total)',
+  'function rentPrices(string[] names, uint256[] durations) view returns (tuple(uint256 base, uint256 premium)[] prices)',
+  'function renewAll(string[] names, uint256 duration) payable',
+]
+
+const REGISTRAR_ABI = [
+  'function GRACE_PERIOD() view returns (uint256)',
+  'function nameExpires(uint256 id) view returns (uint256)',
+]
+
+function toLabel(name) {
+  const label = name.endsWith('.eth') ? name.slice(0, -'.eth'.length) : name
+  const diagnostic = normaliseName(label)
+  if (diagnostic.error !== undefined || diagnostic.changed) {
+    throw new Error(describeDiagnostic(diagnostic))
+  }
+  return label
+}
+
+/**
+ * The default notifier: logs each event to the console.
+ */
+function consoleNotifier(event) {
+  const names = event.names.map((entry) => entry.name || entry).join(', ')
+  switch (event.type) {
+    case 'lapsed':
+      console.log(`Past their grace period: ${names}`)
+      break
+    case 'due':
+      console.log(`Due for renewal: ${names}`)
+      break
+    case 'skipped':
+      for (const { name, reason } of event.names) {
+        console.log(`Not renewing ${name}: ${reason}`)
+      }
+      break
+    case 'planned':
+      console.log(
+        `Would renew ${names} for ${utils.formatEther(event.cost)} ETH`,
+      )
+      break
+    case 'renewed':
+      console.log(
+        `Renewed ${names} for ${utils.formatEther(event.cost)} ETH (tx: ${
+          event.receipt.transactionHash
+        })`,
+      )
+      break
+    case 'failed':
+      console.log(`Failed to renew ${names}: ${event.error.message}`)
+      break
+  }
+}
+
+/**
+ * Renews names through BulkRenewal before they expire.
+ *
+ * Each `run` reads the names' expiries from the registrar, and renews those
+ * expiring within `threshold`, or already in their grace period, soonest
+ * first, in batches, within the spending policy. Names past their grace
+ * period can no longer be renewed and are only reported.
+ *
+ * Usage:
+ *   const keeper = new RenewalKeeper(bulkRenewal, signer, {
+ *     names: ['foo', 'bar'],
+ *     policy: { maxTotalCost: utils.parseEther('1') },
+ *   })
+ *   await keeper.run()
+ */
+class RenewalKeeper {
+  /**
+   * @param bulkRenewal The BulkRenewal's address.
+   * @param signer The account that pays for renewals.
+   * @param options.names The .eth names to keep renewed.
+   * @param options.threshold Renew names expiring within this many seconds;
+   *        30 days by default.
+   * @param options.duration Seconds to renew each name for; a year by
+   *        default.
+   * @param options.policy.maxTotalCost The most to send in one run, in wei,
+   *        including the value buffer. Names are paid for soonest to expire
+   *        first, skipping those that would go over it.
+   * @param options.policy.maxPricePerName Skip names that cost more than this
+   *        to renew, in wei.
+   * @param options.policy.maxBatchSize The most names to renew in one
+   *        transaction; 20 by default.
+   * @param options.valueBuffer Basis points sent on top of each batch's
+   *        price, in case it rises before the renewal is mined; BulkRenewal
+   *        refunds what is left.
+   * @param options.dryRun Plan the renewals without sending them.
+   * @param options.notify Called with each event of a run; see
+   *        `consoleNotifier`, the default.
+   */
+  constructor(bulkRenewal, signer, options = {}) {
+    this.bulkRenewal = new Contract(bulkRenewal, BULK_RENEWAL_ABI, signer)
+    this.names = (options.names || []).map(toLabel)
+    this.threshold =
+      options.threshold === undefined ? DEFAULT_THRESHOLD : options.threshold
+    this.duration = options.duration || DEFAULT_DURATION
+    const policy = options.policy || {}
+    this.maxTotalCost =
+      policy.maxTotalCost === undefined
+        ? undefined
+        : BigNumber.from(policy.maxTotalCost)
+    this.maxPricePerName =
+      policy.maxPricePerName === undefined
+        ? undefined
+        : BigNumber.from(policy.maxPricePerName)
+    this.maxBatchSize = policy.maxBatchSize || DEFAULT_BATCH_SIZE
+    this.valueBuffer =
+      options.valueBuffer === undefined ? DEFAULT_BUFFER : options.valueBuffer
+    this.dryRun = !!options.dryRun
+    this.notify = options.notify || consoleNotifier
+    this.registrar = undefined
+  }
+
+  /**
+   * Reads every name's expiry from the registrar as of the latest block.
+   * @return The block's timestamp as `now`, and the names, each with its
+   *         `expires` and the time it is `renewableUntil`, split into those
+   *         `due` for renewal, soonest to expire first, those `lapsed` past
+   *         their grace period, and the rest, `ok`. Due names that have
+   *         expired are marked `inGracePeriod`.
+   */
+  async check() {
+    const registrar = await this._registrar()
+    const [{ timestamp: now }, gracePeriod, expiries] = await Promise.all([
+      this.bulkRenewal.provider.getBlock('latest'),
+      registrar.GRACE_PERIOD(),
+      Promise.all(
+        this.names.map((name) => registrar.nameExpires(utils.id(name))),
+      ),
+    ])
+
+    const status = { now, due: [], lapsed: [], ok: [] }
+    this.names.forEach((name, i) => {
+      const expires = expiries[i].toNumber()
+      const entry = {
+        name,
+        expires,
+        renewableUntil: expires + gracePeriod.toNumber(),
+      }
+      if (entry.renewableUntil < now) {
+        status.lapsed.push(entry)
+      } else if (expires - now <= this.threshold) {
+        status.due.push({ ...entry, inGracePeriod: expires < now })
+      } else {
+        status.ok.push(entry)
+      }
+    })
+    status.due.sort((a, b) => a.expires - b.expires)
+    return status
+  }
+
+  /**
+   * Renews the names that are due, or plans to in a dry run.
+   * @return The result of `check`, the `batches` renewed (or planned), each
+   *         with its `names`, quoted `cost`, the `value` sent and its
+   *         `receipt`, or the `error` it failed with; and the due names
+   *         `skipped` by the spending policy, with the `reason`.
+   */
+  async run() {
+    const status = await this.check()
+    const result = { ...status, batches: [], skipped: [] }
+    if (status.lapsed.length > 0) {
+      await this.notify({ type: 'lapsed', names: status.lapsed })
+    }
+    if (status.due.length === 0) {
+      return result
+    }
+    await this.notify({ type: 'due', names: status.due })
+
+    const prices = await this.bulkRenewal.rentPrices(
+      status.due.map(({ name }) => name),
+      status.due.map(() => this.duration),
+    )
+    // What the planned batches will send, buffer included.
+    let total = BigNumber.from(0)
+    let batch
+    status.due.forEach((entry, i) => {
+      const price = prices[i].base.add(prices[i].premium)
+      const value = applyBuffer(price, this.valueBuffer)
+      if (
+        this.maxPricePerName !== undefined &&
+        price.gt(this.maxPricePerName)
+      ) {
+        result.skipped.push({ ...entry, price, reason: 'over maxPricePerName' })
+        return
+      }
+      if (
+        this.maxTotalCost !== undefined &&
+        total.add(value).gt(this.maxTotalCost)
+      ) {
+        result.skipped.push({ ...entry, price, reason: 'over maxTotalCost' })
+        return
+      }
+      total = total.add(value)
+      if (batch === undefined || batch.names.length === this.maxBatchSize) {
+        batch = { names: [] }
+        result.batches.push(batch)
+      }
+      batch.names.push(entry.name)
+    })
+    if (result.skipped.length > 0) {
+      await this.notify({ type: 'skipped', names: result.skipped })
+    }
+
+    let remaining = this.maxTotalCost
+    for (const batch of result.batches) {
+      batch.cost = await this.bulkRenewal.rentPrice(batch.names, this.duration)
+      batch.value = applyBuffer(batch.cost, this.valueBuffer)
+      if (remaining !== undefined) {
+        // Prices may have risen since the batches were planned; never send
+        // more than is left of maxTotalCost.
+        if (batch.cost.gt(remaining)) {
+          batch.error = new Error(
+            `Batch costs ${batch.cost.toString()} wei, more than the ${remaining.toString()} wei left of maxTotalCost`,
+          )
+          await this.notify({ type: 'failed', ...batch })
+          continue
+        }
+        if (batch.value.gt(remaining)) {
+          batch.value = remaining
+        }
+        remaining = remaining.sub(batch.value)
+      }
+      if (this.dryRun) {
+        await this.notify({ type: 'planned', ...batch })
+        continue
+      }
+      try {
+        const tx = await this.bulkRenewal.renewAll(batch.names, this.duration, {
+          value: batch.value,
+        })
+        batch.receipt = await tx.wait()
+      } catch (error) {
+        batch.error = error
+        await this.notify({ type: 'failed', ...batch })
+        continue
+      }
+      await this.notify({ type: 'renewed', ...batch })
+    }
+    return result
+  }
+
+  async _registrar() {
+    if (this.registrar === undefined) {
+      const provider = this.bulkRenewal.provider
+      const ens = new Contract(
+        await this.bulkRenewal.ens(),
+        ['function owner(bytes32 node) view returns (address)'],
+        provider,
+      )
+      this.registrar = new Contract(
+        await ens.owner(ETH_NODE),
+        REGISTRAR_ABI,
+        provider,
+      )
+    }
+    return this.registrar
+  }
+}
+
+module.exports = {
+  RenewalKeeper,
+  consoleNotifier,
+}
@@ -0,0 +1,294 @@
+const { constants, utils } = require('ethers')
+const { ReverseRecord } = require('./commitments')
+const { describeDiagnostic, normaliseName } = require('./normalisation')
+
+const DAY = 24 * 60 * 60
+const YEAR = 365 * DAY
+
+const RECORD_ABI = new utils.Interface([
+  'function setAddr(bytes32 node, address a)',
+  'function setText(bytes32 node, string key, string value)',
+  'function setContenthash(bytes32 node, bytes hash)',
+])
+
+const COLUMNS = [
+  'name',
+  'owner',
+  'duration',
+  'resolver',
+  'records',
+  'fuses',
+  'reverseRecord',
+  'wrapperExpiry',
+]
+
+/**
+ * Splits CSV text into rows of fields. Fields may be quoted with `"`, with
+ * `""` standing for a literal quote inside a quoted field.
+ */
+function parseCsv(text) {
+  const rows = []
+  let row = []
+  let field = ''
+  let quoted = false
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i]
+    if (quoted) {
+      if (char === '"' && text[i + 1] === '"') {
+        field += '"'
+        i++
+      } else if (char === '"') {
+        quoted = false
+      } else {
+        field += char
+      }
+    } else if (char === '"') {
+      quoted = true
+    } else if (char === ',') {
+      row.push(field)
+      field = ''
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && text[i + 1] === '\n') {
+        i++
+      }
+      row.push(field)
+      rows.push(row)
+      row = []
+      field = ''
+    } else {
+      field += char
+    }
+  }
+  if (field.length > 0 || row.length > 0) {
+    row.push(field)
+    rows.push(row)
+  }
+  return rows
+}
+
+/**
+ * Parses a duration in seconds, or in days or years with a `d` or `y` suffix.
+ */
+function parseDuration(value) {
+  const match = /^\s*(\d+)\s*([dy]?)\s*$/.exec(String(value))
+  if (!match) {
+    throw new Error(`invalid duration "${value}"`)
+  }
+  const amount = parseInt(match[1], 10)
+  return match[2] === 'y'
+    ? amount * YEAR
+    : match[2] === 'd'
+    ? amount * DAY
+    : amount
+}
+
+/**
+ * Encodes resolver records for `name.eth` as calls the controller makes on
+ * the resolver. Each record is `addr=<address>`, `text:<key>=<value>`,
+ * `contenthash=<hex>` or raw `0x` calldata.
+ */
+function encodeRecords(name, records) {
+  const node = utils.namehash(`${name}.eth`)
+  return records.map((record) => {
+    if (utils.isHexString(record)) {
+      return record
+    }
+    const separator = record.indexOf('=')
+    if (separator === -1) {
+      throw new Error(`invalid record "${record}"`)
+    }
+    const key = record.slice(0, separator).trim()
+    const value = record.slice(separator + 1)
+    if (key === 'addr') {
+      return RECORD_ABI.encodeFunctionData('setAddr', [
+        node,
+        parseAddress(value, 'address'),
+      ])
+    }
+    if (key === 'contenthash') {
+      return RECORD_ABI.encodeFunctionData('setContenthash', [
+        node,
+        value.trim(),
+      ])
+    }
+    if (key.startsWith('text:')) {
+      return RECORD_ABI.encodeFunctionData('setText', [
+        node,
+        key.slice('text:'.length),
+        value,
+      ])
+    }
+    throw new Error(`unknown record type "${key}"`)
+  })
+}
+
+function parseBoolean(value) {
+  if (typeof value === 'boolean') {
+    return value
+  }
+  const normalised = String(value).trim().toLowerCase()
+  if (['', 'false', 'no', '0'].includes(normalised)) {
+    return false
+  }
+  if (['true', 'yes', '1'].includes(normalised)) {
+    return true
+  }
+  throw new Error(`invalid boolean "${value}"`)
+}
+
+// Accepts `none`, `caller` or `owner`, or a boolean for the caller.
+function parseReverseRecord(value) {
+  const target = Object.keys(ReverseRecord).find(
+    (key) => key.toLowerCase() === String(value).trim().toLowerCase(),
+  )
+  if (target !== undefined) {
+    return ReverseRecord[target]
+  }
+  try {
+    return parseBoolean(value) ? ReverseRecord.Caller : ReverseRecord.None
+  } catch (e) {
+    throw new Error(`invalid reverseRecord "${value}"`)
+  }
+}
+
+function parseAddress(value, field) {
+  try {
+    return utils.getAddress(String(value).trim())
+  } catch (e) {
+    throw new Error(`invalid ${field} "${value}"`)
+  }
+}
+
+function isBlank(value) {
+  return value === undefined || value === null || String(value).trim() === ''
+}
+
+/**
+ * Turns one manifest entry into a registration for BulkRegistrarClient.
+ */
+function parseEntry(entry) {
+  if (isBlank(entry.name)) {
+    throw new Error('missing name')
+  }
+  const name = String(entry.name)
+    .trim()
+    .replace(/\.eth$/, '')
+  const normalised = normaliseName(name)
+  if (normalised.error !== undefined || normalised.changed) {
+    throw new Error(describeDiagnostic(normalised))
+  }
+  if (isBlank(entry.owner)) {
+    throw new Error('missing owner')
+  }
+  const owner = parseAddress(entry.owner, 'owner')
+  if (isBlank(entry.duration)) {
+    throw new Error('missing duration')
+  }
+  const resolver = isBlank(entry.resolver)
+    ? constants.AddressZero
+    : parseAddress(entry.resolver, 'resolver')
+
+  let records = entry.records || []
+  if (typeof records === 'string') {
+    records = records
+      .split(';')
+      .map((record) => record.trim())
+      .filter((record) => record.length > 0)
+  }
+  if (records.length > 0 && resolver === constants.AddressZero) {
+    throw new Error('records require a resolver')
+  }
+  const fuses = isBlank(entry.fuses) ? 0 : Number(entry.fuses)
+  if (!Number.isInteger(fuses) || fuses < 0) {
+    throw new Error(`invalid fuses "${entry.fuses}"`)
+  }
+
+  return {
+    name,
+    owner,
+    duration: parseDuration(entry.duration),
+    resolver,
+    data: encodeRecords(name, records),
+    reverseRecord: isBlank(entry.reverseRecord)
+      ? ReverseRecord.None
+      : parseReverseRecord(entry.reverseRecord),
+    fuses,
+    wrapperExpiry: isBlank(entry.wrapperExpiry)
+      ? 0
+      : String(entry.wrapperExpiry).trim(),
+  }
+}
+
+function csvEntries(text) {
+  const rows = parseCsv(text)
+  const entries = []
+  let header
+  rows.forEach((fields, index) => {
+    if (fields.every(isBlank) || fields[0].trim().startsWith('#')) {
+      return
+    }
+    if (header === undefined) {
+      header = fields.map((field) => {
+        const column = COLUMNS.find(
+          (column) => column.toLowerCase() === field.trim().toLowerCase(),
+        )
+        if (column === undefined) {
+          throw new Error(`Manifest: unknown column "${field.trim()}"`)
+        }
+        return column
+      })
+      return
+    }
+    const entry = {}
+    header.forEach((column, i) => {
+      entry[column] = fields[i]
+    })
+    entries.push({ row: index + 1, entry })
+  })
+  return entries
+}
+
+function jsonEntries(text) {
+  const parsed = JSON.parse(text)
+  const list = Array.isArray(parsed) ? parsed : parsed.registrations
+  if (!Array.isArray(list)) {
+    throw new Error(
+      'Manifest: expected an array or an object with a "registrations" array',
+    )
+  }
+  return list.map((entry, index) => ({ row: index + 1, entry }))
+}
+
+/**
+ * Parses a CSV or JSON manifest into registrations. CSV manifests have a
+ * header row naming the columns; JSON manifests are an array of objects with
+ * the same keys, where `records` may also be an array. Every invalid row is
+ * reported at once.
+ * @param format 'csv' or 'json'.
+ */
+function parseManifest(text, format) {
+  const entries = format === 'json' ? jsonEntries(text) : csvEntries(text)
+  const errors = []
+  const registrations = []
+  for (const { row, entry } of entries) {
+    try {
+      registrations.push(parseEntry(entry))
+    } catch (e) {
+      errors.push(`Manifest row ${row}: ${e.message}`)
+    }
+  }
+  if (errors.length > 0) {
+    throw new Error(errors.join('\n'))
+  }
+  if (registrations.length === 0) {
+    throw new Error('Manifest: no registrations found')
+  }
+  return registrations
+}
+
+module.exports = {
+  encodeRecords,
+  parseCsv,
+  parseDuration,
+  parseManifest,
+}
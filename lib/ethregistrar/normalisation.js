@@ -0,0 +1,97 @@
+const { ens_normalize, safe_str_from_cps } = require('@adraffy/ens-normalize')
+const { isPlaceholder } = require('./commitments')
+
+/**
+ * Renders a name for error messages, escaping invisible characters as `{HEX}`
+ * so that, say, a zero-width space shows up.
+ */
+function displayName(name) {
+  return `"${safe_str_from_cps(
+    Array.from(name, (char) => char.codePointAt(0)),
+  )}"`
+}
+
+/**
+ * Normalises a label for registration under .eth per ENSIP-15.
+ * @return `input`, the normalised `name` and whether normalisation `changed`
+ *         it; or `input` and an `error` if the label cannot be registered.
+ */
+function normaliseName(input) {
+  let name
+  try {
+    name = ens_normalize(input)
+  } catch (e) {
+    return { input, error: e.message }
+  }
+  if (name.length === 0) {
+    return { input, error: 'empty name' }
+  }
+  if (name.includes('.')) {
+    return { input, error: 'contains a label separator' }
+  }
+  return { input, name, changed: name !== input }
+}
+
+/**
+ * Checks the name of every registration in a batch, skipping placeholders.
+ * @return One diagnostic per checked registration, as returned by
+ *         `normaliseName` with the registration's `index` added.
+ */
+function checkNames(registrations) {
+  const diagnostics = []
+  registrations.forEach((registration, index) => {
+    if (!isPlaceholder(registration)) {
+      diagnostics.push({ index, ...normaliseName(registration.name) })
+    }
+  })
+  return diagnostics
+}
+
+function describeDiagnostic({ input, name, error }) {
+  return error !== undefined
+    ? `${displayName(input)} is not a valid name: ${error}`
+    : `${displayName(input)} is not normalised; use ${displayName(name)}`
+}
+
+/**
+ * Returns `registrations` with every name replaced by its normalised form.
+ * Resolver records in `data` are not re-encoded, so names should be
+ * normalised before records are encoded against them.
+ * @throws If any name cannot be normalised, listing every such name.
+ */
+function normaliseNames(registrations) {
+  const diagnostics = checkNames(registrations)
+  const errors = diagnostics.filter(({ error }) => error !== undefined)
+  if (errors.length > 0) {
+    throw new Error(errors.map(describeDiagnostic).join('\n'))
+  }
+  const names = new Map(diagnostics.map(({ index, name }) => [index, name]))
+  return registrations.map((registration, index) =>
+    names.has(index)
+      ? { ...registration, name: names.get(index) }
+      : registration,
+  )
+}
+
+/**
+ * Throws unless every name in the batch is already normalised, listing each
+ * name that is not. A name that normalisation would change registers a label
+ * that does not resolve, so it is rejected rather than silently rewritten.
+ */
+function requireNormalised(registrations) {
+  const problems = checkNames(registrations)
+    .filter(({ error, changed }) => error !== undefined || changed)
+    .map(describeDiagnostic)
+  if (problems.length > 0) {
+    throw new Error(problems.join('\n'))
+  }
+}
+
+module.exports = {
+  checkNames,
+  describeDiagnostic,
+  displayName,
+  normaliseName,
+  normaliseNames,
+  requireNormalised,
+}
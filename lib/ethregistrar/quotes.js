@@ -0,0 +1,92 @@
+const { BigNumber } = require('ethers')
+const { isPlaceholder } = require('./commitments')
+
+// ExponentialPremiumPriceOracle halves the premium every day.
+const PREMIUM_HALF_LIFE = 24 * 60 * 60
+// Basis points added on top of each price to absorb USD/ETH movement between
+// quoting and the register transaction being mined.
+const DEFAULT_BUFFER = 500
+const BPS = 10000
+const PRECISION = BigNumber.from(10).pow(18)
+
+function applyBuffer(amount, bufferBps) {
+  return BigNumber.from(amount)
+    .mul(BPS + bufferBps)
+    .div(BPS)
+}
+
+/**
+ * Projects a premium quoted now to `elapsed` seconds later. The oracle's
+ * fixed end value is subtracted after decaying, so the real premium is never
+ * above this; it is rounded up to keep it an upper bound.
+ */
+function decayPremium(premium, elapsed, halfLife = PREMIUM_HALF_LIFE) {
+  premium = BigNumber.from(premium)
+  if (elapsed <= 0 || premium.isZero()) {
+    return premium
+  }
+  const halvings = Math.floor(elapsed / halfLife)
+  // The oracle only decays in steps of 1/65536 of a half life.
+  const fraction = Math.floor(((elapsed % halfLife) * 65536) / halfLife) / 65536
+  // Doubles carry ~16 significant digits; round the factor up at 15.
+  const factor = BigNumber.from(Math.ceil(2 ** -fraction * 1e15)).mul(1000)
+  const denominator = PRECISION.mul(BigNumber.from(2).pow(halvings))
+  return premium.mul(factor).add(denominator).sub(1).div(denominator)
+}
+
+/**
+ * Prices a batch for a register transaction expected no earlier than `at`,
+ * with each entry's premium decayed to that time and a buffer applied.
+ * @param controller A BulkRegistrarController contract.
+ * @param registrations The batch; placeholders get a max price of 0.
+ * @param options.at Earliest timestamp the batch will be revealed at.
+ *        Defaults to the latest block.
+ * @param options.bufferBps Basis points added to each entry's price.
+ * @param options.premiumHalfLife Seconds for the oracle's premium to halve.
+ * @return `prices` as quoted now, the `maxPrices` and `maxTotalCost` to pass
+ *         as registration options, and the `value` to send.
+ */
+async function quoteWithBuffer(controller, registrations, options = {}) {
+  const bufferBps =
+    options.bufferBps === undefined ? DEFAULT_BUFFER : options.bufferBps
+  const halfLife = options.premiumHalfLife || PREMIUM_HALF_LIFE
+  let elapsed = 0
+  if (options.at !== undefined) {
+    const { timestamp } = await controller.provider.getBlock('latest')
+    elapsed = options.at - timestamp
+  }
+
+  const prices = await Promise.all(
+    registrations.map((registration) =>
+      isPlaceholder(registration)
+        ? undefined
+        : controller.rentPrice(registration.name, registration.duration),
+    ),
+  )
+  const maxPrices = prices.map((price) =>
+    price === undefined
+      ? BigNumber.from(0)
+      : applyBuffer(
+          price.base.add(decayPremium(price.premium, elapsed, halfLife)),
+          bufferBps,
+        ),
+  )
+  const maxTotalCost = maxPrices.reduce(
+    (sum, maxPrice) => sum.add(maxPrice),
+    BigNumber.from(0),
+  )
+  return {
+    prices: prices.filter((price) => price !== undefined),
+    maxPrices,
+    maxTotalCost,
+    value: maxTotalCost,
+  }
+}
+
+module.exports = {
+  DEFAULT_BUFFER,
+  PREMIUM_HALF_LIFE,
+  applyBuffer,
+  decayPremium,
+  quoteWithBuffer,
+}
@@ -0,0 +1,112 @@
+const { BigNumber, constants, utils } = require('ethers')
+
+// Events BulkRegistrarController emits while registering a batch.
+const REGISTRATION_EVENTS_ABI = [
+  'event NameRegistered(string name, bytes32 indexed label, address indexed owner, uint256 baseCost, uint256 premium, uint256 expires)',
+  'event NameRegistrationSkipped(string name, string reason)',
+  'event RegistrationRefund(bytes32 indexed node, uint256 amount)',
+  'event BatchRegistered(bytes32 indexed commitment, uint256 count, uint256 totalCost, uint256 refund)',
+  'event RefundDeferred(address indexed recipient, uint256 amount)',
+  'event TokenPaymentReceived(address indexed token, address indexed payer, uint256 amount)',
+  'event VoucherRedeemed(bytes32 indexed id, address indexed registrant, uint16 discountBps)',
+  'event ReferralRewarded(address indexed referrer, address indexed registrant, address token, uint256 amount)',
+]
+
+const EVENTS = new utils.Interface(REGISTRATION_EVENTS_ABI)
+const ETH_NODE = utils.namehash('eth')
+
+function parseEvents(receipt, controller) {
+  return receipt.logs
+    .filter((log) => log.address.toLowerCase() === controller.toLowerCase())
+    .map((log) => {
+      try {
+        return EVENTS.parseLog(log)
+      } catch (e) {
+        // Another of the controller's events, such as NameRenewed.
+        return undefined
+      }
+    })
+    .filter((event) => event !== undefined)
+}
+
+/**
+ * Decodes the receipt of a BulkRegistrarController registration into the
+ * batch's outcome, for reconciling it without handling logs.
+ * @param receipt The transaction receipt.
+ * @param controller The controller's address; logs of other contracts are
+ *        ignored.
+ * @return The batch's `commitment`, `count` of names registered, `totalCost`
+ *         in wei and ether `refund` as the controller reported them; the
+ *         `registered` names with their `label`, `node`, NameWrapper
+ *         `tokenId`, `owner`, `baseCost`, `premium`, `expires` and `refund`,
+ *         what it was not charged of its `maxPrices` limit; the
+ *         `skipped` names with their `reason`; the `paymentToken` and
+ *         `tokenAmount` paid, if any; any `deferredRefund` left to withdraw;
+ *         and the redeemed `voucher` and `referral` reward, if any.
+ */
+function decodeRegistrationReceipt(receipt, controller) {
+  const events = parseEvents(receipt, controller)
+  const batch = events.find(({ name }) => name === 'BatchRegistered')
+  if (batch === undefined) {
+    throw new Error(
+      `Transaction ${receipt.transactionHash} did not register a batch`,
+    )
+  }
+  const byName = (eventName) =>
+    events.filter(({ name }) => name === eventName).map(({ args }) => args)
+  const refunds = new Map(
+    byName('RegistrationRefund').map(({ node, amount }) => [node, amount]),
+  )
+
+  const registered = byName('NameRegistered').map(
+    ({ name, label, owner, baseCost, premium, expires }) => {
+      const node = utils.keccak256(utils.concat([ETH_NODE, label]))
+      return {
+        name,
+        label,
+        node,
+        tokenId: BigNumber.from(node),
+        owner,
+        baseCost,
+        premium,
+        expires,
+        refund: refunds.get(node) || BigNumber.from(0),
+      }
+    },
+  )
+  const skipped = byName('NameRegistrationSkipped').map(({ name, reason }) => ({
+    name,
+    reason,
+  }))
+  const [payment] = byName('TokenPaymentReceived')
+  const [voucher] = byName('VoucherRedeemed')
+  const [referral] = byName('ReferralRewarded')
+
+  return {
+    transactionHash: receipt.transactionHash,
+    blockNumber: receipt.blockNumber,
+    commitment: batch.args.commitment,
+    count: batch.args.count.toNumber(),
+    totalCost: batch.args.totalCost,
+    refund: batch.args.refund,
+    registered,
+    skipped,
+    paymentToken: payment ? payment.token : constants.AddressZero,
+    tokenAmount: payment ? payment.amount : BigNumber.from(0),
+    deferredRefund: byName('RefundDeferred').reduce(
+      (sum, { amount }) => sum.add(amount),
+      BigNumber.from(0),
+    ),
+    voucher: voucher && { id: voucher.id, discountBps: voucher.discountBps },
+    referral: referral && {
+      referrer: referral.referrer,
+      token: referral.token,
+      amount: referral.amount,
+    },
+  }
+}
+
+module.exports = {
+  REGISTRATION_EVENTS_ABI,
+  decodeRegistrationReceipt,
+}
@@ -0,0 +1,485 @@
+const { BigNumber, Contract, constants, utils } = require('ethers')
+const {
+  BULK_REGISTRAR_CONTROLLER_ABI,
+  normaliseOptions,
+} = require('./BulkRegistrarClient')
+const {
+  ReverseRecord,
+  isPlaceholder,
+  makeBulkCommitment,
+  normaliseRegistration,
+} = require('./commitments')
+const { CommitmentState, getCommitmentStatuses } = require('./commitmentStatus')
+const { applyDiscount } = require('./vouchers')
+
+// The calls BulkRegistrarController makes while registering a name, which are
+// replayed from the controller's address for each entry.
+const CALLS = new utils.Interface([
+  'function registerAndWrapETH2LD(string label, address wrappedOwner, uint256 duration, address resolver, uint32 fuses, uint64 expiry) returns (uint256)',
+  'function setNameForAddr(address addr, address owner, address resolver, string name) returns (bytes32)',
+  'function weiToToken(address token, uint256 amount) view returns (uint256)',
+  'function ens() view returns (address)',
+  'function isApprovedForAll(address owner, address operator) view returns (bool)',
+  'function owner() view returns (address)',
+  // Custom errors from NameWrapper and ERC1155Fuse.
+  'error OperationProhibited(bytes32 node)',
+  'error Unauthorised(bytes32 node, address addr)',
+  'error NameNotFound()',
+  'error IncompatibleParent()',
+  'error IncompatibleName(bytes name)',
+  'error IncorrectTokenType()',
+  'error LabelMismatch(bytes32 labelHash, bytes32 expectedLabelhash)',
+  'error LabelTooShort()',
+  'error LabelTooLong(string label)',
+  'error IncorrectTargetOwner(address owner)',
+  'error CannotUpgrade()',
+  'error InvalidExpiry(bytes32 node, uint64 expiry)',
+])
+
+const ERROR_SELECTOR = '0x08c379a0' // Error(string)
+const PANIC_SELECTOR = '0x4e487b71' // Panic(uint256)
+
+// Failures `skipFailures` skips; every other failure reverts the batch.
+const SKIPPABLE_FAILURES = new Set([
+  'Not on allowlist',
+  'Name is unavailable',
+  'Name appears earlier in the batch',
+  'Price exceeds maximum',
+  'Total cost exceeds maximum',
+  'Not enough ether provided',
+  "Not authorised to set the owner's reverse record",
+])
+
+/**
+ * Turns revert data into a readable reason: the message of an `Error(string)`,
+ * the code of a `Panic(uint256)`, a NameWrapper custom error with its
+ * arguments, or the raw data of any other custom error.
+ */
+function decodeRevert(data) {
+  if (data === undefined || utils.hexDataLength(data) === 0) {
+    return 'reverted without a reason'
+  }
+  if (utils.hexDataSlice(data, 0, 4) === ERROR_SELECTOR) {
+    return utils.defaultAbiCoder.decode(
+      ['string'],
+      utils.hexDataSlice(data, 4),
+    )[0]
+  }
+  if (utils.hexDataSlice(data, 0, 4) === PANIC_SELECTOR) {
+    return `panic code ${BigNumber.from(
+      utils.hexDataSlice(data, 4),
+    ).toHexString()}`
+  }
+  try {
+    const { name, args } = CALLS.parseError(data)
+    return `${name}(${args.map((arg) => arg.toString()).join(', ')})`
+  } catch (e) {
+    return `reverted with data ${data}`
+  }
+}
+
+// Nodes and providers nest the revert data differently in their errors.
+function revertData(error) {
+  for (let e = error; e; e = e.error) {
+    if (typeof e.data === 'string' && utils.isHexString(e.data)) {
+      return e.data
+    }
+    if (e.data && typeof e.data.data === 'string') {
+      return e.data.data
+    }
+  }
+  return undefined
+}
+
+/**
+ * Runs `tx` with eth_call against the latest block.
+ * @return The decoded revert reason, or undefined if the call succeeds.
+ */
+async function callRevertReason(provider, tx) {
+  try {
+    await provider.send('eth_call', [
+      { ...tx, value: tx.value && utils.hexValue(tx.value) },
+      'latest',
+    ])
+    return undefined
+  } catch (e) {
+    const data = revertData(e)
+    if (data === undefined && !/revert/i.test(e.message)) {
+      throw e
+    }
+    return decodeRevert(data)
+  }
+}
+
+// Whether `from` may set the reverse record of `addr`, by the same rules as
+// the controller: it is `addr`, an ENS operator for it, or owns contract `addr`.
+async function authorisedForAddr(provider, targets, addr, from) {
+  if (addr.toLowerCase() === from.toLowerCase()) {
+    return true
+  }
+  const ens = new Contract(targets.ens, CALLS, provider)
+  if (await ens.isApprovedForAll(addr, from)) {
+    return true
+  }
+  if ((await provider.getCode(addr)) === '0x') {
+    return false
+  }
+  try {
+    const owner = await new Contract(addr, CALLS, provider).owner()
+    return owner.toLowerCase() === from.toLowerCase()
+  } catch (e) {
+    return false
+  }
+}
+
+// The checks the controller makes on an entry before pricing it, in its
+// order. Returns the first failure, if any.
+async function checkEntry(contract, registration, index, context) {
+  const { name, owner, duration, resolver, data, reverseRecord } = registration
+  const { proofs } = context
+  if (data.length > 0 && resolver === constants.AddressZero) {
+    return 'Resolver required when data supplied'
+  }
+  if (
+    context.allowlistOpen &&
+    !(
+      proofs !== undefined &&
+      proofs[index] !== undefined &&
+      (await contract.allowlisted(name, owner, proofs[index]))
+    )
+  ) {
+    return 'Not on allowlist'
+  }
+  if (
+    reverseRecord === ReverseRecord.Owner &&
+    !(await authorisedForAddr(
+      contract.provider,
+      context.targets,
+      owner,
+      context.from,
+    ))
+  ) {
+    return "Not authorised to set the owner's reverse record"
+  }
+  if (context.minDuration.gt(duration)) {
+    return `Duration is below the minimum of ${context.minDuration.toString()} seconds`
+  }
+  // available() is false for invalid names too.
+  if (!(await contract.available(name))) {
+    return 'Name is unavailable'
+  }
+  if (context.seen.has(name)) {
+    return 'Name appears earlier in the batch'
+  }
+  return undefined
+}
+
+// Replays the calls the controller would make for an entry from the
+// controller's own address, in its order. Records are set before the name
+// exists, which matches resolvers that trust the controller, such as
+// PublicResolver. Returns the first failure, if any.
+async function callEntry(contract, registration, from, targets) {
+  const { name, owner, duration, resolver, data, reverseRecord } = registration
+  const registerReason = await callRevertReason(contract.provider, {
+    from: contract.address,
+    to: targets.nameWrapper,
+    data: CALLS.encodeFunctionData('registerAndWrapETH2LD', [
+      name,
+      owner,
+      duration,
+      resolver,
+      registration.fuses,
+      registration.wrapperExpiry,
+    ]),
+  })
+  if (registerReason !== undefined) {
+    return `Registration reverts: ${registerReason}`
+  }
+  const node = utils.namehash(`${name}.eth`)
+  for (let i = 0; i < data.length; i++) {
+    if (
+      utils.hexDataLength(data[i]) < 36 ||
+      utils.hexDataSlice(data[i], 4, 36) !== node
+    ) {
+      return `Namehash on record ${i} does not match the name being registered`
+    }
+    if ((await contract.provider.getCode(resolver)) === '0x') {
+      return 'Resolver is not a contract'
+    }
+    const reason = await callRevertReason(contract.provider, {
+      from: contract.address,
+      to: resolver,
+      data: data[i],
+    })
+    if (reason !== undefined) {
+      return `Record ${i} reverts: ${reason}`
+    }
+  }
+  if (reverseRecord !== ReverseRecord.None) {
+    const addr = reverseRecord === ReverseRecord.Owner ? owner : from
+    const reason = await callRevertReason(contract.provider, {
+      from: contract.address,
+      to: targets.reverseRegistrar,
+      data: CALLS.encodeFunctionData('setNameForAddr', [
+        addr,
+        addr,
+        resolver,
+        `${name}.eth`,
+      ]),
+    })
+    if (reason !== undefined) {
+      return `Reverse record reverts: ${reason}`
+    }
+  }
+  return undefined
+}
+
+async function tokenAmount(contract, token, cost) {
+  const converter = await contract.paymentTokens(token)
+  if (converter === constants.AddressZero) {
+    return undefined
+  }
+  const [amount] = CALLS.decodeFunctionResult(
+    'weiToToken',
+    await contract.provider.call({
+      to: converter,
+      data: CALLS.encodeFunctionData('weiToToken', [token, cost]),
+    }),
+  )
+  return amount
+}
+
+/**
+ * Works out what registering a batch through a BulkRegistrarController would
+ * do, without sending a transaction. Each entry goes through the controller's
+ * own checks (availability, minimum duration, resolver and record
+ * namehashes, price limits and the value left to pay for it), and the calls
+ * the controller would make for it to the NameWrapper, the resolver and the
+ * ReverseRegistrar are replayed with eth_call from the controller's address,
+ * so failures inside them are reported with their revert reasons. Checks are
+ * made in the controller's order, and an entry's first failure is the one
+ * reported, as it is the one the controller reverts or skips with. Run it
+ * against a fork to simulate against a future state.
+ *
+ * While the controller's allowlist window is open, entries without a proof
+ * that they are allowlisted fail as they would in the controller.
+ *
+ * If the batch's commitment can be revealed now, the whole batch is also
+ * replayed with eth_call and any revert reported as `revertReason`.
+ *
+ * @param controller A BulkRegistrarController contract.
+ * @param registrations The batch, as passed to `registerWithOptions`.
+ * @param options.from The account that would register. Defaults to the
+ *        controller's signer, if it has one.
+ * @param options.value Ether that would be sent. Defaults to the batch's cost,
+ *        or zero when paying in a token.
+ * @param options.registrationOptions As passed to `registerWithOptions`.
+ * @param options.proofs Allowlist proofs, one per registration, as passed to
+ *        `registerWithProofs`.
+ * @return `entries` with a `status` of `registered`, `skipped`, `failed` or
+ *         `placeholder`, the entry's `price` and `cost` and its `failures`
+ *         (at most one reason); the batch's `totalCost`, `value`, `refund` and
+ *         `tokenAmount`; batch-wide `failures`; the batch's `commitment` and
+ *         its `commitmentState`; any `revertReason`; and `ok` if the batch
+ *         would go through.
+ */
+async function simulateRegistrations(controller, registrations, options = {}) {
+  const contract = new Contract(
+    controller.address,
+    BULK_REGISTRAR_CONTROLLER_ABI,
+    controller.provider,
+  )
+  const from =
+    options.from ||
+    (controller.signer
+      ? await controller.signer.getAddress()
+      : constants.AddressZero)
+  const registrationOptions = normaliseOptions(options.registrationOptions)
+  const { skipFailures, paymentToken, maxPrices, voucher } = registrationOptions
+  const discountBps = utils.hexDataLength(voucher.signature)
+    ? voucher.discountBps
+    : 0
+  const payInToken = paymentToken !== constants.AddressZero
+  const batch = registrations.map(normaliseRegistration)
+
+  const failures = []
+  if (
+    payInToken &&
+    options.value !== undefined &&
+    !BigNumber.from(options.value).isZero()
+  ) {
+    failures.push('Ether sent with token payment')
+  }
+  if (maxPrices.length > 0 && maxPrices.length !== batch.length) {
+    failures.push('Registrations and max prices length mismatch')
+  }
+  const { proofs } = options
+  if (proofs !== undefined && proofs.length !== batch.length) {
+    failures.push('Registrations and proofs length mismatch')
+  }
+
+  const reverseRegistrar = await contract.reverseRegistrar()
+  const targets = {
+    nameWrapper: await contract.nameWrapper(),
+    reverseRegistrar,
+    ens: await new Contract(reverseRegistrar, CALLS, contract.provider).ens(),
+  }
+  const [allowlistStart, allowlistEnd, { timestamp }] = await Promise.all([
+    contract.allowlistStart(),
+    contract.allowlistEnd(),
+    contract.provider.getBlock('latest'),
+  ])
+  const context = {
+    allowlistOpen: allowlistStart.lte(timestamp) && allowlistEnd.gt(timestamp),
+    proofs,
+    from,
+    targets,
+    minDuration: await contract.MIN_REGISTRATION_DURATION(),
+    seen: new Set(),
+  }
+  const entries = []
+  // The failures of the calls each entry would make, which the controller
+  // only reaches once the entry is priced within the batch's limits.
+  const callFailures = []
+  for (let index = 0; index < batch.length; index++) {
+    const registration = batch[index]
+    if (isPlaceholder(registration)) {
+      entries.push({ index, name: '', status: 'placeholder', failures: [] })
+      continue
+    }
+    const entry = { index, name: registration.name, failures: [] }
+    const failure = await checkEntry(contract, registration, index, context)
+    context.seen.add(registration.name)
+    if (failure !== undefined) {
+      entry.failures.push(failure)
+    } else {
+      entry.price = applyDiscount(
+        await contract.rentPrice(registration.name, registration.duration),
+        discountBps,
+      )
+      entry.cost = entry.price.base.add(entry.price.premium)
+      callFailures[index] = await callEntry(
+        contract,
+        registration,
+        from,
+        targets,
+      )
+    }
+    entries.push(entry)
+  }
+
+  // The remaining value and cost limits depend on which earlier entries go
+  // through, so they are applied in batch order.
+  const noLimit = constants.MaxUint256
+  const maxTotalCost = registrationOptions.maxTotalCost.isZero()
+    ? noLimit
+    : registrationOptions.maxTotalCost
+  let value = BigNumber.from(0)
+  if (!payInToken) {
+    value =
+      options.value === undefined
+        ? entries
+            .filter(
+              (entry) =>
+                entry.cost &&
+                entry.failures.length === 0 &&
+                callFailures[entry.index] === undefined,
+            )
+            .reduce((sum, entry) => sum.add(entry.cost), BigNumber.from(0))
+        : BigNumber.from(options.value)
+  }
+  const budget = payInToken ? noLimit : value
+  let totalCost = BigNumber.from(0)
+  for (const entry of entries) {
+    if (entry.status === 'placeholder') {
+      continue
+    }
+    if (entry.failures.length === 0) {
+      const maxPrice = maxPrices[entry.index]
+      if (
+        maxPrice !== undefined &&
+        !maxPrice.isZero() &&
+        entry.cost.gt(maxPrice)
+      ) {
+        entry.failures.push('Price exceeds maximum')
+      } else if (entry.cost.gt(maxTotalCost.sub(totalCost))) {
+        entry.failures.push('Total cost exceeds maximum')
+      } else if (entry.cost.gt(budget.sub(totalCost))) {
+        entry.failures.push('Not enough ether provided')
+      } else if (callFailures[entry.index] !== undefined) {
+        entry.failures.push(callFailures[entry.index])
+      }
+    }
+    if (entry.failures.length === 0) {
+      entry.status = 'registered'
+      totalCost = totalCost.add(entry.cost)
+    } else if (skipFailures && SKIPPABLE_FAILURES.has(entry.failures[0])) {
+      entry.status = 'skipped'
+    } else {
+      entry.status = 'failed'
+    }
+  }
+
+  let amount
+  if (payInToken) {
+    amount = await tokenAmount(contract, paymentToken, totalCost)
+    if (amount === undefined) {
+      failures.push('Payment token not accepted')
+    }
+  }
+
+  // The controller cannot hash an entry with records but no resolver, so
+  // such a batch has no commitment.
+  let commitment
+  let commitmentState = CommitmentState.None
+  let revertReason
+  if (
+    !batch.some(
+      ({ resolver, data }) =>
+        data.length > 0 && resolver === constants.AddressZero,
+    )
+  ) {
+    commitment = makeBulkCommitment(batch)
+    const statuses = await getCommitmentStatuses(contract, [commitment])
+    commitmentState = statuses[0].state
+  }
+  if (commitmentState === CommitmentState.Revealable) {
+    revertReason = await callRevertReason(contract.provider, {
+      from,
+      to: contract.address,
+      value,
+      data:
+        proofs === undefined
+          ? contract.interface.encodeFunctionData('registerWithOptions', [
+              batch,
+              registrationOptions,
+            ])
+          : contract.interface.encodeFunctionData('registerWithProofs', [
+              batch,
+              registrationOptions,
+              proofs,
+            ]),
+    })
+  }
+
+  return {
+    entries,
+    failures,
+    commitment,
+    commitmentState,
+    revertReason,
+    totalCost,
+    value,
+    refund: payInToken ? BigNumber.from(0) : value.sub(totalCost),
+    tokenAmount: amount,
+    ok:
+      failures.length === 0 &&
+      revertReason === undefined &&
+      entries.every((entry) => entry.status !== 'failed'),
+  }
+}
+
+module.exports = {
+  decodeRevert,
+  simulateRegistrations,
+}
@@ -0,0 +1,81 @@
+const { BigNumber, constants, utils } = require('ethers')
+
+// A voucher with no signature, which applies no discount.
+const NO_VOUCHER = {
+  id: constants.HashZero,
+  discountBps: 0,
+  deadline: 0,
+  signature: '0x',
+}
+
+const VOUCHER_TYPES = {
+  Voucher: [
+    { name: 'id', type: 'bytes32' },
+    { name: 'registrant', type: 'address' },
+    { name: 'discountBps', type: 'uint16' },
+    { name: 'deadline', type: 'uint256' },
+  ],
+}
+
+/**
+ * Returns the EIP-712 domain BulkRegistrarController signs messages under.
+ */
+async function controllerDomain(signer, controller) {
+  return {
+    name: 'BulkRegistrarController',
+    version: '1',
+    chainId: await signer.getChainId(),
+    verifyingContract: controller,
+  }
+}
+
+/**
+ * Signs an EIP-712 discount voucher for a BulkRegistrarController. The
+ * controller only accepts it from `registrant`, once, until `deadline`, and
+ * only if `signer` is its `voucherSigner`.
+ * @param signer The voucher signer, an ethers Signer.
+ * @param controller The controller's address.
+ * @param voucher.id A unique id, e.g. the hash of a campaign code; random if
+ *        omitted.
+ * @param voucher.discountBps The discount off each name's base price, in
+ *        basis points.
+ * @return The voucher to pass to `register` as `options.voucher`.
+ */
+async function signVoucher(signer, controller, voucher) {
+  const value = {
+    id: voucher.id || utils.hexlify(utils.randomBytes(32)),
+    registrant: utils.getAddress(voucher.registrant),
+    discountBps: voucher.discountBps,
+    deadline: BigNumber.from(voucher.deadline),
+  }
+  const signature = await signer._signTypedData(
+    await controllerDomain(signer, controller),
+    VOUCHER_TYPES,
+    value,
+  )
+  return {
+    id: value.id,
+    discountBps: value.discountBps,
+    deadline: value.deadline,
+    signature,
+  }
+}
+
+/**
+ * Applies a voucher's discount to a price as the controller does.
+ */
+function applyDiscount(price, discountBps) {
+  const base = BigNumber.from(price.base)
+  return {
+    base: base.sub(base.mul(discountBps).div(10000)),
+    premium: BigNumber.from(price.premium),
+  }
+}
+
+module.exports = {
+  NO_VOUCHER,
+  VOUCHER_TYPES,
+  applyDiscount,
+  controllerDomain,
+  signVoucher,
+}
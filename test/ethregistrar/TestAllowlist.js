@@ -0,0 +1,109 @@
+const { expect } = require('chai')
+
+const { deployments, ethers } = require('hardhat')
+const {
+  allowlistLeaf,
+  buildAllowlist,
+  parseAllowlist,
+  proofsFor,
+  verifyAllowlistProof,
+} = require('../../lib/ethregistrar/allowlist')
+
+const ALICE = '0x000000000000000000000000000000000000a11c'
+const BOB = '0x0000000000000000000000000000000000000b0b'
+
+describe('Registration allowlist', function () {
+  function entries(count) {
+    return Array.from({ length: count }, (_, i) => ({
+      name: `early${i}`,
+      owner: i % 2 ? ALICE : BOB,
+    }))
+  }
+
+  it('builds proofs for every entry of trees of any size', () => {
+    for (const count of [1, 2, 3, 5, 8, 13]) {
+      const allowlist = buildAllowlist(entries(count))
+      for (const { name, owner, proof } of allowlist.entries) {
+        expect(verifyAllowlistProof(allowlist.root, name, owner, proof)).to.be
+          .true
+      }
+    }
+  })
+
+  it('does not depend on the order of entries', () => {
+    const list = entries(7)
+    expect(buildAllowlist([...list].reverse()).root).to.equal(
+      buildAllowlist(list).root,
+    )
+  })
+
+  it('binds each proof to its name and owner', () => {
+    const allowlist = buildAllowlist(entries(4))
+    const [entry] = allowlist.entries
+    expect(verifyAllowlistProof(allowlist.root, entry.name, ALICE, entry.proof))
+      .to.be.false
+    expect(
+      verifyAllowlistProof(allowlist.root, 'early9', entry.owner, entry.proof),
+    ).to.be.false
+  })
+
+  it('rejects duplicate entries', () => {
+    expect(() =>
+      buildAllowlist([
+        { name: 'early', owner: ALICE },
+        { name: 'early', owner: ALICE.toUpperCase().replace('0X', '0x') },
+      ]),
+    ).to.throw('duplicate entry')
+  })
+
+  it('parses a CSV allowlist', () => {
+    const csv = [
+      'owner,name',
+      `${ALICE},alice.eth`,
+      '# a comment',
+      '',
+      `${BOB},bob`,
+    ].join('\n')
+
+    expect(parseAllowlist(csv)).to.deep.equal([
+      { name: 'alice', owner: ethers.utils.getAddress(ALICE) },
+      { name: 'bob', owner: ethers.utils.getAddress(BOB) },
+    ])
+  })
+
+  it('reports every invalid row of a CSV allowlist', () => {
+    const csv = ['name,owner', `Alice,${ALICE}`, 'bob,0x1234'].join('\n')
+
+    expect(() => parseAllowlist(csv)).to.throw(
+      /Allowlist row 2: "Alice" is not normalised; use "alice"\nAllowlist row 3: invalid owner "0x1234"/,
+    )
+    expect(() => parseAllowlist('name\nalice')).to.throw(
+      'expected "name" and "owner" columns',
+    )
+  })
+
+  it('picks the proofs for a batch', () => {
+    const allowlist = buildAllowlist(entries(3))
+    const proofs = proofsFor(allowlist, [
+      { name: 'early2', owner: BOB },
+      { name: '', duration: '0x01' },
+    ])
+
+    expect(proofs).to.deep.equal([allowlist.entries[2].proof, []])
+    expect(() =>
+      proofsFor(allowlist, [{ name: 'early2', owner: ALICE }]),
+    ).to.throw('"early2" is not allowlisted')
+  })
+
+  it('hashes leaves the way the controller does', async () => {
+    await deployments.fixture(['BulkRegistrarController'])
+    const controller = await ethers.getContract('BulkRegistrarController')
+    const allowlist = buildAllowlist(entries(5))
+    await controller.setAllowlist(allowlist.root, 0, 0)
+
+    for (const { name, owner, proof } of allowlist.entries) {
+      expect(await controller.allowlisted(name, owner, proof)).to.be.true
+    }
+    expect(allowlistLeaf('early0', BOB)).to.equal(allowlist.entries[0].leaf)
+  })
+})
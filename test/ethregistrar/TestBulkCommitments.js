@@ -0,0 +1,228 @@
+const {
+  evm,
+  contracts: { deploy },
+} = require('../test-utils')
+const {
+  ReverseRecord,
+  makeBulkCommitment,
+  makeCommitment,
+  makePlaceholder,
+  selectRegistrations,
+} = require('../../lib/ethregistrar/commitments')
+
+const { expect } = require('chai')
+
+const { ethers } = require('hardhat')
+const namehash = require('eth-ens-namehash')
+const sha3 = require('web3-utils').sha3
+
+const DAYS = 24 * 60 * 60
+const REGISTRATION_TIME = 28 * DAYS
+const BUFFERED_REGISTRATION_COST = REGISTRATION_TIME + 3 * DAYS
+const NULL_ADDRESS = '0x0000000000000000000000000000000000000000'
+const EMPTY_BYTES =
+  '0x0000000000000000000000000000000000000000000000000000000000000000'
+const RANDOM_BATCHES = 25
+
+// Small seeded PRNG (mulberry32) so failures are reproducible.
+function random(seed) {
+  return function () {
+    seed |= 0
+    seed = (seed + 0x6d2b79f5) | 0
+    let t = Math.imul(seed ^ (seed >>> 15), 1 | seed)
+    t = (t + Math.imul(t ^ (t >>> 7), 61 | t)) ^ t
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296
+  }
+}
+
+function randomBytes(rand, length) {
+  const bytes = new Uint8Array(length)
+  for (let i = 0; i < length; i++) {
+    bytes[i] = Math.floor(rand() * 256)
+  }
+  return ethers.utils.hexlify(bytes)
+}
+
+function randomRegistration(rand, resolver) {
+  const name = Array.from({ length: 3 + Math.floor(rand() * 10) }, () =>
+    String.fromCharCode(97 + Math.floor(rand() * 26)),
+  ).join('')
+  const withData = rand() < 0.5
+  return {
+    name,
+    owner: ethers.utils.getAddress(randomBytes(rand, 20)),
+    duration: REGISTRATION_TIME + Math.floor(rand() * 365 * DAYS),
+    resolver: withData || rand() < 0.5 ? resolver : NULL_ADDRESS,
+    secret: randomBytes(rand, 12),
+    data: withData
+      ? Array.from({ length: 1 + Math.floor(rand() * 3) }, () =>
+          randomBytes(rand, 36 + Math.floor(rand() * 64)),
+        )
+      : [],
+    reverseRecord: Math.floor(rand() * 3),
+    fuses: Math.floor(rand() * 2 ** 32),
+    wrapperExpiry: ethers.BigNumber.from(randomBytes(rand, 8)),
+  }
+}
+
+contract('BulkCommitments', function () {
+  let ens
+  let baseRegistrar
+  let controller
+  let priceOracle
+  let reverseRegistrar
+  let nameWrapper
+  let resolver
+
+  const secret = '0x0123456789ABCDEF01234567'
+  let signers
+  let ownerAccount // Account that owns the registrar
+  let registrantAccount // Account that owns test names
+  let result
+
+  before(async () => {
+    signers = await ethers.getSigners()
+    ownerAccount = await signers[0].getAddress()
+    registrantAccount = await signers[1].getAddress()
+
+    ens = await deploy('ENSRegistry')
+
+    baseRegistrar = await deploy(
+      'BaseRegistrarImplementation',
+      ens.address,
+      namehash.hash('eth'),
+    )
+
+    nameWrapper = await deploy(
+      'NameWrapper',
+      ens.address,
+      baseRegistrar.address,
+      ownerAccount,
+    )
+
+    reverseRegistrar = await deploy('ReverseRegistrar', ens.address)
+
+    await ens.setSubnodeOwner(EMPTY_BYTES, sha3('eth'), baseRegistrar.address)
+
+    const dummyOracle = await deploy('DummyOracle', '100000000')
+    priceOracle = await deploy(
+      'StablePriceOracle',
+      dummyOracle.address,
+      [0, 0, 4, 2, 1],
+    )
+    controller = await deploy(
+      'BulkRegistrarController',
+      baseRegistrar.address,
+      priceOracle.address,
+      600,
+      86400,
+      reverseRegistrar.address,
+      nameWrapper.address,
+    )
+
+    await baseRegistrar.addController(controller.address)
+    await nameWrapper.setController(controller.address, true)
+    await baseRegistrar.addController(nameWrapper.address)
+    await reverseRegistrar.setController(controller.address, true)
+
+    resolver = await deploy(
+      'PublicResolver',
+      ens.address,
+      nameWrapper.address,
+      controller.address,
+      reverseRegistrar.address,
+    )
+  })
+
+  beforeEach(async () => {
+    result = await ethers.provider.send('evm_snapshot')
+  })
+  afterEach(async () => {
+    await ethers.provider.send('evm_revert', [result])
+  })
+
+  function registration(name) {
+    return {
+      name,
+      owner: registrantAccount,
+      duration: REGISTRATION_TIME,
+      resolver: NULL_ADDRESS,
+      secret,
+      data: [],
+      reverseRecord: ReverseRecord.None,
+      fuses: 0,
+      wrapperExpiry: 0,
+    }
+  }
+
+  it('should match makeCommitment for random registrations', async () => {
+    const rand = random(1)
+    for (let i = 0; i < RANDOM_BATCHES; i++) {
+      const entry = randomRegistration(rand, resolver.address)
+      expect(makeCommitment(entry)).to.equal(
+        await controller.makeCommitment(entry),
+        JSON.stringify(entry),
+      )
+    }
+  })
+
+  it('should match makeBulkCommitment for random batches with placeholders', async () => {
+    const rand = random(2)
+    for (let i = 0; i < RANDOM_BATCHES; i++) {
+      const batch = Array.from({ length: 1 + Math.floor(rand() * 8) }, () =>
+        randomRegistration(rand, resolver.address),
+      )
+      const withPlaceholders = batch.map((entry) =>
+        rand() < 0.4 ? makePlaceholder(entry) : entry,
+      )
+      const expected = await controller.makeBulkCommitment(batch)
+      expect(makeBulkCommitment(batch)).to.equal(expected)
+      expect(makeBulkCommitment(withPlaceholders)).to.equal(expected)
+      expect(await controller.makeBulkCommitment(withPlaceholders)).to.equal(
+        expected,
+      )
+    }
+  })
+
+  it('should placeholder everything outside the selected subset', async () => {
+    const batch = ['first', 'second', 'third'].map(registration)
+    const selected = selectRegistrations(batch, ['second'])
+
+    expect(selected.map(({ name }) => name)).to.deep.equal(['', 'second', ''])
+    expect(selected[0].duration).to.equal(
+      ethers.BigNumber.from(makeCommitment(batch[0])),
+    )
+    expect(makeBulkCommitment(selected)).to.equal(makeBulkCommitment(batch))
+  })
+
+  it('should keep existing placeholders when selecting a subset', async () => {
+    const batch = ['first', 'second', 'third'].map(registration)
+    const selected = selectRegistrations(
+      selectRegistrations(batch, ['first', 'third']),
+      [batch[2]],
+    )
+    expect(selected.map(({ name }) => name)).to.deep.equal(['', '', 'third'])
+    expect(makeBulkCommitment(selected)).to.equal(makeBulkCommitment(batch))
+  })
+
+  it('should reject selecting a name that was not committed', async () => {
+    const batch = ['first', 'second'].map(registration)
+    expect(() => selectRegistrations(batch, ['other'])).to.throw(
+      'Registration for "other" is not in the committed batch',
+    )
+  })
+
+  it('should register only the selected subset of a committed batch', async () => {
+    const batch = ['first', 'second', 'third'].map(registration)
+    await controller.commit(makeBulkCommitment(batch))
+    await evm.advanceTime((await controller.minCommitmentAge()).toNumber())
+
+    await controller.register(selectRegistrations(batch, ['first', 'third']), {
+      value: BUFFERED_REGISTRATION_COST * 2,
+    })
+
+    expect(await controller.available('first')).to.equal(false)
+    expect(await controller.available('second')).to.equal(true)
+    expect(await controller.available('third')).to.equal(false)
+  })
+})
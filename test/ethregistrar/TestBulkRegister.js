@@ -0,0 +1,406 @@
+const fs = require('fs')
+const os = require('os')
+const path = require('path')
+const { expect } = require('chai')
+
+const hre = require('hardhat')
+const { deployments, ethers } = hre
+const {
+  evm,
+  contracts: { deploy },
+  exceptions: { expectRejection },
+} = require('../test-utils')
+const { bulkRegister } = require('../../lib/ethregistrar/bulkRegister')
+const { ReverseRecord } = require('../../lib/ethregistrar/commitments')
+const {
+  parseCsv,
+  parseDuration,
+  parseManifest,
+} = require('../../lib/ethregistrar/manifest')
+
+const DAYS = 24 * 60 * 60
+const YEAR = 365 * DAYS
+const NULL_ADDRESS = '0x0000000000000000000000000000000000000000'
+
+describe('bulk-register', function () {
+  let controller
+  let signer
+  let owner
+  let dir
+
+  const noop = () => {}
+
+  function writeManifest(name, contents) {
+    const manifestPath = path.join(dir, name)
+    fs.writeFileSync(manifestPath, contents)
+    return manifestPath
+  }
+
+  beforeEach(async () => {
+    await deployments.fixture(['BulkRegistrarController'])
+    controller = await ethers.getContract('BulkRegistrarController')
+    ;[signer] = await ethers.getSigners()
+    owner = (await ethers.getSigners())[1].address
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'bulk-register-'))
+  })
+
+  afterEach(() => {
+    fs.rmSync(dir, { recursive: true, force: true })
+  })
+
+  it('should parse quoted CSV fields', () => {
+    expect(parseCsv('a,"b,c","say ""hi"""\r\n1,2,3\n')).to.deep.equal([
+      ['a', 'b,c', 'say "hi"'],
+      ['1', '2', '3'],
+    ])
+  })
+
+  it('should parse durations in seconds, days and years', () => {
+    expect(parseDuration('2419200')).to.equal(2419200)
+    expect(parseDuration('28d')).to.equal(28 * DAYS)
+    expect(parseDuration('2y')).to.equal(2 * YEAR)
+    expect(() => parseDuration('soon')).to.throw('invalid duration "soon"')
+  })
+
+  it('should parse CSV and JSON manifests into registrations', () => {
+    const resolver = ethers.Wallet.createRandom().address
+    const csv = [
+      'name,owner,duration,resolver,records,fuses,reverseRecord',
+      '# comments and blank lines are ignored',
+      '',
+      `first.eth,${owner},1y,,,,`,
+      `second,${owner},28d,${resolver},"addr=${owner};text:url=https://ens.domains",1,true`,
+    ].join('\n')
+    const json = JSON.stringify([
+      { name: 'first', owner, duration: '1y' },
+      {
+        name: 'second',
+        owner,
+        duration: 28 * DAYS,
+        resolver,
+        records: [`addr=${owner}`, 'text:url=https://ens.domains'],
+        fuses: 1,
+        reverseRecord: 'caller',
+      },
+    ])
+
+    const registrations = parseManifest(csv, 'csv')
+    expect(parseManifest(json, 'json')).to.deep.equal(registrations)
+    expect(registrations[0]).to.deep.equal({
+      name: 'first',
+      owner,
+      duration: YEAR,
+      resolver: NULL_ADDRESS,
+      data: [],
+      reverseRecord: ReverseRecord.None,
+      fuses: 0,
+      wrapperExpiry: 0,
+    })
+    expect(registrations[1].data.length).to.equal(2)
+    expect(registrations[1].reverseRecord).to.equal(ReverseRecord.Caller)
+    expect(registrations[1].fuses).to.equal(1)
+  })
+
+  it('should parse reverse record targets', () => {
+    const csv = [
+      'name,owner,duration,reverseRecord',
+      `first,${owner},1y,owner`,
+      `second,${owner},1y,Caller`,
+      `third,${owner},1y,none`,
+      `fourth,${owner},1y,yes`,
+    ].join('\n')
+
+    expect(
+      parseManifest(csv, 'csv').map(({ reverseRecord }) => reverseRecord),
+    ).to.deep.equal([
+      ReverseRecord.Owner,
+      ReverseRecord.Caller,
+      ReverseRecord.None,
+      ReverseRecord.Caller,
+    ])
+    expect(() =>
+      parseManifest(
+        `name,owner,duration,reverseRecord\nfirst,${owner},1y,me`,
+        'csv',
+      ),
+    ).to.throw('Manifest row 2: invalid reverseRecord "me"')
+  })
+
+  it('should report every invalid manifest row', () => {
+    const csv = [
+      'name,owner,duration,records',
+      `good,${owner},1y,`,
+      'bad,nobody,1y,',
+      `,${owner},1y,`,
+      `norecords,${owner},1y,addr=${owner}`,
+      `Nick,${owner},1y,`,
+      `ni\u200dck,${owner},1y,`,
+    ].join('\n')
+
+    expect(() => parseManifest(csv, 'csv')).to.throw(
+      [
+        'Manifest row 3: invalid owner "nobody"',
+        'Manifest row 4: missing name',
+        'Manifest row 5: records require a resolver',
+        'Manifest row 6: "Nick" is not normalised; use "nick"',
+        'Manifest row 7: "ni{200D}ck" is not a valid name: disallowed character: {200D}',
+      ].join('\n'),
+    )
+  })
+
+  it('should check names against the controller before committing', async () => {
+    const manifest = writeManifest(
+      'names.csv',
+      [
+        'name,owner,duration',
+        `ab,${owner},1y`,
+        `fresh,${owner},1d`,
+        `fresh,${owner},1y`,
+      ].join('\n'),
+    )
+
+    await expectRejection(
+      bulkRegister({
+        controller: controller.address,
+        signer,
+        manifest,
+        log: noop,
+      }),
+      [
+        'Manifest cannot be registered:',
+        'ab.eth is not a valid name',
+        'fresh.eth duration is below the minimum of 2419200 seconds',
+        'fresh.eth appears more than once',
+      ].join('\n'),
+    )
+    expect(fs.existsSync(`${manifest}.state.json`)).to.equal(false)
+  })
+
+  it('should quote a dry run without sending transactions', async () => {
+    const manifest = writeManifest(
+      'names.json',
+      JSON.stringify([{ name: 'newname', owner, duration: YEAR }]),
+    )
+    const blockNumber = await ethers.provider.getBlockNumber()
+
+    const quote = await bulkRegister({
+      controller: controller.address,
+      signer,
+      manifest,
+      dryRun: true,
+      log: noop,
+    })
+
+    expect(quote.total).to.equal(YEAR)
+    expect(quote.simulation.ok).to.equal(true)
+    expect(quote.simulation.entries[0].status).to.equal('registered')
+    expect(await ethers.provider.getBlockNumber()).to.equal(blockNumber)
+    expect(fs.existsSync(`${manifest}.state.json`)).to.equal(false)
+  })
+
+  it('should commit, then resume from the state file to register', async () => {
+    const resolver = await deploy(
+      'PublicResolver',
+      (
+        await ethers.getContract('ENSRegistry')
+      ).address,
+      (
+        await ethers.getContract('NameWrapper')
+      ).address,
+      controller.address,
+      (
+        await ethers.getContract('ReverseRegistrar')
+      ).address,
+    )
+    const manifest = writeManifest(
+      'names.csv',
+      [
+        'name,owner,duration,resolver,records',
+        `newname,${owner},1y,${resolver.address},text:url=https://ens.domains`,
+        `othername,${owner},1y,,`,
+      ].join('\n'),
+    )
+    const statePath = path.join(dir, 'progress.json')
+
+    await hre.run('bulk-register', {
+      manifest,
+      state: statePath,
+      controller: controller.address,
+      commitOnly: true,
+    })
+    const committed = JSON.parse(fs.readFileSync(statePath, 'utf8'))
+    expect(await controller.commitments(committed.commitment)).to.equal(
+      committed.committedAt,
+    )
+    expect(committed.registerTx).to.equal(undefined)
+
+    await evm.advanceTime((await controller.minCommitmentAge()).toNumber())
+    await evm.mine()
+    const state = await bulkRegister({
+      controller: controller.address,
+      signer,
+      manifest,
+      statePath,
+      log: noop,
+    })
+
+    expect(state.commitTx).to.equal(committed.commitTx)
+    expect(state.registered).to.deep.equal(['newname', 'othername'])
+    expect(await controller.available('newname')).to.equal(false)
+    expect(await controller.available('othername')).to.equal(false)
+    expect(
+      await resolver.text(ethers.utils.namehash('newname.eth'), 'url'),
+    ).to.equal('https://ens.domains')
+    expect(JSON.parse(fs.readFileSync(statePath, 'utf8'))).to.deep.equal(state)
+
+    // Running again once registered does nothing
+    const blockNumber = await ethers.provider.getBlockNumber()
+    await bulkRegister({
+      controller: controller.address,
+      signer,
+      manifest,
+      statePath,
+      log: noop,
+    })
+    expect(await ethers.provider.getBlockNumber()).to.equal(blockNumber)
+  })
+
+  it('should keep the secret of a commit that did not complete', async () => {
+    const manifest = writeManifest(
+      'names.csv',
+      `name,owner,duration\nnewname,${owner},1y\n`,
+    )
+    const poor = (await ethers.getSigners())[5]
+    await ethers.provider.send('hardhat_setBalance', [poor.address, '0x0'])
+
+    await expectRejection(
+      bulkRegister({
+        controller: controller.address,
+        signer: poor,
+        manifest,
+        commitOnly: true,
+        log: noop,
+      }),
+      'funds',
+    )
+    const saved = JSON.parse(fs.readFileSync(`${manifest}.state.json`, 'utf8'))
+    expect(saved.commitTx).to.equal(undefined)
+    expect(saved.registrations[0].secret).to.not.equal(undefined)
+
+    const state = await bulkRegister({
+      controller: controller.address,
+      signer,
+      manifest,
+      commitOnly: true,
+      log: noop,
+    })
+    expect(state.commitment).to.equal(saved.commitment)
+    expect(await controller.commitments(saved.commitment)).to.equal(
+      state.committedAt,
+    )
+
+    // A commit that was mined but not saved is not sent again.
+    const { commitTx, committedAt, ...unsaved } = state
+    fs.writeFileSync(`${manifest}.state.json`, JSON.stringify(unsaved))
+    const blockNumber = await ethers.provider.getBlockNumber()
+    const resumed = await bulkRegister({
+      controller: controller.address,
+      signer,
+      manifest,
+      commitOnly: true,
+      log: noop,
+    })
+    expect(resumed.committedAt).to.equal(committedAt)
+    expect(await ethers.provider.getBlockNumber()).to.equal(blockNumber)
+  })
+
+  it('should find a registration that was not saved', async () => {
+    const manifest = writeManifest(
+      'names.csv',
+      `name,owner,duration\nnewname,${owner},1y\nothername,${owner},1y\n`,
+    )
+    await bulkRegister({
+      controller: controller.address,
+      signer,
+      manifest,
+      commitOnly: true,
+      log: noop,
+    })
+    await evm.advanceTime((await controller.minCommitmentAge()).toNumber())
+    await evm.mine()
+    const state = await bulkRegister({
+      controller: controller.address,
+      signer,
+      manifest,
+      log: noop,
+    })
+
+    const { registerTx, ...unsaved } = state
+    fs.writeFileSync(`${manifest}.state.json`, JSON.stringify(unsaved))
+    const blockNumber = await ethers.provider.getBlockNumber()
+    const resumed = await bulkRegister({
+      controller: controller.address,
+      signer,
+      manifest,
+      log: noop,
+    })
+
+    expect(resumed).to.deep.equal(state)
+    expect(resumed.registered).to.deep.equal(['newname', 'othername'])
+    expect(await ethers.provider.getBlockNumber()).to.equal(blockNumber)
+    expect(
+      JSON.parse(fs.readFileSync(`${manifest}.state.json`, 'utf8')),
+    ).to.deep.equal(state)
+  })
+
+  it('should refuse to resume with a changed manifest', async () => {
+    const manifest = writeManifest(
+      'names.csv',
+      `name,owner,duration\nnewname,${owner},1y\n`,
+    )
+    await bulkRegister({
+      controller: controller.address,
+      signer,
+      manifest,
+      commitOnly: true,
+      log: noop,
+    })
+
+    fs.appendFileSync(manifest, `othername,${owner},1y\n`)
+    await expectRejection(
+      bulkRegister({
+        controller: controller.address,
+        signer,
+        manifest,
+        log: noop,
+      }),
+      `${manifest}.state.json was created for a different manifest; delete it to start over`,
+    )
+  })
+
+  it('should refuse to resume an expired commitment', async () => {
+    const manifest = writeManifest(
+      'names.csv',
+      `name,owner,duration\nnewname,${owner},1y\n`,
+    )
+    const { commitment } = await bulkRegister({
+      controller: controller.address,
+      signer,
+      manifest,
+      commitOnly: true,
+      log: noop,
+    })
+
+    await evm.advanceTime((await controller.maxCommitmentAge()).toNumber())
+    await evm.mine()
+    await expectRejection(
+      bulkRegister({
+        controller: controller.address,
+        signer,
+        manifest,
+        log: noop,
+      }),
+      `Commitment ${commitment} has expired; delete ${manifest}.state.json to start over`,
+    )
+  })
+})
@@ -0,0 +1,460 @@
+const {
+  evm,
+  contracts: { deploy },
+  exceptions: { expectRejection },
+} = require('../test-utils')
+const {
+  BulkRegistrarClient,
+} = require('../../lib/ethregistrar/BulkRegistrarClient')
+const {
+  ReverseRecord,
+  makeBulkCommitment,
+  makeCommitment,
+} = require('../../lib/ethregistrar/commitments')
+const {
+  CommitmentState,
+  getCommitmentStatuses,
+  waitUntilRevealable,
+} = require('../../lib/ethregistrar/commitmentStatus')
+const { decayPremium } = require('../../lib/ethregistrar/quotes')
+const { signRegistrationIntent } = require('../../lib/ethregistrar/intents')
+const { decodeRegistrationReceipt } = require('../../lib/ethregistrar/receipts')
+
+const { expect } = require('chai')
+
+const { ethers } = require('hardhat')
+const provider = ethers.provider
+const namehash = require('eth-ens-namehash')
+const sha3 = require('web3-utils').sha3
+
+const DAYS = 24 * 60 * 60
+const REGISTRATION_TIME = 28 * DAYS
+const NULL_ADDRESS = '0x0000000000000000000000000000000000000000'
+const EMPTY_BYTES =
+  '0x0000000000000000000000000000000000000000000000000000000000000000'
+
+contract('BulkRegistrarClient', function () {
+  let ens
+  let resolver
+  let baseRegistrar
+  let controller
+  let priceOracle
+  let reverseRegistrar
+  let nameWrapper
+  let client
+
+  const secret = '0x0123456789ABCDEF01234567'
+  let signers
+  let ownerAccount // Account that owns the registrar
+  let registrantAccount // Account that owns test names
+  let result
+
+  before(async () => {
+    signers = await ethers.getSigners()
+    ownerAccount = await signers[0].getAddress()
+    registrantAccount = await signers[1].getAddress()
+
+    ens = await deploy('ENSRegistry')
+
+    baseRegistrar = await deploy(
+      'BaseRegistrarImplementation',
+      ens.address,
+      namehash.hash('eth'),
+    )
+
+    nameWrapper = await deploy(
+      'NameWrapper',
+      ens.address,
+      baseRegistrar.address,
+      ownerAccount,
+    )
+
+    reverseRegistrar = await deploy('ReverseRegistrar', ens.address)
+
+    await ens.setSubnodeOwner(EMPTY_BYTES, sha3('eth'), baseRegistrar.address)
+
+    const dummyOracle = await deploy('DummyOracle', '100000000')
+    priceOracle = await deploy(
+      'StablePriceOracle',
+      dummyOracle.address,
+      [0, 0, 4, 2, 1],
+    )
+    controller = await deploy(
+      'BulkRegistrarController',
+      baseRegistrar.address,
+      priceOracle.address,
+      600,
+      86400,
+      reverseRegistrar.address,
+      nameWrapper.address,
+    )
+
+    await baseRegistrar.addController(controller.address)
+    await nameWrapper.setController(controller.address, true)
+    await baseRegistrar.addController(nameWrapper.address)
+    await reverseRegistrar.setController(controller.address, true)
+
+    resolver = await deploy(
+      'PublicResolver',
+      ens.address,
+      nameWrapper.address,
+      controller.address,
+      reverseRegistrar.address,
+    )
+  })
+
+  beforeEach(async () => {
+    result = await ethers.provider.send('evm_snapshot')
+    client = new BulkRegistrarClient(controller.address, signers[0])
+  })
+  afterEach(async () => {
+    await ethers.provider.send('evm_revert', [result])
+  })
+
+  function registration(name, overrides = {}) {
+    return {
+      name,
+      owner: registrantAccount,
+      duration: REGISTRATION_TIME,
+      resolver: NULL_ADDRESS,
+      secret,
+      data: [],
+      reverseRecord: ReverseRecord.None,
+      fuses: 0,
+      wrapperExpiry: 0,
+      ...overrides,
+    }
+  }
+
+  it('should compute the same commitment as the contract', async () => {
+    const registrations = [
+      registration('newname'),
+      registration('newconfigname', {
+        resolver: resolver.address,
+        data: [
+          resolver.interface.encodeFunctionData('setAddr(bytes32,address)', [
+            namehash.hash('newconfigname.eth'),
+            registrantAccount,
+          ]),
+        ],
+        reverseRecord: ReverseRecord.Caller,
+        fuses: 1,
+        wrapperExpiry: 2n ** 64n - 1n,
+      }),
+    ]
+    expect(makeCommitment(registrations[1])).to.equal(
+      await controller.makeCommitment(registrations[1]),
+    )
+    expect(makeBulkCommitment(registrations)).to.equal(
+      await controller.makeBulkCommitment(registrations),
+    )
+  })
+
+  it('should reject data without a resolver', async () => {
+    expect(() =>
+      makeCommitment(
+        registration('newname', {
+          data: [
+            resolver.interface.encodeFunctionData('setAddr(bytes32,address)', [
+              namehash.hash('newname.eth'),
+              registrantAccount,
+            ]),
+          ],
+        }),
+      ),
+    ).to.throw('BulkRegistrarController: resolver required when data supplied')
+  })
+
+  it('should fill in defaults and a shared secret when preparing', async () => {
+    const commitment = client.prepare([
+      {
+        name: 'newname',
+        owner: registrantAccount,
+        duration: REGISTRATION_TIME,
+      },
+      {
+        name: 'othername',
+        owner: registrantAccount,
+        duration: REGISTRATION_TIME,
+      },
+    ])
+    const [first, second] = client.registrations
+    expect(first.secret).to.match(/^0x[0-9a-f]{24}$/)
+    expect(second.secret).to.equal(first.secret)
+    expect(first.resolver).to.equal(NULL_ADDRESS)
+    expect(commitment).to.equal(
+      await controller.makeBulkCommitment(client.registrations),
+    )
+  })
+
+  it('should quote the batch with the value buffer applied', async () => {
+    client.prepare([registration('newname'), registration('othername')])
+    const { prices, total, value } = await client.quote()
+    expect(prices.length).to.equal(2)
+    expect(total).to.equal(REGISTRATION_TIME * 2)
+    expect(value).to.equal(total.mul(10500).div(10000))
+  })
+
+  it('should commit, wait and register a batch', async () => {
+    client.prepare([registration('newname'), registration('othername')])
+    await client.commit()
+    expect(await controller.commitments(client.commitment)).to.equal(
+      client.committedAt,
+    )
+
+    await evm.advanceTime((await controller.minCommitmentAge()).toNumber())
+    await evm.mine()
+    await client.waitUntilRevealable()
+
+    const balanceBefore = await provider.getBalance(controller.address)
+    const { registered, value, cost, refund } = await client.register()
+
+    expect(registered.map(({ name }) => name)).to.deep.equal([
+      'newname',
+      'othername',
+    ])
+    expect(cost).to.equal(REGISTRATION_TIME * 2)
+    expect(refund).to.equal(value.sub(cost))
+    expect(
+      (await provider.getBalance(controller.address)).sub(balanceBefore),
+    ).to.equal(cost)
+    expect(await nameWrapper.ownerOf(namehash.hash('othername.eth'))).to.equal(
+      registrantAccount,
+    )
+  })
+
+  it('should refuse to wait on a batch that was never committed', async () => {
+    client.prepare([registration('newname')])
+    await expectRejection(
+      client.waitUntilRevealable(),
+      'BulkRegistrarClient: batch has not been committed',
+    )
+  })
+
+  it('should refuse to act before a batch is prepared', async () => {
+    await expectRejection(
+      client.quote(),
+      'BulkRegistrarClient: call prepare() first',
+    )
+  })
+  it('should report skipped names and refund them', async () => {
+    client.prepare([registration('newname')])
+    await client.commit()
+    await evm.advanceTime((await controller.minCommitmentAge()).toNumber())
+    await evm.mine()
+    await client.register()
+
+    client.prepare([registration('newname'), registration('othername')])
+    await client.commit()
+    await evm.advanceTime((await controller.minCommitmentAge()).toNumber())
+    await evm.mine()
+    const { registered, skipped, value, cost, refund } = await client.register(
+      {},
+      { skipFailures: true },
+    )
+
+    expect(registered.map(({ name }) => name)).to.deep.equal(['othername'])
+    expect(skipped).to.deep.equal([
+      { name: 'newname', reason: 'Name is unavailable' },
+    ])
+    expect(cost).to.equal(REGISTRATION_TIME)
+    expect(refund).to.equal(value.sub(REGISTRATION_TIME))
+  })
+
+  it('should decode a registration receipt', async () => {
+    client.prepare([registration('newname')])
+    await client.commit()
+    await evm.advanceTime((await controller.minCommitmentAge()).toNumber())
+    await evm.mine()
+    await client.register()
+
+    client.prepare([registration('newname'), registration('othername')])
+    const commitment = client.commitment
+    await client.commit()
+    await evm.advanceTime((await controller.minCommitmentAge()).toNumber())
+    await evm.mine()
+    const { receipt, value } = await client.register(
+      {},
+      { skipFailures: true, maxPrices: [0, REGISTRATION_TIME + 100] },
+    )
+    const decoded = decodeRegistrationReceipt(receipt, controller.address)
+
+    expect(decoded.transactionHash).to.equal(receipt.transactionHash)
+    expect(decoded.commitment).to.equal(commitment)
+    expect(decoded.count).to.equal(1)
+    expect(decoded.totalCost).to.equal(REGISTRATION_TIME)
+    expect(decoded.refund).to.equal(value.sub(REGISTRATION_TIME))
+    expect(decoded.skipped).to.deep.equal([
+      { name: 'newname', reason: 'Name is unavailable' },
+    ])
+    const [entry] = decoded.registered
+    expect(entry.name).to.equal('othername')
+    expect(entry.node).to.equal(namehash.hash('othername.eth'))
+    expect(await nameWrapper.ownerOf(entry.tokenId)).to.equal(registrantAccount)
+    expect(entry.baseCost).to.equal(REGISTRATION_TIME)
+    expect(entry.premium).to.equal(0)
+    expect(entry.refund).to.equal(100)
+    expect(entry.expires).to.equal(
+      (await provider.getBlock(receipt.blockNumber)).timestamp +
+        REGISTRATION_TIME,
+    )
+    expect(decoded.paymentToken).to.equal(NULL_ADDRESS)
+    expect(decoded.tokenAmount).to.equal(0)
+    expect(decoded.deferredRefund).to.equal(0)
+    expect(decoded.voucher).to.equal(undefined)
+    expect(decoded.referral).to.equal(undefined)
+  })
+
+  it('should refuse to decode receipts that did not register a batch', async () => {
+    client.prepare([registration('newname')])
+    const receipt = await client.commit()
+
+    expect(() =>
+      decodeRegistrationReceipt(receipt, controller.address),
+    ).to.throw(
+      `Transaction ${receipt.transactionHash} did not register a batch`,
+    )
+  })
+
+  it('should pay for a batch in an accepted token', async () => {
+    const token = await deploy(
+      'DummyERC20',
+      18,
+      ethers.utils.parseEther('1000'),
+    )
+    const converter = await deploy(
+      'USDTokenPriceConverter',
+      await priceOracle.usdOracle(),
+    )
+    await controller.setPaymentToken(token.address, converter.address)
+    await token.approve(controller.address, REGISTRATION_TIME)
+
+    client.prepare([registration('newname')])
+    await client.commit()
+    await evm.advanceTime((await controller.minCommitmentAge()).toNumber())
+    await evm.mine()
+    const { registered, value, refund, tokenAmount } = await client.register(
+      {},
+      { paymentToken: token.address },
+    )
+
+    expect(registered.map(({ name }) => name)).to.deep.equal(['newname'])
+    expect(value).to.equal(0)
+    expect(refund).to.equal(0)
+    expect(tokenAmount).to.equal(REGISTRATION_TIME)
+    expect(await token.balanceOf(controller.address)).to.equal(
+      REGISTRATION_TIME,
+    )
+  })
+
+  it('should relay a batch for the signer of a registration intent', async () => {
+    const signerAccount = await signers[2].getAddress()
+    client.prepare([registration('newname')])
+    await client.commit()
+    await evm.advanceTime((await controller.minCommitmentAge()).toNumber())
+    await evm.mine()
+    const now = (await provider.getBlock('latest')).timestamp
+    const options = { maxTotalCost: REGISTRATION_TIME * 2 }
+    const intent = await signRegistrationIntent(
+      signers[2],
+      controller.address,
+      client.registrations,
+      options,
+      { deadline: now + DAYS },
+    )
+
+    const { registered } = await client.register({}, { ...options, intent })
+
+    expect(registered.map(({ name }) => name)).to.deep.equal(['newname'])
+    expect(await controller.nonces(signerAccount)).to.equal(1)
+  })
+
+  it('should decay premiums no faster than the premium oracle', async () => {
+    const dummyOracle = await deploy('DummyOracle', '100000000')
+    const premiumOracle = await deploy(
+      'ExponentialPremiumPriceOracle',
+      dummyOracle.address,
+      [0, 0, 4, 2, 1],
+      ethers.utils.parseEther('100000000'),
+      21,
+    )
+    const startPremium = ethers.utils.parseEther('100000000')
+
+    for (const elapsed of [0, 1, 3600, DAYS - 1, DAYS, 2.5 * DAYS, 20 * DAYS]) {
+      const expected = await premiumOracle.decayedPremium(startPremium, elapsed)
+      const projected = decayPremium(startPremium, elapsed)
+      expect(projected.gte(expected)).to.equal(true)
+      expect(projected.sub(expected).lte(expected.div(1e12))).to.equal(true)
+    }
+  })
+
+  it('should quote slippage limits for each registration', async () => {
+    client.prepare([registration('newname'), registration('othername')])
+    await client.commit()
+    const { maxPrices, maxTotalCost, value } = await client.quote()
+    expect(maxPrices).to.deep.equal([
+      ethers.BigNumber.from(REGISTRATION_TIME * 1.05),
+      ethers.BigNumber.from(REGISTRATION_TIME * 1.05),
+    ])
+    expect(maxTotalCost).to.equal(REGISTRATION_TIME * 2.1)
+    expect(value).to.equal(maxTotalCost)
+
+    await evm.advanceTime((await controller.minCommitmentAge()).toNumber())
+    await evm.mine()
+    const { registered } = await client.register(
+      {},
+      { maxPrices, maxTotalCost },
+    )
+    expect(registered.length).to.equal(2)
+  })
+
+  it('should pass slippage limits to the controller', async () => {
+    client.prepare([registration('newname')])
+    await client.commit()
+    await evm.advanceTime((await controller.minCommitmentAge()).toNumber())
+    await evm.mine()
+
+    await expectRejection(
+      client.register({}, { maxTotalCost: REGISTRATION_TIME - 1 }),
+      'BulkRegistrarController: Total cost exceeds maximum',
+    )
+  })
+
+  it('should look up commitment statuses', async () => {
+    const commitment = client.prepare([registration('newname')])
+    await client.commit()
+
+    const [status] = await getCommitmentStatuses(controller, [commitment])
+    expect(status).to.deep.equal({
+      state: CommitmentState.Pending,
+      revealableAt: client.committedAt + 600,
+      expiresAt: client.committedAt + 86400 - 1,
+    })
+  })
+
+  it('should wait until a commitment is revealable', async () => {
+    const commitment = client.prepare([registration('newname')])
+    await client.commit()
+    await evm.advanceTime(600)
+    await evm.mine()
+
+    const status = await waitUntilRevealable(controller, commitment)
+    expect(status.state).to.equal(CommitmentState.Revealable)
+  })
+
+  it('should not wait on commitments that cannot be revealed', async () => {
+    const commitment = client.prepare([registration('newname')])
+    await expectRejection(
+      waitUntilRevealable(controller, commitment),
+      `Commitment ${commitment} has not been made`,
+    )
+
+    await client.commit()
+    await evm.advanceTime(86400)
+    await evm.mine()
+    await expectRejection(
+      client.waitUntilRevealable(),
+      `Commitment ${commitment} has expired`,
+    )
+  })
+})
@@ -5,8 +5,13 @@ const {
 } = require('../test-utils')
 
 const { expect } = require('chai')
+const { makeInterfaceId } = require('@openzeppelin/test-helpers')
 
 const { ethers } = require('hardhat')
+const { buildAllowlist } = require('../../lib/ethregistrar/allowlist')
+const { NO_VOUCHER, signVoucher } = require('../../lib/ethregistrar/vouchers')
+const { signRegistrationIntent } = require('../../lib/ethregistrar/intents')
+const { ReverseRecord } = require('../../lib/ethregistrar/commitments')
 const provider = ethers.provider
 const namehash = require('eth-ens-namehash')
 const sha3 = require('web3-utils').sha3
@@ -17,6 +22,35 @@ const BUFFERED_REGISTRATION_COST = REGISTRATION_TIME + 3 * DAYS
 const NULL_ADDRESS = '0x0000000000000000000000000000000000000000'
 const EMPTY_BYTES =
   '0x0000000000000000000000000000000000000000000000000000000000000000'
+const REGISTRATION_TUPLE =
+  '(string,address,uint256,address,bytes12,bytes[],uint8,uint32,uint64)'
+const OPTIONS_TUPLE =
+  '(bool,address,address,uint256,uint256[],address,(bytes32,uint16,uint256,bytes))'
+const BULK_REGISTRAR_CONTROLLER_INTERFACE = [
+  'rentPrice(string,uint256)',
+  'rentPriceInToken(string,uint256,address)',
+  'available(string)',
+  `makeCommitment(${REGISTRATION_TUPLE})`,
+  `makeBulkCommitment(${REGISTRATION_TUPLE}[])`,
+  'commit(bytes32)',
+  `register(${REGISTRATION_TUPLE}[])`,
+  `registerWithOptions(${REGISTRATION_TUPLE}[],${OPTIONS_TUPLE})`,
+  `registerWithPermit(${REGISTRATION_TUPLE}[],${OPTIONS_TUPLE},(uint256,uint256,uint8,bytes32,bytes32))`,
+  `registerWithSig(${REGISTRATION_TUPLE}[],${OPTIONS_TUPLE},address,uint256,bytes,bytes32[][])`,
+  'renewAll(string[],uint256)',
+  'renewAllWithDurations(string[],uint256[])',
+  'withdrawRefund()',
+  'withdrawReferralRewards(address)',
+]
+const DEFAULT_OPTIONS = {
+  skipFailures: false,
+  paymentToken: NULL_ADDRESS,
+  refundRecipient: NULL_ADDRESS,
+  maxTotalCost: 0,
+  maxPrices: [],
+  referrer: NULL_ADDRESS,
+  voucher: NO_VOUCHER,
+}
 
 contract('BulkRegistrarController', function() {
   let ens
@@ -45,7 +79,7 @@ contract('BulkRegistrarController', function() {
       resolver: NULL_ADDRESS,
       secret,
       data: [],
-      reverseRecord: false,
+      reverseRecord: ReverseRecord.None,
       fuses: 0,
       wrapperExpiry: 0
     })))
@@ -67,7 +101,7 @@ contract('BulkRegistrarController', function() {
       resolver: NULL_ADDRESS,
       secret,
       data: [],
-      reverseRecord: false,
+      reverseRecord: ReverseRecord.None,
       fuses: 0,
       wrapperExpiry: 0
     })), txOptions)
@@ -75,6 +109,38 @@ contract('BulkRegistrarController', function() {
     return tx
   }
 
+  async function commitNames(names) {
+    const registrations = names.map(name => ({
+      name,
+      owner: registrantAccount,
+      duration: REGISTRATION_TIME,
+      resolver: NULL_ADDRESS,
+      secret,
+      data: [],
+      reverseRecord: ReverseRecord.None,
+      fuses: 0,
+      wrapperExpiry: 0
+    }))
+    const commitment = await controller.makeBulkCommitment(registrations)
+    await controller.commit(commitment)
+    await evm.advanceTime((await controller.minCommitmentAge()).toNumber())
+    return { registrations, commitment }
+  }
+
+  async function addPaymentToken(decimals = 18) {
+    const token = await deploy(
+      'DummyERC20',
+      decimals,
+      ethers.utils.parseUnits('1000000', decimals)
+    )
+    const converter = await deploy(
+      'USDTokenPriceConverter',
+      await priceOracle.usdOracle()
+    )
+    await controller.setPaymentToken(token.address, converter.address)
+    return token
+  }
+
   before(async () => {
     signers = await ethers.getSigners()
     ownerAccount = await signers[0].getAddress()
@@ -237,7 +303,7 @@ contract('BulkRegistrarController', function() {
           'ethereum.com',
         ]),
       ],
-      reverseRecord: false,
+      reverseRecord: ReverseRecord.None,
       fuses: 0,
       wrapperExpiry: 0
     }])
@@ -266,7 +332,7 @@ contract('BulkRegistrarController', function() {
             'ethereum.com',
           ]),
         ],
-        reverseRecord: false,
+        reverseRecord: ReverseRecord.None,
         fuses: 0,
         wrapperExpiry: 0
       }],
@@ -322,7 +388,7 @@ contract('BulkRegistrarController', function() {
             'ethereum.com',
           ]),
         ],
-        reverseRecord: false,
+        reverseRecord: ReverseRecord.None,
         fuses: 0,
         wrapperExpiry: 0
       }])
@@ -349,7 +415,7 @@ contract('BulkRegistrarController', function() {
           'ethereum.com',
         ]),
       ],
-      reverseRecord: false,
+      reverseRecord: ReverseRecord.None,
       fuses: 0,
       wrapperExpiry: 0
     }])
@@ -379,7 +445,7 @@ contract('BulkRegistrarController', function() {
               'ethereum.com',
             ]),
           ],
-          reverseRecord: false,
+          reverseRecord: ReverseRecord.None,
           fuses: 0,
           wrapperExpiry: 0
         }],
@@ -406,7 +472,7 @@ contract('BulkRegistrarController', function() {
           'ethereum.com',
         ]),
       ],
-      reverseRecord: false,
+      reverseRecord: ReverseRecord.None,
       fuses: 0,
       wrapperExpiry: 0
     }])
@@ -436,7 +502,7 @@ contract('BulkRegistrarController', function() {
               'ethereum.com',
             ]),
           ],
-          reverseRecord: false,
+          reverseRecord: ReverseRecord.None,
           fuses: 0,
           wrapperExpiry: 0
         }],
@@ -458,7 +524,7 @@ contract('BulkRegistrarController', function() {
           registrantAccount,
         ]),
       ],
-      reverseRecord: false,
+      reverseRecord: ReverseRecord.None,
       fuses: 0,
       wrapperExpiry: 0
     }])
@@ -483,7 +549,7 @@ contract('BulkRegistrarController', function() {
               registrantAccount,
             ]),
           ],
-          reverseRecord: false,
+          reverseRecord: ReverseRecord.None,
           fuses: 0,
           wrapperExpiry: 0
         }],
@@ -511,7 +577,7 @@ contract('BulkRegistrarController', function() {
           [namehash.hash('other.eth'), 'url', 'ethereum.com']
         ),
       ],
-      reverseRecord: false,
+      reverseRecord: ReverseRecord.None,
       fuses: 0,
       wrapperExpiry: 0
     }])
@@ -541,7 +607,7 @@ contract('BulkRegistrarController', function() {
               'ethereum.com',
             ]),
           ],
-          reverseRecord: false,
+          reverseRecord: ReverseRecord.None,
           fuses: 0,
           wrapperExpiry: 0
         }],
@@ -560,7 +626,7 @@ contract('BulkRegistrarController', function() {
       resolver: resolver.address,
       secret,
       data: [],
-      reverseRecord: false,
+      reverseRecord: ReverseRecord.None,
       fuses: 0,
       wrapperExpiry: 0
     }])
@@ -579,7 +645,7 @@ contract('BulkRegistrarController', function() {
         resolver: resolver.address,
         secret,
         data: [],
-        reverseRecord: false,
+        reverseRecord: ReverseRecord.None,
         fuses: 0,
         wrapperExpiry: 0
       }],
@@ -616,7 +682,7 @@ contract('BulkRegistrarController', function() {
         resolver: NULL_ADDRESS,
         secret,
         data: [],
-        reverseRecord: false,
+        reverseRecord: ReverseRecord.None,
         fuses: 0,
         wrapperExpiry: 0
       }])
@@ -632,7 +698,7 @@ contract('BulkRegistrarController', function() {
           resolver: NULL_ADDRESS,
           secret,
           data: [],
-          reverseRecord: false,
+          reverseRecord: ReverseRecord.None,
           fuses: 0,
           wrapperExpiry: 0
         }],
@@ -651,14 +717,14 @@ contract('BulkRegistrarController', function() {
         resolver: NULL_ADDRESS,
         secret,
         data: [],
-        reverseRecord: false,
+        reverseRecord: ReverseRecord.None,
         fuses: 0,
         wrapperExpiry: 0
       }])
     )
 
     await evm.advanceTime((await controller.minCommitmentAge()).toNumber())
-    expect(
+    await expect(
       controller.register(
         [{
           name: 'newname',
@@ -667,7 +733,7 @@ contract('BulkRegistrarController', function() {
           resolver: NULL_ADDRESS,
           secret,
           data: [],
-          reverseRecord: false,
+          reverseRecord: ReverseRecord.None,
           fuses: 0,
           wrapperExpiry: 0
         }],
@@ -686,7 +752,7 @@ contract('BulkRegistrarController', function() {
           resolver: NULL_ADDRESS,
           secret,
           data: [],
-          reverseRecord: false,
+          reverseRecord: ReverseRecord.None,
           fuses: 0,
           wrapperExpiry: 0
         }]
@@ -694,7 +760,7 @@ contract('BulkRegistrarController', function() {
     )
 
     await evm.advanceTime((await controller.maxCommitmentAge()).toNumber() + 1)
-    expect(
+    await expect(
       controller.register(
         [{
           name: 'newname2',
@@ -703,7 +769,7 @@ contract('BulkRegistrarController', function() {
           resolver: NULL_ADDRESS,
           secret,
           data: [],
-          reverseRecord: false,
+          reverseRecord: ReverseRecord.None,
           fuses: 0,
           wrapperExpiry: 0
         }],
@@ -725,7 +791,7 @@ contract('BulkRegistrarController', function() {
       resolver: resolver.address,
       secret,
       data: [],
-      reverseRecord: true,
+      reverseRecord: ReverseRecord.Caller,
       fuses: 0,
       wrapperExpiry: 0
     }])
@@ -739,7 +805,7 @@ contract('BulkRegistrarController', function() {
         resolver: resolver.address,
         secret,
         data: [],
-        reverseRecord: true,
+        reverseRecord: ReverseRecord.Caller,
         fuses: 0,
         wrapperExpiry: 0
       }],
@@ -759,7 +825,7 @@ contract('BulkRegistrarController', function() {
       resolver: resolver.address,
       secret,
       data: [],
-      reverseRecord: false,
+      reverseRecord: ReverseRecord.None,
       fuses: 0,
       wrapperExpiry: 0
     }])
@@ -774,7 +840,7 @@ contract('BulkRegistrarController', function() {
         resolver: resolver.address,
         secret,
         data: [],
-        reverseRecord: false,
+        reverseRecord: ReverseRecord.None,
         fuses: 0,
         wrapperExpiry: 0
       }],
@@ -784,6 +850,91 @@ contract('BulkRegistrarController', function() {
     expect(await resolver.name(getReverseNode(ownerAccount))).to.equal('')
   })
 
+  async function commitReverseRecord(name, owner) {
+    const registrations = [{
+      name,
+      owner,
+      duration: REGISTRATION_TIME,
+      resolver: resolver.address,
+      secret,
+      data: [],
+      reverseRecord: ReverseRecord.Owner,
+      fuses: 0,
+      wrapperExpiry: 0
+    }]
+    await controller.commit(await controller.makeBulkCommitment(registrations))
+    await evm.advanceTime((await controller.minCommitmentAge()).toNumber())
+    return registrations
+  }
+
+  it('should set the reverse record of the owner when asked to', async () => {
+    const registrations = await commitReverseRecord('reverse', ownerAccount)
+
+    await controller.register(registrations, {
+      value: BUFFERED_REGISTRATION_COST
+    })
+
+    expect(await resolver.name(getReverseNode(ownerAccount))).to.equal(
+      'reverse.eth'
+    )
+  })
+
+  it('should only set the reverse record of an owner that authorised the caller', async () => {
+    const registrations = await commitReverseRecord('reverse', registrantAccount)
+
+    await expect(
+      controller.register(registrations, { value: BUFFERED_REGISTRATION_COST })
+    ).to.be.revertedWith(
+      "BulkRegistrarController: Not authorised to set the owner's reverse record"
+    )
+
+    await ens.connect(signers[1]).setApprovalForAll(ownerAccount, true)
+    await controller.register(registrations, {
+      value: BUFFERED_REGISTRATION_COST
+    })
+
+    expect(await resolver.name(getReverseNode(registrantAccount))).to.equal(
+      'reverse.eth'
+    )
+    expect(await resolver.name(getReverseNode(ownerAccount))).to.equal('')
+  })
+
+  it('should set the reverse record of a contract owned by the caller', async () => {
+    const wallet = await deploy('DummySmartWallet')
+    const registrations = await commitReverseRecord('reverse', wallet.address)
+
+    await expect(
+      controller2.register(registrations, { value: BUFFERED_REGISTRATION_COST })
+    ).to.be.revertedWith(
+      "BulkRegistrarController: Not authorised to set the owner's reverse record"
+    )
+    await controller.register(registrations, {
+      value: BUFFERED_REGISTRATION_COST
+    })
+
+    expect(await resolver.name(getReverseNode(wallet.address))).to.equal(
+      'reverse.eth'
+    )
+    expect(await nameWrapper.ownerOf(namehash.hash('reverse.eth'))).to.equal(
+      wallet.address
+    )
+  })
+
+  it('should skip names whose owner did not authorise the reverse record when asked to', async () => {
+    const registrations = await commitReverseRecord('reverse', registrantAccount)
+
+    await expect(
+      controller.registerWithOptions(
+        registrations,
+        { ...DEFAULT_OPTIONS, skipFailures: true },
+        { value: BUFFERED_REGISTRATION_COST }
+      )
+    )
+      .to.emit(controller, 'NameRegistrationSkipped')
+      .withArgs('reverse', "Not authorised to set the owner's reverse record")
+    expect(await controller.available('reverse')).to.equal(true)
+  })
+
   it('should auto wrap the name and set the ERC721 owner to the wrapper', async () => {
     const label = 'wrapper'
     const name = label + '.eth'
@@ -795,7 +946,7 @@ contract('BulkRegistrarController', function() {
         resolver: resolver.address,
         secret,
         data: [],
-        reverseRecord: true,
+        reverseRecord: ReverseRecord.Caller,
         fuses: 0,
         wrapperExpiry: 0
       }],
@@ -811,7 +962,7 @@ contract('BulkRegistrarController', function() {
         resolver: resolver.address,
         secret,
         data: [],
-        reverseRecord: true,
+        reverseRecord: ReverseRecord.Caller,
         fuses: 0,
         wrapperExpiry: 0
       }],
@@ -839,7 +990,7 @@ contract('BulkRegistrarController', function() {
       resolver: resolver.address,
       secret,
       data: [],
-      reverseRecord: true,
+      reverseRecord: ReverseRecord.Caller,
       fuses: 1,
       wrapperExpiry: MAX_INT_64,
     }])
@@ -854,7 +1005,7 @@ contract('BulkRegistrarController', function() {
         resolver: resolver.address,
         secret,
         data: [],
-        reverseRecord: true,
+        reverseRecord: ReverseRecord.Caller,
         fuses: 1,
         wrapperExpiry: MAX_INT_64, // max number for uint64, but wrapper expiry is block.timestamp + REGISTRATION_TIME
       }],
@@ -884,7 +1035,7 @@ contract('BulkRegistrarController', function() {
           registrantAccount,
         ]),
       ],
-      reverseRecord: true,
+      reverseRecord: ReverseRecord.Caller,
       fuses: 1,
       wrapperExpiry: 0,
     }])
@@ -906,7 +1057,7 @@ contract('BulkRegistrarController', function() {
             registrantAccount,
           ]),
         ],
-        reverseRecord: true,
+        reverseRecord: ReverseRecord.Caller,
         fuses: 1,
         wrapperExpiry: 0,
       }],
@@ -928,7 +1079,7 @@ contract('BulkRegistrarController', function() {
             registrantAccount,
           ]),
         ],
-        reverseRecord: true,
+        reverseRecord: ReverseRecord.Caller,
         fuses: 1,
         wrapperExpiry: 0,
       }],
@@ -948,7 +1099,7 @@ contract('BulkRegistrarController', function() {
             registrantAccount,
           ]),
         ],
-        reverseRecord: true,
+        reverseRecord: ReverseRecord.Caller,
         fuses: 1,
         wrapperExpiry: 0,
       }],
@@ -966,4 +1117,1139 @@ contract('BulkRegistrarController', function() {
     )
     expect(await resolver2['addr(bytes32)'](node)).to.equal(registrantAccount)
   })
+  it('should support the IBulkRegistrarController interface', async () => {
+    expect(
+      await controller.supportsInterface(
+        makeInterfaceId.ERC165(BULK_REGISTRAR_CONTROLLER_INTERFACE)
+      )
+    ).to.equal(true)
+  })
+
+  it('should renew several names and extend their wrapper expiry', async () => {
+    await registerNames(['newname', 'othername'])
+    const oldExpiry = await baseRegistrar.nameExpires(sha3('newname'))
+    const balanceBefore = await web3.eth.getBalance(controller.address)
+
+    const tx = await controller.renewAll(['newname', 'othername'], 86400, {
+      value: 86400 * 2 + 1000,
+    })
+
+    await expect(tx)
+      .to.emit(controller, 'NameRenewed')
+      .withArgs('newname', sha3('newname'), 86400, oldExpiry.add(86400))
+    await expect(tx)
+      .to.emit(controller, 'NameRenewed')
+      .withArgs('othername', sha3('othername'), 86400, oldExpiry.add(86400))
+
+    expect(await baseRegistrar.nameExpires(sha3('othername'))).to.equal(
+      oldExpiry.add(86400)
+    )
+    const [, , expiry] = await nameWrapper.getData(
+      namehash.hash('othername.eth')
+    )
+    expect(expiry).to.equal(oldExpiry.add(86400))
+    // Any excess is refunded
+    expect(
+      (await web3.eth.getBalance(controller.address)) - balanceBefore
+    ).to.equal(86400 * 2)
+  })
+
+  it('should renew names for different durations', async () => {
+    await registerNames(['newname', 'othername'])
+    const oldExpiry = await baseRegistrar.nameExpires(sha3('newname'))
+
+    await controller.renewAllWithDurations(
+      ['newname', 'othername'],
+      [86400, 2 * 86400],
+      { value: 3 * 86400 }
+    )
+
+    expect(await baseRegistrar.nameExpires(sha3('newname'))).to.equal(
+      oldExpiry.add(86400)
+    )
+    expect(await baseRegistrar.nameExpires(sha3('othername'))).to.equal(
+      oldExpiry.add(2 * 86400)
+    )
+  })
+
+  it('should reject renewals when names and durations differ in length', async () => {
+    await registerNames(['newname'])
+    await expect(
+      controller.renewAllWithDurations(['newname'], [86400, 86400], {
+        value: 2 * 86400,
+      })
+    ).to.be.revertedWith(
+      'BulkRegistrarController: Names and durations length mismatch'
+    )
+  })
+
+  it('should reject renewals when not enough ether is transferred', async () => {
+    await registerNames(['newname', 'othername'])
+    await expect(
+      controller.renewAll(['newname', 'othername'], 86400, {
+        value: 86400 * 2 - 1,
+      })
+    ).to.be.revertedWith(
+      'BulkRegistrarController: Not enough Ether provided for renewal'
+    )
+  })
+
+  it('should not renew names that are not registered', async () => {
+    await expect(controller.renewAll(['nonexistent'], 86400, { value: 86400 }))
+      .to.be.reverted
+  })
+  it('should skip unavailable names when asked to', async () => {
+    await registerNames(['taken'])
+    const { registrations, commitment } = await commitNames(['taken', 'fresh'])
+    const balanceBefore = await web3.eth.getBalance(controller.address)
+
+    const tx = await controller.registerWithOptions(
+      registrations,
+      { ...DEFAULT_OPTIONS, skipFailures: true },
+      { value: BUFFERED_REGISTRATION_COST * 2 }
+    )
+
+    await expect(tx)
+      .to.emit(controller, 'NameRegistrationSkipped')
+      .withArgs('taken', 'Name is unavailable')
+    await expect(tx)
+      .to.emit(controller, 'NameRegistered')
+      .withArgs(
+        'fresh',
+        sha3('fresh'),
+        registrantAccount,
+        REGISTRATION_TIME,
+        0,
+        (await provider.getBlock(tx.blockNumber)).timestamp + REGISTRATION_TIME
+      )
+    // Only the registered name is paid for
+    expect(
+      (await web3.eth.getBalance(controller.address)) - balanceBefore
+    ).to.equal(REGISTRATION_TIME)
+    expect(await controller.commitments(commitment)).to.equal(0)
+  })
+
+  it('should return the result of each entry and the refund', async () => {
+    await registerNames(['taken'])
+    const { registrations } = await commitNames(['taken', 'fresh'])
+    const options = {
+      ...DEFAULT_OPTIONS,
+      skipFailures: true,
+      maxPrices: [REGISTRATION_TIME, REGISTRATION_TIME + 100]
+    }
+    const value = BUFFERED_REGISTRATION_COST * 2
+    await evm.mine()
+
+    const [results, refund] = await controller.callStatic.registerWithOptions(
+      registrations,
+      options,
+      { value }
+    )
+
+    expect(results.length).to.equal(2)
+    expect(results[0].node).to.equal(EMPTY_BYTES)
+    expect(results[0].expires).to.equal(0)
+    expect(results[0].refund).to.equal(0)
+    expect(results[1].node).to.equal(namehash.hash('fresh.eth'))
+    expect(results[1].expires.toNumber()).to.be.closeTo(
+      (await provider.getBlock('latest')).timestamp + REGISTRATION_TIME,
+      60
+    )
+    expect(results[1].baseCost).to.equal(REGISTRATION_TIME)
+    expect(results[1].premium).to.equal(0)
+    expect(results[1].refund).to.equal(100)
+    expect(refund).to.equal(value - REGISTRATION_TIME)
+
+    await expect(
+      controller.registerWithOptions(registrations, options, { value })
+    )
+      .to.emit(controller, 'RegistrationRefund')
+      .withArgs(namehash.hash('fresh.eth'), 100)
+  })
+
+  it('should emit a summary of the batch', async () => {
+    await registerNames(['taken'])
+    const { registrations, commitment } = await commitNames([
+      'taken',
+      'fresh',
+      'other'
+    ])
+
+    await expect(
+      controller.registerWithOptions(
+        registrations,
+        { ...DEFAULT_OPTIONS, skipFailures: true },
+        { value: BUFFERED_REGISTRATION_COST * 3 }
+      )
+    )
+      .to.emit(controller, 'BatchRegistered')
+      .withArgs(
+        commitment,
+        2,
+        REGISTRATION_TIME * 2,
+        BUFFERED_REGISTRATION_COST * 3 - REGISTRATION_TIME * 2
+      )
+  })
+
+  it('should skip names the remaining value cannot pay for when asked to', async () => {
+    const { registrations } = await commitNames(['first', 'second'])
+    const balanceBefore = await web3.eth.getBalance(controller.address)
+
+    const tx = await controller.registerWithOptions(
+      registrations,
+      { ...DEFAULT_OPTIONS, skipFailures: true },
+      { value: BUFFERED_REGISTRATION_COST }
+    )
+
+    await expect(tx)
+      .to.emit(controller, 'NameRegistrationSkipped')
+      .withArgs('second', 'Not enough ether provided')
+    expect(await controller.available('first')).to.equal(false)
+    expect(await controller.available('second')).to.equal(true)
+    expect(
+      (await web3.eth.getBalance(controller.address)) - balanceBefore
+    ).to.equal(REGISTRATION_TIME)
+  })
+
+  it('should consume the commitment when every name is skipped', async () => {
+    await registerNames(['taken'])
+    const { registrations, commitment } = await commitNames(['taken'])
+
+    await controller.registerWithOptions(
+      registrations,
+      { ...DEFAULT_OPTIONS, skipFailures: true },
+      { value: BUFFERED_REGISTRATION_COST }
+    )
+    // Everything sent is refunded
+    expect(await web3.eth.getBalance(controller.address)).to.equal(
+      String(REGISTRATION_TIME)
+    )
+    expect(await controller.commitments(commitment)).to.equal(0)
+
+    await expect(
+      controller.registerWithOptions(
+        registrations,
+        { ...DEFAULT_OPTIONS, skipFailures: true },
+        { value: BUFFERED_REGISTRATION_COST }
+      )
+    ).to.be.reverted
+  })
+
+  it('should revert the whole batch on failure without skipFailures', async () => {
+    await registerNames(['taken'])
+    const { registrations } = await commitNames(['fresh', 'taken'])
+
+    await expect(
+      controller.registerWithOptions(
+        registrations,
+        DEFAULT_OPTIONS,
+        { value: BUFFERED_REGISTRATION_COST * 2 }
+      )
+    ).to.be.revertedWith('BulkRegistrarController: Name is unavailable')
+    expect(await controller.available('fresh')).to.equal(true)
+  })
+
+  it('should price registrations in an accepted token', async () => {
+    const token = await addPaymentToken(6)
+
+    // At $1/ETH the price is a fraction of a cent, rounded up to one unit
+    expect(
+      await controller.rentPriceInToken('newname', REGISTRATION_TIME, token.address)
+    ).to.equal(1)
+    await expect(
+      controller.rentPriceInToken('newname', REGISTRATION_TIME, NULL_ADDRESS)
+    ).to.be.revertedWith('BulkRegistrarController: Payment token not accepted')
+  })
+
+  it('should register names paid for in an accepted token', async () => {
+    const token = await addPaymentToken()
+    const { registrations, commitment } = await commitNames([
+      'newname',
+      'othername',
+    ])
+    const balanceBefore = await web3.eth.getBalance(controller.address)
+    await token.approve(controller.address, REGISTRATION_TIME * 2)
+
+    const tx = await controller.registerWithOptions(registrations, {
+      ...DEFAULT_OPTIONS,
+      paymentToken: token.address,
+    })
+
+    await expect(tx)
+      .to.emit(controller, 'TokenPaymentReceived')
+      .withArgs(token.address, ownerAccount, REGISTRATION_TIME * 2)
+    expect(await controller.available('newname')).to.equal(false)
+    expect(await controller.available('othername')).to.equal(false)
+    expect(await token.balanceOf(controller.address)).to.equal(
+      REGISTRATION_TIME * 2
+    )
+    expect(await web3.eth.getBalance(controller.address)).to.equal(
+      balanceBefore
+    )
+    expect(await controller.commitments(commitment)).to.equal(0)
+  })
+
+  it('should only charge tokens for names that were not skipped', async () => {
+    const token = await addPaymentToken()
+    await registerNames(['taken'])
+    const { registrations } = await commitNames(['taken', 'fresh'])
+    await token.approve(controller.address, REGISTRATION_TIME * 2)
+
+    const tx = await controller.registerWithOptions(registrations, {
+      ...DEFAULT_OPTIONS,
+      skipFailures: true,
+      paymentToken: token.address,
+    })
+
+    await expect(tx)
+      .to.emit(controller, 'TokenPaymentReceived')
+      .withArgs(token.address, ownerAccount, REGISTRATION_TIME)
+    expect(await token.allowance(ownerAccount, controller.address)).to.equal(
+      REGISTRATION_TIME
+    )
+  })
+
+  it('should not accept tokens that are not on the allow list', async () => {
+    const token = await deploy('DummyERC20', 18, REGISTRATION_TIME)
+    const { registrations } = await commitNames(['newname'])
+    await token.approve(controller.address, REGISTRATION_TIME)
+
+    await expect(
+      controller.registerWithOptions(registrations, {
+        ...DEFAULT_OPTIONS,
+        paymentToken: token.address,
+      })
+    ).to.be.revertedWith('BulkRegistrarController: Payment token not accepted')
+  })
+
+  it('should not accept ether alongside a token payment', async () => {
+    const token = await addPaymentToken()
+    const { registrations } = await commitNames(['newname'])
+    await token.approve(controller.address, REGISTRATION_TIME)
+
+    await expect(
+      controller.registerWithOptions(
+        registrations,
+        { ...DEFAULT_OPTIONS, paymentToken: token.address },
+        { value: BUFFERED_REGISTRATION_COST }
+      )
+    ).to.be.revertedWith(
+      'BulkRegistrarController: Ether sent with token payment'
+    )
+  })
+
+  it('should revert if the token allowance does not cover the cost', async () => {
+    const token = await addPaymentToken()
+    const { registrations } = await commitNames(['newname'])
+    await token.approve(controller.address, REGISTRATION_TIME - 1)
+
+    await expect(
+      controller.registerWithOptions(registrations, {
+        ...DEFAULT_OPTIONS,
+        paymentToken: token.address,
+      })
+    ).to.be.revertedWith('ERC20: insufficient allowance')
+    expect(await controller.available('newname')).to.equal(true)
+  })
+
+  async function signPermit(token, value) {
+    const deadline = (await provider.getBlock('latest')).timestamp + 3600
+    const { chainId } = await provider.getNetwork()
+    const signature = ethers.utils.splitSignature(
+      await signers[0]._signTypedData(
+        {
+          name: 'Dummy',
+          version: '1',
+          chainId,
+          verifyingContract: token.address,
+        },
+        {
+          Permit: [
+            { name: 'owner', type: 'address' },
+            { name: 'spender', type: 'address' },
+            { name: 'value', type: 'uint256' },
+            { name: 'nonce', type: 'uint256' },
+            { name: 'deadline', type: 'uint256' },
+          ],
+        },
+        {
+          owner: ownerAccount,
+          spender: controller.address,
+          value,
+          nonce: await token.nonces(ownerAccount),
+          deadline,
+        }
+      )
+    )
+    return { value, deadline, v: signature.v, r: signature.r, s: signature.s }
+  }
+
+  it('should register names paid for with a token permit', async () => {
+    const token = await addPaymentToken()
+    const { registrations } = await commitNames(['newname'])
+    const permit = await signPermit(token, REGISTRATION_TIME)
+
+    const tx = await controller.registerWithPermit(
+      registrations,
+      { ...DEFAULT_OPTIONS, paymentToken: token.address },
+      permit
+    )
+
+    await expect(tx)
+      .to.emit(controller, 'TokenPaymentReceived')
+      .withArgs(token.address, ownerAccount, REGISTRATION_TIME)
+    expect(await controller.available('newname')).to.equal(false)
+  })
+
+  it('should register names when their permit was already submitted', async () => {
+    const token = await addPaymentToken()
+    const { registrations } = await commitNames(['newname'])
+    const permit = await signPermit(token, REGISTRATION_TIME)
+    const options = { ...DEFAULT_OPTIONS, paymentToken: token.address }
+
+    // A permit that fails without an allowance in place.
+    await expect(
+      controller.registerWithPermit(registrations, options, {
+        ...permit,
+        deadline: permit.deadline + 1,
+      })
+    ).to.be.revertedWith('BulkRegistrarController: Permit failed')
+
+    // Someone copies the permit from the mempool and submits it first.
+    await token
+      .connect(signers[1])
+      .permit(
+        ownerAccount,
+        controller.address,
+        permit.value,
+        permit.deadline,
+        permit.v,
+        permit.r,
+        permit.s
+      )
+    await expect(controller.registerWithPermit(registrations, options, permit))
+      .to.emit(controller, 'TokenPaymentReceived')
+      .withArgs(token.address, ownerAccount, REGISTRATION_TIME)
+    expect(await controller.available('newname')).to.equal(false)
+  })
+
+  it('should allow the owner to manage payment tokens', async () => {
+    const token = await addPaymentToken()
+    const converter = await controller.paymentTokens(token.address)
+
+    await expect(
+      controller2.setPaymentToken(token.address, NULL_ADDRESS)
+    ).to.be.revertedWith('Ownable: caller is not the owner')
+    await expect(controller.setPaymentToken(token.address, NULL_ADDRESS))
+      .to.emit(controller, 'PaymentTokenChanged')
+      .withArgs(token.address, NULL_ADDRESS)
+    expect(await controller.paymentTokens(token.address)).to.equal(NULL_ADDRESS)
+    expect(converter).to.not.equal(NULL_ADDRESS)
+  })
+
+  it('should send token proceeds to the owner on withdrawal', async () => {
+    const token = await addPaymentToken()
+    await token.transfer(controller.address, 100)
+    const balanceBefore = await token.balanceOf(ownerAccount)
+
+    await controller2.withdrawToken(token.address)
+
+    expect(await token.balanceOf(controller.address)).to.equal(0)
+    expect(await token.balanceOf(ownerAccount)).to.equal(balanceBefore.add(100))
+  })
+
+  it('should refund contract wallets that need more than 2300 gas', async () => {
+    const wallet = await deploy('DummySmartWallet')
+    const { registrations } = await commitNames(['newname'])
+
+    await wallet.execute(
+      controller.address,
+      controller.interface.encodeFunctionData('register', [registrations]),
+      { value: BUFFERED_REGISTRATION_COST }
+    )
+
+    expect(await controller.available('newname')).to.equal(false)
+    expect(await wallet.received()).to.equal(
+      BUFFERED_REGISTRATION_COST - REGISTRATION_TIME
+    )
+  })
+
+  it('should send refunds to the refund recipient', async () => {
+    const { registrations } = await commitNames(['newname'])
+    const recipient = await signers[2].getAddress()
+    const balanceBefore = await provider.getBalance(recipient)
+
+    await controller.registerWithOptions(
+      registrations,
+      { ...DEFAULT_OPTIONS, refundRecipient: recipient },
+      { value: BUFFERED_REGISTRATION_COST }
+    )
+
+    expect((await provider.getBalance(recipient)).sub(balanceBefore)).to.equal(
+      BUFFERED_REGISTRATION_COST - REGISTRATION_TIME
+    )
+  })
+
+  it('should hold refunds that cannot be sent until they are withdrawn', async () => {
+    const wallet = await deploy('DummySmartWallet')
+    await wallet.setAcceptPayments(false)
+    const { registrations } = await commitNames(['newname'])
+    const refund = BUFFERED_REGISTRATION_COST - REGISTRATION_TIME
+
+    const tx = await controller.registerWithOptions(
+      registrations,
+      { ...DEFAULT_OPTIONS, refundRecipient: wallet.address },
+      { value: BUFFERED_REGISTRATION_COST }
+    )
+
+    await expect(tx)
+      .to.emit(controller, 'RefundDeferred')
+      .withArgs(wallet.address, refund)
+    expect(await controller.pendingRefunds(wallet.address)).to.equal(refund)
+
+    // Held refunds are not swept by the owner
+    const balanceBefore = await provider.getBalance(controller.address)
+    await controller.withdraw()
+    expect(await provider.getBalance(controller.address)).to.equal(refund)
+    expect(balanceBefore).to.not.equal(refund)
+
+    const withdrawRefund = controller.interface.encodeFunctionData(
+      'withdrawRefund'
+    )
+    await expect(
+      wallet.execute(controller.address, withdrawRefund)
+    ).to.be.revertedWith('BulkRegistrarController: Refund failed')
+
+    await wallet.setAcceptPayments(true)
+    await wallet.execute(controller.address, withdrawRefund)
+    expect(await wallet.received()).to.equal(refund)
+    expect(await controller.pendingRefunds(wallet.address)).to.equal(0)
+    await expect(controller2.withdrawRefund()).to.be.revertedWith(
+      'BulkRegistrarController: No refund pending'
+    )
+  })
+
+  it('should refund renewals to contract wallets', async () => {
+    await registerNames(['newname'])
+    const wallet = await deploy('DummySmartWallet')
+
+    await wallet.execute(
+      controller.address,
+      controller.interface.encodeFunctionData('renewAll', [['newname'], 86400]),
+      { value: 86400 * 2 }
+    )
+
+    expect(await wallet.received()).to.equal(86400)
+  })
+
+  it('should revert when an entry costs more than its max price', async () => {
+    const { registrations } = await commitNames(['newname', 'othername'])
+
+    await expect(
+      controller.registerWithOptions(
+        registrations,
+        {
+          ...DEFAULT_OPTIONS,
+          maxPrices: [REGISTRATION_TIME, REGISTRATION_TIME - 1],
+        },
+        { value: BUFFERED_REGISTRATION_COST * 2 }
+      )
+    ).to.be.revertedWith('BulkRegistrarController: Price exceeds maximum')
+  })
+
+  it('should skip entries that cost more than their max price when asked to', async () => {
+    const { registrations } = await commitNames(['newname', 'othername'])
+
+    const tx = await controller.registerWithOptions(
+      registrations,
+      {
+        ...DEFAULT_OPTIONS,
+        skipFailures: true,
+        // A max price of zero leaves the entry uncapped
+        maxPrices: [0, REGISTRATION_TIME - 1],
+      },
+      { value: BUFFERED_REGISTRATION_COST * 2 }
+    )
+
+    await expect(tx)
+      .to.emit(controller, 'NameRegistrationSkipped')
+      .withArgs('othername', 'Price exceeds maximum')
+    expect(await controller.available('newname')).to.equal(false)
+    expect(await controller.available('othername')).to.equal(true)
+  })
+
+  it('should not spend more than the max total cost', async () => {
+    const { registrations } = await commitNames(['newname', 'othername'])
+
+    await expect(
+      controller.registerWithOptions(
+        registrations,
+        { ...DEFAULT_OPTIONS, maxTotalCost: REGISTRATION_TIME * 2 - 1 },
+        { value: BUFFERED_REGISTRATION_COST * 2 }
+      )
+    ).to.be.revertedWith('BulkRegistrarController: Total cost exceeds maximum')
+
+    const tx = await controller.registerWithOptions(
+      registrations,
+      {
+        ...DEFAULT_OPTIONS,
+        skipFailures: true,
+        maxTotalCost: REGISTRATION_TIME * 2 - 1,
+      },
+      { value: BUFFERED_REGISTRATION_COST * 2 }
+    )
+    await expect(tx)
+      .to.emit(controller, 'NameRegistrationSkipped')
+      .withArgs('othername', 'Total cost exceeds maximum')
+    expect(await controller.available('newname')).to.equal(false)
+  })
+
+  it('should apply the max total cost to token payments', async () => {
+    const token = await addPaymentToken()
+    const { registrations } = await commitNames(['newname'])
+    await token.approve(controller.address, REGISTRATION_TIME)
+
+    await expect(
+      controller.registerWithOptions(registrations, {
+        ...DEFAULT_OPTIONS,
+        paymentToken: token.address,
+        maxTotalCost: REGISTRATION_TIME - 1,
+      })
+    ).to.be.revertedWith('BulkRegistrarController: Total cost exceeds maximum')
+  })
+
+  it('should require one max price per registration', async () => {
+    const { registrations } = await commitNames(['newname', 'othername'])
+
+    await expect(
+      controller.registerWithOptions(
+        registrations,
+        { ...DEFAULT_OPTIONS, maxPrices: [REGISTRATION_TIME] },
+        { value: BUFFERED_REGISTRATION_COST * 2 }
+      )
+    ).to.be.revertedWith(
+      'BulkRegistrarController: Registrations and max prices length mismatch'
+    )
+  })
+
+  it('should report the status of commitments', async () => {
+    const commitment = sha3('commitment')
+    const tx = await controller.commit(commitment)
+    const committedAt = (await provider.getBlock(tx.blockNumber)).timestamp
+
+    const [unknown, pending] = await controller.commitmentStatus([
+      sha3('unknown'),
+      commitment,
+    ])
+    expect(unknown.state).to.equal(0)
+    expect(unknown.revealableAt).to.equal(0)
+    expect(unknown.expiresAt).to.equal(0)
+    expect(pending.state).to.equal(1)
+    expect(pending.revealableAt).to.equal(committedAt + 600)
+    expect(pending.expiresAt).to.equal(committedAt + 86400 - 1)
+
+    await evm.advanceTime(600)
+    await evm.mine()
+    const [revealable] = await controller.commitmentStatus([commitment])
+    expect(revealable.state).to.equal(2)
+
+    await evm.advanceTime(86400)
+    await evm.mine()
+    const [expired] = await controller.commitmentStatus([commitment])
+    expect(expired.state).to.equal(3)
+  })
+
+  it('should support the ICommitmentStatus interface', async () => {
+    expect(
+      await controller.supportsInterface(
+        makeInterfaceId.ERC165(['commitmentStatus(bytes32[])'])
+      )
+    ).to.equal(true)
+  })
+
+  async function openAllowlist(entries) {
+    const allowlist = buildAllowlist(entries)
+    const now = (await provider.getBlock('latest')).timestamp
+    await controller.setAllowlist(allowlist.root, now, now + 30 * DAYS)
+    return allowlist
+  }
+
+  it('should only register allowlisted names while the allowlist is open', async () => {
+    const allowlist = await openAllowlist([
+      { name: 'early', owner: registrantAccount },
+      { name: 'other', owner: ownerAccount },
+    ])
+    const { registrations } = await commitNames(['early'])
+
+    const [entry] = allowlist.entries
+    expect(
+      await controller.allowlisted('early', registrantAccount, entry.proof)
+    ).to.equal(true)
+    expect(
+      await controller.allowlisted('early', ownerAccount, entry.proof)
+    ).to.equal(false)
+
+    await expect(
+      controller.register(registrations, {
+        value: BUFFERED_REGISTRATION_COST,
+      })
+    ).to.be.revertedWith('BulkRegistrarController: Not on allowlist')
+
+    await controller.registerWithProofs(registrations, DEFAULT_OPTIONS, [
+      entry.proof,
+    ], { value: BUFFERED_REGISTRATION_COST })
+    expect(await controller.available('early')).to.equal(false)
+  })
+
+  it('should bind allowlist proofs to the owner', async () => {
+    const allowlist = await openAllowlist([
+      { name: 'early', owner: ownerAccount },
+      { name: 'other', owner: ownerAccount },
+    ])
+    const { registrations } = await commitNames(['early'])
+
+    await expect(
+      controller.registerWithProofs(
+        registrations,
+        DEFAULT_OPTIONS,
+        [allowlist.entries[0].proof],
+        { value: BUFFERED_REGISTRATION_COST }
+      )
+    ).to.be.revertedWith('BulkRegistrarController: Not on allowlist')
+  })
+
+  it('should skip names that are not allowlisted when asked to', async () => {
+    const allowlist = await openAllowlist([
+      { name: 'early', owner: registrantAccount },
+      { name: 'other', owner: ownerAccount },
+    ])
+    const { registrations } = await commitNames(['early', 'latecomer'])
+
+    const tx = await controller.registerWithProofs(
+      registrations,
+      { ...DEFAULT_OPTIONS, skipFailures: true },
+      [allowlist.entries[0].proof, []],
+      { value: BUFFERED_REGISTRATION_COST * 2 }
+    )
+
+    await expect(tx)
+      .to.emit(controller, 'NameRegistrationSkipped')
+      .withArgs('latecomer', 'Not on allowlist')
+    expect(await controller.available('early')).to.equal(false)
+    expect(await controller.available('latecomer')).to.equal(true)
+  })
+
+  it('should require one proof per registration', async () => {
+    await openAllowlist([{ name: 'early', owner: registrantAccount }])
+    const { registrations } = await commitNames(['early'])
+
+    await expect(
+      controller.registerWithProofs(registrations, DEFAULT_OPTIONS, [], {
+        value: BUFFERED_REGISTRATION_COST,
+      })
+    ).to.be.revertedWith(
+      'BulkRegistrarController: Registrations and proofs length mismatch'
+    )
+  })
+
+  it('should open registration to everyone once the allowlist ends', async () => {
+    await openAllowlist([{ name: 'early', owner: registrantAccount }])
+    await evm.advanceTime(30 * DAYS)
+
+    await registerNames(['latecomer'])
+    expect(await controller.available('latecomer')).to.equal(false)
+  })
+
+  it('should only let the owner set the allowlist', async () => {
+    await expect(
+      controller2.setAllowlist(sha3('root'), 0, 1)
+    ).to.be.revertedWith('Ownable: caller is not the owner')
+    await expect(
+      controller.setAllowlist(sha3('root'), 2, 1)
+    ).to.be.revertedWith(
+      'BulkRegistrarController: Allowlist ends before it starts'
+    )
+    await expect(controller.setAllowlist(sha3('root'), 1, 2))
+      .to.emit(controller, 'AllowlistChanged')
+      .withArgs(sha3('root'), 1, 2)
+  })
+
+  it('should support the IAllowlistRegistration interface', async () => {
+    expect(
+      await controller.supportsInterface(
+        makeInterfaceId.ERC165([
+          'allowlisted(string,address,bytes32[])',
+          `registerWithProofs(${REGISTRATION_TUPLE}[],${OPTIONS_TUPLE},bytes32[][])`,
+        ])
+      )
+    ).to.equal(true)
+  })
+
+  async function voucherFor(registrant, overrides = {}) {
+    const now = (await provider.getBlock('latest')).timestamp
+    return signVoucher(overrides.signer || signers[2], controller.address, {
+      registrant,
+      discountBps: 2500,
+      deadline: now + DAYS,
+      ...overrides,
+    })
+  }
+
+  it('should take a voucher discount off the base price', async () => {
+    await controller.setReferralTerms(await signers[2].getAddress(), 0)
+    const voucher = await voucherFor(ownerAccount)
+    const { registrations } = await commitNames(['newname'])
+    const balanceBefore = await web3.eth.getBalance(controller.address)
+
+    const tx = await controller.registerWithOptions(
+      registrations,
+      { ...DEFAULT_OPTIONS, voucher },
+      { value: BUFFERED_REGISTRATION_COST }
+    )
+
+    await expect(tx)
+      .to.emit(controller, 'VoucherRedeemed')
+      .withArgs(voucher.id, ownerAccount, 2500)
+    await expect(tx)
+      .to.emit(controller, 'NameRegistered')
+      .withArgs(
+        'newname',
+        sha3('newname'),
+        registrantAccount,
+        REGISTRATION_TIME * 0.75,
+        0,
+        (await provider.getBlock(tx.blockNumber)).timestamp + REGISTRATION_TIME
+      )
+    expect(
+      (await web3.eth.getBalance(controller.address)) - balanceBefore
+    ).to.equal(REGISTRATION_TIME * 0.75)
+    expect(await controller.usedVouchers(voucher.id)).to.equal(true)
+  })
+
+  it('should only accept a voucher once', async () => {
+    await controller.setReferralTerms(await signers[2].getAddress(), 0)
+    const voucher = await voucherFor(ownerAccount)
+    await controller.registerWithOptions(
+      (await commitNames(['newname'])).registrations,
+      { ...DEFAULT_OPTIONS, voucher },
+      { value: BUFFERED_REGISTRATION_COST }
+    )
+
+    await expect(
+      controller.registerWithOptions(
+        (await commitNames(['othername'])).registrations,
+        { ...DEFAULT_OPTIONS, voucher },
+        { value: BUFFERED_REGISTRATION_COST }
+      )
+    ).to.be.revertedWith('BulkRegistrarController: Voucher already used')
+  })
+
+  it('should not use up a voucher when every entry is skipped', async () => {
+    await controller.setReferralTerms(await signers[2].getAddress(), 0)
+    const voucher = await voucherFor(ownerAccount)
+
+    // Nothing is sent, so the only entry cannot be paid for.
+    const tx = await controller.registerWithOptions(
+      (await commitNames(['newname'])).registrations,
+      { ...DEFAULT_OPTIONS, skipFailures: true, voucher }
+    )
+    await expect(tx).to.emit(controller, 'NameRegistrationSkipped')
+    await expect(tx).to.not.emit(controller, 'VoucherRedeemed')
+    expect(await controller.usedVouchers(voucher.id)).to.equal(false)
+
+    await expect(
+      controller.registerWithOptions(
+        (await commitNames(['othername'])).registrations,
+        { ...DEFAULT_OPTIONS, voucher },
+        { value: BUFFERED_REGISTRATION_COST }
+      )
+    )
+      .to.emit(controller, 'VoucherRedeemed')
+      .withArgs(voucher.id, ownerAccount, 2500)
+    expect(await controller.usedVouchers(voucher.id)).to.equal(true)
+  })
+
+  it('should reject vouchers that are invalid, expired or for someone else', async () => {
+    await controller.setReferralTerms(await signers[2].getAddress(), 0)
+    const { registrations } = await commitNames(['newname'])
+    const register = (voucher) =>
+      controller.registerWithOptions(
+        registrations,
+        { ...DEFAULT_OPTIONS, voucher },
+        { value: BUFFERED_REGISTRATION_COST }
+      )
+
+    await expect(
+      register(await voucherFor(ownerAccount, { signer: signers[3] }))
+    ).to.be.revertedWith('BulkRegistrarController: Invalid voucher')
+    await expect(
+      register(await voucherFor(registrantAccount))
+    ).to.be.revertedWith('BulkRegistrarController: Invalid voucher')
+    await expect(
+      register(await voucherFor(ownerAccount, { deadline: 1 }))
+    ).to.be.revertedWith('BulkRegistrarController: Voucher has expired')
+    await expect(
+      register(await voucherFor(ownerAccount, { discountBps: 10001 }))
+    ).to.be.revertedWith('BulkRegistrarController: Discount exceeds 100%')
+  })
+
+  it('should credit referrers a share of what the batch costs', async () => {
+    const referrer = signers[3]
+    const referrerAccount = await referrer.getAddress()
+    await controller.setReferralTerms(NULL_ADDRESS, 1000)
+    const { registrations } = await commitNames(['newname', 'othername'])
+
+    const tx = await controller.registerWithOptions(
+      registrations,
+      { ...DEFAULT_OPTIONS, referrer: referrerAccount },
+      { value: BUFFERED_REGISTRATION_COST * 2 }
+    )
+
+    const reward = (REGISTRATION_TIME * 2) / 10
+    await expect(tx)
+      .to.emit(controller, 'ReferralRewarded')
+      .withArgs(referrerAccount, ownerAccount, NULL_ADDRESS, reward)
+    expect(
+      await controller.referralRewards(referrerAccount, NULL_ADDRESS)
+    ).to.equal(reward)
+
+    // The owner cannot withdraw the referrer's share
+    await controller.withdraw()
+    expect(await web3.eth.getBalance(controller.address)).to.equal(
+      String(reward)
+    )
+    await expect(() =>
+      controller.connect(referrer).withdrawReferralRewards(NULL_ADDRESS)
+    ).to.changeEtherBalance(referrer, reward)
+    await expect(
+      controller.connect(referrer).withdrawReferralRewards(NULL_ADDRESS)
+    ).to.be.revertedWith('BulkRegistrarController: No referral rewards')
+  })
+
+  it('should credit referral rewards in the payment token', async () => {
+    const referrerAccount = await signers[3].getAddress()
+    const token = await addPaymentToken()
+    await controller.setReferralTerms(NULL_ADDRESS, 1000)
+    const { registrations } = await commitNames(['newname'])
+    await token.approve(controller.address, REGISTRATION_TIME)
+
+    await controller.registerWithOptions(registrations, {
+      ...DEFAULT_OPTIONS,
+      paymentToken: token.address,
+      referrer: referrerAccount,
+    })
+
+    const reward = REGISTRATION_TIME / 10
+    expect(
+      await controller.referralRewards(referrerAccount, token.address)
+    ).to.equal(reward)
+    await controller.withdrawToken(token.address)
+    expect(await token.balanceOf(controller.address)).to.equal(reward)
+    await controller.connect(signers[3]).withdrawReferralRewards(token.address)
+    expect(await token.balanceOf(referrerAccount)).to.equal(reward)
+  })
+
+  it('should credit referrers before refunding the surplus', async () => {
+    const referrerAccount = await signers[3].getAddress()
+    await controller.setReferralTerms(NULL_ADDRESS, 1000)
+    const recipient = await deploy(
+      'DummyReentrantRecipient',
+      controller.address,
+      controller.interface.encodeFunctionData('withdraw')
+    )
+    const { registrations } = await commitNames(['newname'])
+
+    // The recipient withdraws to the owner while it is being refunded.
+    await controller.registerWithOptions(
+      registrations,
+      {
+        ...DEFAULT_OPTIONS,
+        referrer: referrerAccount,
+        refundRecipient: recipient.address,
+      },
+      { value: BUFFERED_REGISTRATION_COST }
+    )
+
+    const reward = REGISTRATION_TIME / 10
+    expect(await web3.eth.getBalance(controller.address)).to.equal(
+      String(reward)
+    )
+    await expect(() =>
+      controller.connect(signers[3]).withdrawReferralRewards(NULL_ADDRESS)
+    ).to.changeEtherBalance(signers[3], reward)
+  })
+
+  it('should not credit callers that refer themselves', async () => {
+    await controller.setReferralTerms(NULL_ADDRESS, 1000)
+    const { registrations } = await commitNames(['newname'])
+
+    const tx = await controller.registerWithOptions(
+      registrations,
+      { ...DEFAULT_OPTIONS, referrer: ownerAccount },
+      { value: BUFFERED_REGISTRATION_COST }
+    )
+
+    await expect(tx).to.not.emit(controller, 'ReferralRewarded')
+    expect(
+      await controller.referralRewards(ownerAccount, NULL_ADDRESS)
+    ).to.equal(0)
+  })
+
+  it('should only let the owner set referral terms', async () => {
+    await expect(
+      controller2.setReferralTerms(registrantAccount, 1000)
+    ).to.be.revertedWith('Ownable: caller is not the owner')
+    await expect(
+      controller.setReferralTerms(registrantAccount, 10001)
+    ).to.be.revertedWith('BulkRegistrarController: Referral share exceeds 100%')
+    await expect(controller.setReferralTerms(registrantAccount, 1000))
+      .to.emit(controller, 'ReferralTermsChanged')
+      .withArgs(registrantAccount, 1000)
+  })
+
+  async function intentFor(signer, registrations, options, overrides = {}) {
+    const now = (await provider.getBlock('latest')).timestamp
+    return signRegistrationIntent(
+      signer,
+      controller.address,
+      registrations,
+      options,
+      { deadline: now + DAYS, ...overrides }
+    )
+  }
+
+  it('should register a signed intent relayed by another account', async () => {
+    const signerAccount = await signers[2].getAddress()
+    const registrations = [{
+      name: 'newname',
+      owner: registrantAccount,
+      duration: REGISTRATION_TIME,
+      resolver: resolver.address,
+      secret,
+      data: [],
+      reverseRecord: ReverseRecord.Caller,
+      fuses: 0,
+      wrapperExpiry: 0
+    }]
+    await controller.commit(await controller.makeBulkCommitment(registrations))
+    await evm.advanceTime((await controller.minCommitmentAge()).toNumber())
+    const intent = await intentFor(signers[2], registrations, DEFAULT_OPTIONS)
+
+    const tx = await controller2.registerWithSig(
+      registrations,
+      DEFAULT_OPTIONS,
+      signerAccount,
+      intent.deadline,
+      intent.signature,
+      [],
+      { value: BUFFERED_REGISTRATION_COST }
+    )
+
+    await expect(tx)
+      .to.emit(controller, 'NameRegistered')
+      .withArgs(
+        'newname',
+        sha3('newname'),
+        registrantAccount,
+        REGISTRATION_TIME,
+        0,
+        (await provider.getBlock(tx.blockNumber)).timestamp + REGISTRATION_TIME
+      )
+    expect(await resolver.name(getReverseNode(signerAccount))).to.equal(
+      'newname.eth'
+    )
+    expect(await controller.nonces(signerAccount)).to.equal(1)
+  })
+
+  it('should reject intents that are invalid, expired or replayed', async () => {
+    const signerAccount = await signers[2].getAddress()
+    const { registrations } = await commitNames(['newname'])
+    const registerWithSig = (options, intent) =>
+      controller.registerWithSig(
+        registrations,
+        options,
+        signerAccount,
+        intent.deadline,
+        intent.signature,
+        [],
+        { value: BUFFERED_REGISTRATION_COST }
+      )
+    const intent = await intentFor(signers[2], registrations, DEFAULT_OPTIONS)
+
+    await expect(
+      registerWithSig({ ...DEFAULT_OPTIONS, skipFailures: true }, intent)
+    ).to.be.revertedWith('BulkRegistrarController: Invalid signature')
+    await expect(
+      registerWithSig(
+        DEFAULT_OPTIONS,
+        await intentFor(signers[3], registrations, DEFAULT_OPTIONS)
+      )
+    ).to.be.revertedWith('BulkRegistrarController: Invalid signature')
+    await expect(
+      registerWithSig(
+        DEFAULT_OPTIONS,
+        await intentFor(signers[2], registrations, DEFAULT_OPTIONS, {
+          deadline: 1,
+        })
+      )
+    ).to.be.revertedWith('BulkRegistrarController: Signature has expired')
+
+    await registerWithSig(DEFAULT_OPTIONS, intent)
+    await expect(
+      registerWithSig(DEFAULT_OPTIONS, intent)
+    ).to.be.revertedWith('BulkRegistrarController: Invalid signature')
+  })
+
+  it('should accept allowlist proofs with an intent', async () => {
+    const signerAccount = await signers[2].getAddress()
+    const allowlist = await openAllowlist([
+      { name: 'newname', owner: registrantAccount },
+    ])
+    const { registrations } = await commitNames(['newname'])
+    const intent = await intentFor(signers[2], registrations, DEFAULT_OPTIONS)
+    const registerWithSig = (proofs) =>
+      controller.registerWithSig(
+        registrations,
+        DEFAULT_OPTIONS,
+        signerAccount,
+        intent.deadline,
+        intent.signature,
+        proofs,
+        { value: BUFFERED_REGISTRATION_COST }
+      )
+
+    await expect(registerWithSig([])).to.be.revertedWith(
+      'BulkRegistrarController: Not on allowlist'
+    )
+    await expect(registerWithSig([[], []])).to.be.revertedWith(
+      'BulkRegistrarController: Registrations and proofs length mismatch'
+    )
+    await registerWithSig([allowlist.entries[0].proof])
+    expect(await controller.available('newname')).to.equal(false)
+  })
+
+  it('should redeem vouchers for the signer of an intent', async () => {
+    const signerAccount = await signers[2].getAddress()
+    await controller.setReferralTerms(await signers[3].getAddress(), 0)
+    const { registrations } = await commitNames(['newname'])
+    const options = {
+      ...DEFAULT_OPTIONS,
+      voucher: await voucherFor(signerAccount, { signer: signers[3] }),
+    }
+    const intent = await intentFor(signers[2], registrations, options)
+
+    await expect(
+      controller.registerWithSig(
+        registrations,
+        options,
+        signerAccount,
+        intent.deadline,
+        intent.signature,
+        [],
+        { value: BUFFERED_REGISTRATION_COST }
+      )
+    )
+      .to.emit(controller, 'VoucherRedeemed')
+      .withArgs(options.voucher.id, signerAccount, 2500)
+  })
 })
@@ -0,0 +1,101 @@
+const { expect } = require('chai')
+const { makeInterfaceId } = require('@openzeppelin/test-helpers')
+
+const hre = require('hardhat')
+const { deployments, ethers, getNamedAccounts } = hre
+const namehash = require('eth-ens-namehash')
+const deployBulkRegistrarController =
+  require('../../deploy/ethregistrar/04_deploy_bulk_registrar_controller').default
+
+const REGISTRATION_TUPLE =
+  '(string,address,uint256,address,bytes12,bytes[],uint8,uint32,uint64)'
+const OPTIONS_TUPLE =
+  '(bool,address,address,uint256,uint256[],address,(bytes32,uint16,uint256,bytes))'
+const BULK_REGISTRAR_CONTROLLER_INTERFACE = makeInterfaceId.ERC165([
+  'rentPrice(string,uint256)',
+  'rentPriceInToken(string,uint256,address)',
+  'available(string)',
+  `makeCommitment(${REGISTRATION_TUPLE})`,
+  `makeBulkCommitment(${REGISTRATION_TUPLE}[])`,
+  'commit(bytes32)',
+  `register(${REGISTRATION_TUPLE}[])`,
+  `registerWithOptions(${REGISTRATION_TUPLE}[],${OPTIONS_TUPLE})`,
+  `registerWithPermit(${REGISTRATION_TUPLE}[],${OPTIONS_TUPLE},(uint256,uint256,uint8,bytes32,bytes32))`,
+  `registerWithSig(${REGISTRATION_TUPLE}[],${OPTIONS_TUPLE},address,uint256,bytes,bytes32[][])`,
+  'renewAll(string[],uint256)',
+  'renewAllWithDurations(string[],uint256[])',
+  'withdrawRefund()',
+  'withdrawReferralRewards(address)',
+])
+
+describe('BulkRegistrarController deployment', function () {
+  let deployer
+  let owner
+
+  before(async () => {
+    ;({ deployer, owner } = await getNamedAccounts())
+  })
+
+  it('should deploy the controller and authorise it as a controller', async () => {
+    await deployments.fixture(['BulkRegistrarController'])
+
+    const controller = await ethers.getContract('BulkRegistrarController')
+    const registrar = await ethers.getContract('BaseRegistrarImplementation')
+    const nameWrapper = await ethers.getContract('NameWrapper')
+    const reverseRegistrar = await ethers.getContract('ReverseRegistrar')
+
+    expect(await controller.nameWrapper()).to.equal(nameWrapper.address)
+    expect(await controller.reverseRegistrar()).to.equal(
+      reverseRegistrar.address,
+    )
+    expect(await registrar.controllers(controller.address)).to.equal(true)
+    expect(await nameWrapper.controllers(controller.address)).to.equal(true)
+    expect(await reverseRegistrar.controllers(controller.address)).to.equal(
+      true,
+    )
+  })
+
+  it('should not redeploy an unchanged controller', async () => {
+    await deployments.fixture(['BulkRegistrarController'])
+    const { address } = await deployments.get('BulkRegistrarController')
+    const blockNumber = await ethers.provider.getBlockNumber()
+
+    // Run the script again on top of the existing deployment
+    await deployBulkRegistrarController(hre)
+
+    expect((await deployments.get('BulkRegistrarController')).address).to.equal(
+      address,
+    )
+    expect(await ethers.provider.getBlockNumber()).to.equal(blockNumber)
+  })
+
+  it('should register the controller interface on the .eth resolver', async () => {
+    await deployments.fixture(['BulkRegistrarController'])
+    const registry = await ethers.getContract('ENSRegistry')
+    const registrar = await ethers.getContract('BaseRegistrarImplementation')
+
+    const resolver = await (
+      await ethers.getContractFactory(
+        'OwnedResolver',
+        await ethers.getSigner(owner),
+      )
+    ).deploy()
+    await registrar
+      .connect(await ethers.getSigner(deployer))
+      .setResolver(resolver.address)
+    expect(await registry.resolver(namehash.hash('eth'))).to.equal(
+      resolver.address,
+    )
+
+    // Run the script again on top of the existing deployment
+    await deployBulkRegistrarController(hre)
+
+    const controller = await ethers.getContract('BulkRegistrarController')
+    expect(
+      await resolver.interfaceImplementer(
+        namehash.hash('eth'),
+        BULK_REGISTRAR_CONTROLLER_INTERFACE,
+      ),
+    ).to.equal(controller.address)
+  })
+})
@@ -6,6 +6,7 @@ const DummyOracle = artifacts.require('./DummyOracle')
 const StablePriceOracle = artifacts.require('./StablePriceOracle')
 const BulkRenewal = artifacts.require('./BulkRenewal')
 const NameWrapper = artifacts.require('DummyNameWrapper.sol')
+const DummySmartWallet = artifacts.require('DummySmartWallet')
 
 const namehash = require('eth-ens-namehash')
 const sha3 = require('web3-utils').sha3
@@ -14,6 +15,7 @@ const { exceptions } = require('../test-utils')
 
 const ETH_LABEL = sha3('eth')
 const ETH_NAMEHASH = namehash.hash('eth')
+const NULL_ADDRESS = '0x0000000000000000000000000000000000000000'
 
 contract('BulkRenewal', function(accounts) {
   let ens
@@ -110,4 +112,176 @@ contract('BulkRenewal', function(accounts) {
     // Check any excess funds are returned
     assert.equal(await web3.eth.getBalance(bulkRenewal.address), 0)
   })
+  it('should return the itemised cost of renewing names for different durations', async () => {
+    const prices = await bulkRenewal.rentPrices(
+      ['test1', 'test2'],
+      [86400, 2 * 86400]
+    )
+    assert.equal(prices.length, 2)
+    assert.equal(prices[0].base, 86400)
+    assert.equal(prices[0].premium, 0)
+    assert.equal(prices[1].base, 2 * 86400)
+  })
+
+  it('should raise an error when names and durations differ in length', async () => {
+    await exceptions.expectFailure(
+      bulkRenewal.rentPrices(['test1', 'test2'], [86400])
+    )
+    await exceptions.expectFailure(
+      bulkRenewal.renewAllWithDurations(
+        ['test1', 'test2'],
+        [86400],
+        NULL_ADDRESS,
+        { value: 86400 }
+      )
+    )
+  })
+
+  it('should permit bulk renewal of names for different durations', async () => {
+    const oldExpiry1 = await baseRegistrar.nameExpires(sha3('test1'))
+    const oldExpiry3 = await baseRegistrar.nameExpires(sha3('test3'))
+    await bulkRenewal.renewAllWithDurations(
+      ['test1', 'test3'],
+      [86400, 3 * 86400],
+      NULL_ADDRESS,
+      { value: 4 * 86400 + 1 }
+    )
+    const newExpiry1 = await baseRegistrar.nameExpires(sha3('test1'))
+    const newExpiry3 = await baseRegistrar.nameExpires(sha3('test3'))
+    assert.equal(newExpiry1 - oldExpiry1, 86400)
+    assert.equal(newExpiry3 - oldExpiry3, 3 * 86400)
+    assert.equal(await web3.eth.getBalance(bulkRenewal.address), 0)
+  })
+
+  it('should renew names so that they all expire at a target date', async () => {
+    const names = ['test1', 'test2', 'test3']
+    const expiries = await Promise.all(
+      names.map((name) => baseRegistrar.nameExpires(sha3(name)))
+    )
+    const target = Math.max(...expiries.map(Number)) + 86400
+
+    const durations = await bulkRenewal.durationsUntil(names, target)
+    const prices = await bulkRenewal.rentPrices(names, durations)
+    const total = prices.reduce(
+      (sum, price) => sum.add(toBN(price.base)).add(toBN(price.premium)),
+      toBN(0)
+    )
+
+    await bulkRenewal.renewAllUntil(names, target, NULL_ADDRESS, {
+      value: total,
+    })
+    for (const name of names) {
+      assert.equal(await baseRegistrar.nameExpires(sha3(name)), target)
+    }
+  })
+
+  it('should refund the given recipient instead of the caller', async () => {
+    const recipient = accounts[3]
+    const balanceBefore = toBN(await web3.eth.getBalance(recipient))
+
+    await bulkRenewal.renewAllWithDurations(['test1'], [86400], recipient, {
+      value: 86400 + 100,
+    })
+    assert.equal(
+      toBN(await web3.eth.getBalance(recipient))
+        .sub(balanceBefore)
+        .toString(),
+      '100'
+    )
+
+    const expiry = await baseRegistrar.nameExpires(sha3('test1'))
+    await bulkRenewal.renewAllUntil(
+      ['test1'],
+      toBN(expiry).addn(86400),
+      recipient,
+      { value: 86400 + 50 }
+    )
+    assert.equal(
+      toBN(await web3.eth.getBalance(recipient))
+        .sub(balanceBefore)
+        .toString(),
+      '150'
+    )
+    assert.equal(await web3.eth.getBalance(bulkRenewal.address), 0)
+  })
+
+  it('should raise an error when a name already expires after the target', async () => {
+    const expiry = await baseRegistrar.nameExpires(sha3('test1'))
+    await exceptions.expectFailure(
+      bulkRenewal.durationsUntil(['test1'], expiry)
+    )
+  })
+
+  it('should refund contract wallets that need more than 2300 gas', async () => {
+    const wallet = await DummySmartWallet.new()
+    const oldExpiry = await baseRegistrar.nameExpires(sha3('test1'))
+
+    await wallet.execute(
+      bulkRenewal.address,
+      bulkRenewal.contract.methods.renewAll(['test1'], 86400).encodeABI(),
+      { value: 86400 * 2 }
+    )
+
+    const newExpiry = await baseRegistrar.nameExpires(sha3('test1'))
+    assert.equal(newExpiry - oldExpiry, 86400)
+    assert.equal(await wallet.received(), 86400)
+    assert.equal(await web3.eth.getBalance(bulkRenewal.address), 0)
+  })
+
+  it('should hold refunds that cannot be sent until they are withdrawn', async () => {
+    const wallet = await DummySmartWallet.new()
+    await wallet.setAcceptPayments(false)
+
+    await wallet.execute(
+      bulkRenewal.address,
+      bulkRenewal.contract.methods.renewAll(['test1'], 86400).encodeABI(),
+      { value: 86400 * 2 }
+    )
+    assert.equal(await bulkRenewal.pendingRefunds(wallet.address), 86400)
+    assert.equal(await web3.eth.getBalance(bulkRenewal.address), 86400)
+
+    await wallet.setAcceptPayments(true)
+    await wallet.execute(
+      bulkRenewal.address,
+      bulkRenewal.contract.methods.withdrawRefund().encodeABI()
+    )
+    assert.equal(await wallet.received(), 86400)
+    assert.equal(await bulkRenewal.pendingRefunds(wallet.address), 0)
+    await exceptions.expectFailure(bulkRenewal.withdrawRefund())
+  })
+
+  it('should support the original and extended renewal interfaces', async () => {
+    const interfaceId = (signatures) =>
+      '0x' +
+      signatures
+        .map((signature) =>
+          parseInt(web3.eth.abi.encodeFunctionSignature(signature), 16)
+        )
+        .reduce((id, selector) => (id ^ selector) >>> 0, 0)
+        .toString(16)
+        .padStart(8, '0')
+
+    assert.equal(
+      await bulkRenewal.supportsInterface(
+        interfaceId([
+          'rentPrice(string[],uint256)',
+          'renewAll(string[],uint256)',
+        ])
+      ),
+      true
+    )
+    assert.equal(
+      await bulkRenewal.supportsInterface(
+        interfaceId([
+          'rentPrices(string[],uint256[])',
+          'durationsUntil(string[],uint256)',
+          'renewAllWithDurations(string[],uint256[],address)',
+          'renewAllUntil(string[],uint256,address)',
+          'withdrawRefund()',
+        ])
+      ),
+      true
+    )
+    assert.equal(await bulkRenewal.supportsInterface('0x01ffc9a7'), true)
+  })
 })
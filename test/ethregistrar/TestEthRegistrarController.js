@@ -5,6 +5,7 @@ const {
 } = require('../test-utils')
 
 const { expect } = require('chai')
+const { makeInterfaceId } = require('@openzeppelin/test-helpers')
 
 const { ethers } = require('hardhat')
 const provider = ethers.provider
@@ -954,4 +955,39 @@ contract('ETHRegistrarController', function() {
     )
     expect(await resolver2['addr(bytes32)'](node)).to.equal(registrantAccount)
   })
+
+  it('should report the status of commitments', async () => {
+    const commitment = sha3('commitment')
+    const tx = await controller.commit(commitment)
+    const committedAt = (await provider.getBlock(tx.blockNumber)).timestamp
+
+    const [unknown, pending] = await controller.commitmentStatus([
+      sha3('unknown'),
+      commitment,
+    ])
+    expect(unknown.state).to.equal(0)
+    expect(unknown.revealableAt).to.equal(0)
+    expect(unknown.expiresAt).to.equal(0)
+    expect(pending.state).to.equal(1)
+    expect(pending.revealableAt).to.equal(committedAt + 600)
+    expect(pending.expiresAt).to.equal(committedAt + 86400 - 1)
+
+    await evm.advanceTime(600)
+    await evm.mine()
+    const [revealable] = await controller.commitmentStatus([commitment])
+    expect(revealable.state).to.equal(2)
+
+    await evm.advanceTime(86400)
+    await evm.mine()
+    const [expired] = await controller.commitmentStatus([commitment])
+    expect(expired.state).to.equal(3)
+  })
+
+  it('should support the ICommitmentStatus interface', async () => {
+    expect(
+      await controller.supportsInterface(
+        makeInterfaceId.ERC165(['commitmentStatus(bytes32[])'])
+      )
+    ).to.equal(true)
+  })
 })
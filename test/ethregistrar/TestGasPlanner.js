@@ -0,0 +1,217 @@
+const { expect } = require('chai')
+
+const { deployments, ethers } = require('hardhat')
+const {
+  evm,
+  contracts: { deploy },
+} = require('../test-utils')
+const {
+  estimateBatchGas,
+  planBatches,
+} = require('../../lib/ethregistrar/gasPlanner')
+const {
+  ReverseRecord,
+  makeBulkCommitment,
+} = require('../../lib/ethregistrar/commitments')
+
+const DAYS = 24 * 60 * 60
+const REGISTRATION_TIME = 365 * DAYS
+const NULL_ADDRESS = '0x0000000000000000000000000000000000000000'
+
+describe('Bulk registration gas planner', function () {
+  let controller
+  let resolver
+  let signers
+  let owner
+  let nameCount = 0
+  let result
+
+  function registration(overrides = {}) {
+    return {
+      name: `planned${nameCount++}`,
+      owner,
+      duration: REGISTRATION_TIME,
+      resolver: NULL_ADDRESS,
+      secret: '0x0123456789abcdef01234567',
+      data: [],
+      reverseRecord: ReverseRecord.None,
+      fuses: 0,
+      wrapperExpiry: 0,
+      ...overrides,
+    }
+  }
+
+  function withRecords(records, overrides = {}) {
+    const entry = registration({ resolver: resolver.address, ...overrides })
+    const node = ethers.utils.namehash(`${entry.name}.eth`)
+    entry.data = records.map(([fn, args]) =>
+      resolver.interface.encodeFunctionData(fn, [node, ...args]),
+    )
+    return entry
+  }
+
+  // Registers a batch with exactly `gasLimit` gas, which must be enough.
+  async function register(registrations, gasLimit, signer = signers[0]) {
+    const connected = controller.connect(signer)
+    await connected.commit(makeBulkCommitment(registrations))
+    await evm.advanceTime((await controller.minCommitmentAge()).toNumber())
+    await evm.mine()
+    const tx = await connected.register(registrations, {
+      value: ethers.utils.parseEther('1'),
+      gasLimit,
+    })
+    return (await tx.wait()).gasUsed.toNumber()
+  }
+
+  before(async () => {
+    await deployments.fixture(['BulkRegistrarController'])
+    controller = await ethers.getContract('BulkRegistrarController')
+    signers = await ethers.getSigners()
+    owner = signers[1].address
+    resolver = await deploy(
+      'PublicResolver',
+      (
+        await ethers.getContract('ENSRegistry')
+      ).address,
+      (
+        await ethers.getContract('NameWrapper')
+      ).address,
+      controller.address,
+      (
+        await ethers.getContract('ReverseRegistrar')
+      ).address,
+    )
+  })
+
+  beforeEach(async () => {
+    result = await ethers.provider.send('evm_snapshot')
+  })
+  afterEach(async () => {
+    await ethers.provider.send('evm_revert', [result])
+  })
+
+  const cases = {
+    'a single name': () => [registration()],
+    'several names': () => [registration(), registration(), registration()],
+    'short and long names': () => [
+      registration({ name: 'abc' }),
+      registration({ name: 'x'.repeat(26) }),
+      registration({ name: 'y'.repeat(59) }),
+      registration({ name: 'z'.repeat(90) }),
+    ],
+    'a resolver without records': () => [
+      registration({ resolver: resolver.address }),
+    ],
+    'address and text records': () => [
+      withRecords([
+        ['setAddr(bytes32,address)', [owner]],
+        ['setText', ['url', 'https://ens.domains']],
+        ['setText', ['description', 'd'.repeat(200)]],
+      ]),
+    ],
+    'a contenthash record': () => [
+      withRecords([['setContenthash', ['0x' + 'ab'.repeat(38)]]]),
+    ],
+    'reverse records': () => [
+      registration({
+        resolver: resolver.address,
+        reverseRecord: ReverseRecord.Caller,
+      }),
+      registration({
+        resolver: resolver.address,
+        reverseRecord: ReverseRecord.Caller,
+      }),
+    ],
+    'fuses and wrapper expiry': () => [
+      registration({ fuses: 1, wrapperExpiry: 2n ** 64n - 1n }),
+    ],
+    'a mixed batch': () => [
+      registration(),
+      withRecords([['setText', ['url', 'https://ens.domains']]], {
+        reverseRecord: ReverseRecord.Caller,
+      }),
+      registration({ name: 'w'.repeat(40) }),
+      withRecords([['setAddr(bytes32,address)', [owner]]]),
+    ],
+  }
+
+  Object.entries(cases).forEach(([description, makeRegistrations], i) => {
+    it(`should not underestimate gas for ${description}`, async () => {
+      const registrations = makeRegistrations()
+      const estimate = estimateBatchGas(registrations)
+      // A fresh sender pays for creating its reverse node
+      const gasUsed = await register(registrations, estimate, signers[2 + i])
+
+      expect(estimate).to.be.at.most(Math.ceil(gasUsed * 1.1))
+    })
+  })
+
+  it('should not underestimate gas for reverse records of several owners', async () => {
+    const registrant = signers[15]
+    const owners = signers.slice(16, 19)
+    const ens = await ethers.getContract('ENSRegistry')
+    for (const signer of owners) {
+      await ens.connect(signer).setApprovalForAll(registrant.address, true)
+    }
+    const registrations = [...owners, owners[0], registrant].map((signer) =>
+      registration({
+        owner: signer.address,
+        resolver: resolver.address,
+        reverseRecord: ReverseRecord.Owner,
+      }),
+    )
+
+    const estimate = estimateBatchGas(registrations)
+    const gasUsed = await register(registrations, estimate, registrant)
+
+    expect(estimate).to.be.at.most(Math.ceil(gasUsed * 1.1))
+  })
+
+  it('should split a large request into batches under the gas limit', async () => {
+    const registrations = [
+      ...Array.from({ length: 6 }, () => registration()),
+      ...Array.from({ length: 3 }, () =>
+        withRecords([['setText', ['url', 'https://ens.domains']]], {
+          reverseRecord: ReverseRecord.Caller,
+        }),
+      ),
+    ]
+    const gasLimit = 1000000
+
+    const batches = planBatches(registrations, { gasLimit })
+
+    expect(batches.length).to.equal(3)
+    expect(
+      batches.flatMap((batch) => batch.registrations.map(({ name }) => name)),
+    ).to.deep.equal(registrations.map(({ name }) => name))
+    for (const batch of batches) {
+      expect(batch.gas).to.be.at.most(gasLimit)
+      expect(batch.gas).to.equal(estimateBatchGas(batch.registrations))
+      expect(batch.commitment).to.equal(makeBulkCommitment(batch.registrations))
+      await register(batch.registrations, batch.gas)
+    }
+    for (const { name } of registrations) {
+      expect(await controller.available(name)).to.equal(false)
+    }
+  })
+
+  it('should give registrations without a secret a shared one', () => {
+    const batches = planBatches([
+      { name: 'first', owner, duration: REGISTRATION_TIME },
+      { name: 'second', owner, duration: REGISTRATION_TIME },
+    ])
+
+    expect(batches.length).to.equal(1)
+    const [first, second] = batches[0].registrations
+    expect(first.secret).to.equal(second.secret)
+    expect(first.resolver).to.equal(NULL_ADDRESS)
+  })
+
+  it('should reject a registration that cannot fit in any batch', () => {
+    expect(() =>
+      planBatches([registration({ name: 'toobig' })], { gasLimit: 100000 }),
+    ).to.throw(
+      /^Registration for "toobig" needs an estimated \d+ gas, above the limit of 100000$/,
+    )
+  })
+})
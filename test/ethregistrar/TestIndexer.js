@@ -0,0 +1,321 @@
+const fs = require('fs')
+const os = require('os')
+const path = require('path')
+const { expect } = require('chai')
+
+const { deployments, ethers, network } = require('hardhat')
+const {
+  evm,
+  contracts: { deploy },
+  exceptions: { expectRejection },
+} = require('../test-utils')
+const {
+  BulkRegistrarClient,
+} = require('../../lib/ethregistrar/BulkRegistrarClient')
+const { PortfolioIndexer } = require('../../lib/ethregistrar/indexer')
+
+const DAYS = 24 * 60 * 60
+const REGISTRATION_TIME = 28 * DAYS
+const CANNOT_UNWRAP = 1
+const CANNOT_SET_TTL = 16
+const MAX_EXPIRY = 2n ** 64n - 1n
+const { namehash } = ethers.utils
+
+describe('Portfolio indexer', function () {
+  let controller
+  let baseRegistrar
+  let nameWrapper
+  let ens
+  let resolver
+  let signers
+  let owner
+  let other
+  let startBlock
+  let result
+
+  function indexer(options = {}) {
+    return new PortfolioIndexer(ethers.provider, {
+      registrar: baseRegistrar.address,
+      nameWrapper: nameWrapper.address,
+      registry: ens.address,
+      controllers: [controller.address],
+      confirmations: 0,
+      startBlock,
+      ...options,
+    })
+  }
+
+  function records(name) {
+    const node = namehash(`${name}.eth`)
+    return [
+      resolver.interface.encodeFunctionData('setAddr(bytes32,address)', [
+        node,
+        owner,
+      ]),
+      resolver.interface.encodeFunctionData('setText', [
+        node,
+        'url',
+        'https://ens.domains',
+      ]),
+    ]
+  }
+
+  async function register(registrations) {
+    const client = new BulkRegistrarClient(controller.address, signers[0])
+    client.prepare(
+      registrations.map((registration) => ({
+        owner,
+        duration: REGISTRATION_TIME,
+        ...registration,
+      })),
+    )
+    await client.commit()
+    await evm.advanceTime((await controller.minCommitmentAge()).toNumber())
+    await evm.mine()
+    return client.register()
+  }
+
+  before(async () => {
+    await deployments.fixture(['BulkRegistrarController'])
+    controller = await ethers.getContract('BulkRegistrarController')
+    baseRegistrar = await ethers.getContract('BaseRegistrarImplementation')
+    nameWrapper = await ethers.getContract('NameWrapper')
+    ens = await ethers.getContract('ENSRegistry')
+    signers = await ethers.getSigners()
+    owner = signers[1].address
+    other = signers[2].address
+
+    const reverseRegistrar = await ethers.getContract('ReverseRegistrar')
+    resolver = await deploy(
+      'PublicResolver',
+      ens.address,
+      nameWrapper.address,
+      controller.address,
+      reverseRegistrar.address,
+    )
+  })
+
+  beforeEach(async () => {
+    result = await ethers.provider.send('evm_snapshot')
+    startBlock = (await ethers.provider.getBlockNumber()) + 1
+  })
+  afterEach(async () => {
+    await ethers.provider.send('evm_revert', [result])
+  })
+
+  it('indexes registered names with their records', async () => {
+    await register([
+      {
+        name: 'portfolio',
+        resolver: resolver.address,
+        data: records('portfolio'),
+        fuses: CANNOT_UNWRAP,
+        wrapperExpiry: MAX_EXPIRY,
+      },
+      { name: 'elsewhere', owner: other },
+    ])
+    const index = indexer()
+    await index.sync()
+
+    const node = namehash('portfolio.eth')
+    const [, fuses, wrapperExpiry] = await nameWrapper.getData(node)
+    expect(index.name('portfolio.eth')).to.deep.include({
+      node,
+      name: 'portfolio.eth',
+      labelhash: ethers.utils.id('portfolio'),
+      owner,
+      registrant: nameWrapper.address,
+      wrapped: true,
+      wrappedOwner: owner,
+      fuses,
+      wrapperExpiry: wrapperExpiry.toNumber(),
+      expires: (
+        await baseRegistrar.nameExpires(ethers.utils.id('portfolio'))
+      ).toNumber(),
+      resolver: resolver.address,
+      records: {
+        addr: owner,
+        addresses: { 60: owner.toLowerCase() },
+        text: { url: 'https://ens.domains' },
+        contenthash: null,
+      },
+    })
+    expect(index.name(node).name).to.equal('portfolio.eth')
+    expect(index.name('missing.eth')).to.equal(undefined)
+    expect(index.names({ owner }).map(({ name }) => name)).to.deep.equal([
+      'portfolio.eth',
+    ])
+    expect(index.names().map(({ name }) => name)).to.have.members([
+      'portfolio.eth',
+      'elsewhere.eth',
+    ])
+  })
+
+  it('follows renewals, fuses, resolvers and transfers', async () => {
+    await register([
+      {
+        name: 'portfolio',
+        resolver: resolver.address,
+        data: records('portfolio'),
+        fuses: CANNOT_UNWRAP,
+        wrapperExpiry: MAX_EXPIRY,
+      },
+    ])
+    const index = indexer()
+    await index.sync()
+    const node = namehash('portfolio.eth')
+
+    const price = await controller.rentPrice('portfolio', REGISTRATION_TIME)
+    await controller.renewAll(['portfolio'], REGISTRATION_TIME, {
+      value: price.base,
+    })
+    await nameWrapper.connect(signers[1]).setFuses(node, CANNOT_SET_TTL)
+    await nameWrapper
+      .connect(signers[1])
+      .setResolver(node, ethers.Wallet.createRandom().address)
+    await nameWrapper
+      .connect(signers[1])
+      .safeTransferFrom(owner, other, node, 1, '0x')
+    await index.sync()
+
+    const [, fuses, wrapperExpiry] = await nameWrapper.getData(node)
+    const record = index.name(node)
+    expect(record.expires).to.equal(
+      (
+        await baseRegistrar.nameExpires(ethers.utils.id('portfolio'))
+      ).toNumber(),
+    )
+    expect(record.wrapperExpiry).to.equal(wrapperExpiry.toNumber())
+    expect(record.fuses).to.equal(fuses)
+    expect(record.fuses & CANNOT_SET_TTL).to.equal(CANNOT_SET_TTL)
+    expect(record.resolver).to.equal(await ens.resolver(node))
+    expect(record.records.text).to.deep.equal({})
+    expect(record.owner).to.equal(other)
+    expect(index.names({ owner })).to.deep.equal([])
+    expect(index.names({ owner: other })).to.have.length(1)
+  })
+
+  it('only indexes names owned by the given owners', async () => {
+    await register([{ name: 'portfolio' }, { name: 'elsewhere', owner: other }])
+    const index = indexer({ owners: [owner] })
+    await index.sync()
+
+    expect(index.names().map(({ name }) => name)).to.deep.equal([
+      'portfolio.eth',
+    ])
+    expect(index.name('elsewhere.eth')).to.equal(undefined)
+
+    const node = namehash('elsewhere.eth')
+    await nameWrapper
+      .connect(signers[2])
+      .safeTransferFrom(other, owner, node, 1, '0x')
+    await index.sync()
+
+    // Read from the chain when the name is transferred in.
+    expect(index.name(node)).to.deep.include({
+      name: 'elsewhere.eth',
+      owner,
+      expires: (
+        await baseRegistrar.nameExpires(ethers.utils.id('elsewhere'))
+      ).toNumber(),
+    })
+    expect(index.names()).to.have.length(2)
+  })
+
+  it('only fetches resolver events of indexed names', async () => {
+    await register([
+      {
+        name: 'portfolio',
+        resolver: resolver.address,
+        data: records('portfolio'),
+      },
+      {
+        name: 'elsewhere',
+        owner: other,
+        resolver: resolver.address,
+        data: records('elsewhere'),
+      },
+    ])
+    const filters = []
+    const provider = new ethers.providers.Web3Provider(network.provider)
+    const getLogs = provider.getLogs.bind(provider)
+    provider.getLogs = (filter) => {
+      filters.push(filter)
+      return getLogs(filter)
+    }
+    const index = new PortfolioIndexer(provider, {
+      registrar: baseRegistrar.address,
+      nameWrapper: nameWrapper.address,
+      registry: ens.address,
+      controllers: [controller.address],
+      owners: [owner],
+      confirmations: 0,
+      startBlock,
+    })
+    await index.sync()
+
+    expect(index.name('portfolio.eth').records.addr).to.equal(owner)
+    const unfiltered = filters.filter(({ address }) => address === undefined)
+    expect(unfiltered).to.have.length(1)
+    expect(unfiltered[0].topics[1]).to.deep.equal([namehash('portfolio.eth')])
+  })
+
+  it('drops unconfirmed blocks that are reorganised', async () => {
+    const index = indexer({ confirmations: 2 })
+    const client = new BulkRegistrarClient(controller.address, signers[0])
+    client.prepare([{ name: 'reorged', owner, duration: REGISTRATION_TIME }])
+    await client.commit()
+    await evm.advanceTime((await controller.minCommitmentAge()).toNumber())
+    await evm.mine()
+    const snapshot = await ethers.provider.send('evm_snapshot')
+    await client.register()
+
+    const { block, finalisedBlock } = await index.sync()
+    expect(finalisedBlock).to.equal(block - 2)
+    expect(index.name('reorged.eth').owner).to.equal(owner)
+
+    await ethers.provider.send('evm_revert', [snapshot])
+    await evm.mine()
+    await index.sync()
+    expect(index.name('reorged.eth')).to.equal(undefined)
+  })
+
+  it('refuses to continue past a reorganisation of confirmed blocks', async () => {
+    const index = indexer()
+    const snapshot = await ethers.provider.send('evm_snapshot')
+    await register([{ name: 'reorged' }])
+    await index.sync()
+
+    await ethers.provider.send('evm_revert', [snapshot])
+    await evm.mine()
+    await evm.mine()
+    await expectRejection(index.sync(), 'was reorganised after it was indexed')
+  })
+
+  it('keeps the confirmed index in its store between runs', async () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'indexer-'))
+    const storePath = path.join(dir, 'portfolio.json')
+    try {
+      await register([{ name: 'portfolio' }])
+      await indexer({ storePath }).sync()
+
+      await register([{ name: 'another' }])
+      const index = indexer({ storePath })
+      const { block } = await index.sync()
+      expect(index.names().map(({ name }) => name)).to.have.members([
+        'portfolio.eth',
+        'another.eth',
+      ])
+      expect(JSON.parse(fs.readFileSync(storePath, 'utf8')).block).to.equal(
+        block,
+      )
+
+      await expectRejection(
+        indexer({ storePath, registry: other }).sync(),
+        'was created for other contracts or another chain',
+      )
+    } finally {
+      fs.rmSync(dir, { recursive: true, force: true })
+    }
+  })
+})
@@ -0,0 +1,139 @@
+const { expect } = require('chai')
+const { ethers } = require('hardhat')
+const {
+  BulkRegistrarClient,
+} = require('../../lib/ethregistrar/BulkRegistrarClient')
+const { makePlaceholder } = require('../../lib/ethregistrar/commitments')
+const {
+  checkNames,
+  normaliseName,
+  normaliseNames,
+} = require('../../lib/ethregistrar/normalisation')
+
+const DAYS = 24 * 60 * 60
+const NULL_ADDRESS = '0x0000000000000000000000000000000000000000'
+const SECRET = '0x0123456789abcdef01234567'
+
+// Each entry is [input, normalised name or undefined, expected error].
+const CORPUS = [
+  // Plain ASCII
+  ['nick', 'nick'],
+  ['Nick', 'nick'],
+  ['_nick', '_nick'],
+  ['ni_ck', undefined, 'underscore allowed only at start'],
+  ['xn--nick', undefined, 'invalid label extension: "xn--"'],
+  ['ni.ck', undefined, 'contains a label separator'],
+  ['', undefined, 'empty name'],
+  // Width and compatibility forms
+  ['ｎｉｃｋ', 'nick'],
+  ['ⓝⓘⓒⓚ', 'nick'],
+  ['ﬁve', 'five'],
+  // Composed and decomposed accents
+  ['café', 'café'],
+  ['cafe\u0301', 'café'],
+  // Emoji
+  ['\u{1f4a9}', '\u{1f4a9}'],
+  ['\u{1f44d}\u{1f3fd}', '\u{1f44d}\u{1f3fd}'],
+  ['❤\ufe0f', '❤'],
+  [
+    '\u{1f468}\u200d\u{1f469}\u200d\u{1f467}',
+    '\u{1f468}\u200d\u{1f469}\u200d\u{1f467}',
+  ],
+  // Zero-width characters
+  ['ni\u200bck', 'nick'],
+  ['ni\u200cck', undefined, 'disallowed character: {200C}'],
+  ['ni\u200dck', undefined, 'disallowed character: {200D}'],
+  ['ni\u00a0ck', undefined, 'disallowed character: {A0}'],
+  // Mixed and confusable scripts
+  ['\u0430\u0440\u0435', undefined, 'whole-script confusable: Cyrillic/Latin'],
+  ['n\u0456ck', undefined, 'illegal mixture: Latin + Cyrillic "і"\u200e {456}'],
+  ['ник', 'ник'],
+  ['ニック', 'ニック'],
+]
+
+describe('Name normalisation', () => {
+  const owner = ethers.Wallet.createRandom().address
+
+  for (const [input, name, error] of CORPUS) {
+    it(`should ${error === undefined ? 'normalise' : 'reject'} ${JSON.stringify(
+      input,
+    )}`, () => {
+      const result = normaliseName(input)
+      expect(result.error).to.equal(error)
+      expect(result.name).to.equal(name)
+      if (error === undefined) {
+        expect(result.changed).to.equal(name !== input)
+      }
+    })
+  }
+
+  it('should report a diagnostic per name, skipping placeholders', () => {
+    const registrations = [
+      { name: 'nick', owner, duration: 28 * DAYS },
+      makePlaceholder({
+        name: 'hidden',
+        owner,
+        duration: 28 * DAYS,
+        secret: SECRET,
+      }),
+      { name: 'Nick', owner, duration: 28 * DAYS },
+      { name: 'ni\u200dck', owner, duration: 28 * DAYS },
+    ]
+
+    expect(checkNames(registrations)).to.deep.equal([
+      { index: 0, input: 'nick', name: 'nick', changed: false },
+      { index: 2, input: 'Nick', name: 'nick', changed: true },
+      {
+        index: 3,
+        input: 'ni\u200dck',
+        error: 'disallowed character: {200D}',
+      },
+    ])
+  })
+
+  it('should rewrite names to their normalised form', () => {
+    const registrations = normaliseNames([
+      { name: 'Ｎｉｃｋ', owner, duration: 28 * DAYS },
+      { name: 'ni\u200bck2', owner, duration: 28 * DAYS },
+    ])
+
+    expect(registrations.map(({ name }) => name)).to.deep.equal([
+      'nick',
+      'nick2',
+    ])
+    expect(registrations[0].owner).to.equal(owner)
+  })
+
+  it('should refuse to rewrite a batch with an invalid name', () => {
+    expect(() =>
+      normaliseNames([
+        { name: 'nick', owner, duration: 28 * DAYS },
+        { name: 'n\u0456ck', owner, duration: 28 * DAYS },
+        { name: 'ni\u200cck', owner, duration: 28 * DAYS },
+      ]),
+    ).to.throw(
+      [
+        '"n\u0456ck" is not a valid name: illegal mixture: Latin + Cyrillic "і"\u200e {456}',
+        '"ni{200C}ck" is not a valid name: disallowed character: {200C}',
+      ].join('\n'),
+    )
+  })
+
+  it('should not prepare a batch with names that are not normalised', () => {
+    const client = new BulkRegistrarClient(NULL_ADDRESS, ethers.provider)
+
+    expect(() =>
+      client.prepare([
+        { name: 'nick', owner, duration: 28 * DAYS },
+        { name: 'Nick', owner, duration: 28 * DAYS },
+        { name: 'ni\u200bck', owner, duration: 28 * DAYS },
+      ]),
+    ).to.throw(
+      [
+        '"Nick" is not normalised; use "nick"',
+        '"ni{200B}ck" is not normalised; use "nick"',
+      ].join('\n'),
+    )
+    expect(client.commitment).to.equal(undefined)
+  })
+})
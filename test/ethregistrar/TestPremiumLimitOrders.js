@@ -0,0 +1,247 @@
+const { expect } = require('chai')
+
+const { ethers } = require('hardhat')
+const {
+  evm,
+  contracts: { deploy },
+} = require('../test-utils')
+
+const DAYS = 24 * 60 * 60
+const REGISTRATION_TIME = 28 * DAYS
+const GRACE_PERIOD = 90 * DAYS
+const NULL_ADDRESS = '0x0000000000000000000000000000000000000000'
+const { id: labelhash, namehash, parseEther } = ethers.utils
+
+describe('PremiumLimitOrders', function () {
+  let baseRegistrar
+  let nameWrapper
+  let controller
+  let orders
+  let signers
+  let buyer
+  let executor
+  let result
+
+  function registration(overrides = {}) {
+    return {
+      name: 'premium',
+      owner: buyer.address,
+      duration: REGISTRATION_TIME,
+      resolver: NULL_ADDRESS,
+      secret: '0x000000000000000000000001',
+      data: [],
+      reverseRecord: 0,
+      fuses: 0,
+      wrapperExpiry: 0,
+      ...overrides,
+    }
+  }
+
+  function commitmentOf(registration) {
+    return controller.makeBulkCommitment([registration])
+  }
+
+  async function advanceTo(time) {
+    const { timestamp } = await ethers.provider.getBlock('latest')
+    await evm.advanceTime(time - timestamp)
+    await evm.mine()
+  }
+
+  async function commitAndWait(commitment) {
+    await controller.commit(commitment)
+    await evm.advanceTime((await controller.minCommitmentAge()).toNumber())
+    await evm.mine()
+  }
+
+  before(async () => {
+    signers = await ethers.getSigners()
+    buyer = signers[1]
+    executor = signers[2]
+
+    const ens = await deploy('ENSRegistry')
+    baseRegistrar = await deploy(
+      'BaseRegistrarImplementation',
+      ens.address,
+      namehash('eth'),
+    )
+    nameWrapper = await deploy(
+      'NameWrapper',
+      ens.address,
+      baseRegistrar.address,
+      signers[0].address,
+    )
+    const reverseRegistrar = await deploy('ReverseRegistrar', ens.address)
+    await ens.setSubnodeOwner(
+      ethers.constants.HashZero,
+      labelhash('eth'),
+      baseRegistrar.address,
+    )
+
+    // A premium of 1 ETH when the grace period ends, halving every day.
+    const dummyOracle = await deploy('DummyOracle', '100000000')
+    const priceOracle = await deploy(
+      'ExponentialPremiumPriceOracle',
+      dummyOracle.address,
+      [0, 0, 4, 2, 1],
+      parseEther('1'),
+      21,
+    )
+    controller = await deploy(
+      'BulkRegistrarController',
+      baseRegistrar.address,
+      priceOracle.address,
+      600,
+      86400,
+      reverseRegistrar.address,
+      nameWrapper.address,
+    )
+    await baseRegistrar.addController(controller.address)
+    await baseRegistrar.addController(nameWrapper.address)
+    await baseRegistrar.addController(signers[0].address)
+    await nameWrapper.setController(controller.address, true)
+    await reverseRegistrar.setController(controller.address, true)
+
+    orders = await deploy('PremiumLimitOrders', controller.address)
+
+    // Expire the name, and let its grace period end.
+    await baseRegistrar.register(
+      labelhash('premium'),
+      signers[3].address,
+      REGISTRATION_TIME,
+    )
+    const expires = await baseRegistrar.nameExpires(labelhash('premium'))
+    await advanceTo(expires.toNumber() + GRACE_PERIOD + 1)
+  })
+
+  beforeEach(async () => {
+    result = await ethers.provider.send('evm_snapshot')
+  })
+  afterEach(async () => {
+    await ethers.provider.send('evm_revert', [result])
+  })
+
+  it('registers the name once its premium decays to the limit', async () => {
+    const limit = parseEther('0.1')
+    const commitment = await commitmentOf(registration())
+    await expect(orders.connect(buyer).placeOrder(commitment, { value: limit }))
+      .to.emit(orders, 'OrderPlaced')
+      .withArgs(commitment, buyer.address, limit)
+
+    await commitAndWait(commitment)
+    await expect(
+      orders.connect(executor).executeOrder(buyer.address, registration()),
+    ).to.be.revertedWith('PremiumLimitOrders: Price above limit')
+
+    // A sixteenth of the starting premium after four days.
+    await evm.advanceTime(4 * DAYS)
+    await commitAndWait(commitment)
+    const balanceBefore = await buyer.getBalance()
+    const tx = await orders
+      .connect(executor)
+      .executeOrder(buyer.address, registration())
+    const { events } = await tx.wait()
+    const { cost } = events.find(({ event }) => event === 'OrderExecuted').args
+    expect(cost.gt(REGISTRATION_TIME)).to.equal(true)
+    expect(cost.lte(limit)).to.equal(true)
+    await expect(tx)
+      .to.emit(orders, 'OrderExecuted')
+      .withArgs(commitment, buyer.address, executor.address, cost)
+
+    expect(await nameWrapper.ownerOf(namehash('premium.eth'))).to.equal(
+      buyer.address,
+    )
+    expect((await buyer.getBalance()).sub(balanceBefore)).to.equal(
+      limit.sub(cost),
+    )
+    expect(await ethers.provider.getBalance(orders.address)).to.equal(0)
+    expect(await orders.orders(commitment, buyer.address)).to.equal(0)
+  })
+
+  it('only executes the registration that was committed to', async () => {
+    const commitment = await commitmentOf(registration())
+    await orders
+      .connect(buyer)
+      .placeOrder(commitment, { value: parseEther('1') })
+    await expect(
+      orders.connect(buyer).placeOrder(commitment, { value: 1 }),
+    ).to.be.revertedWith('PremiumLimitOrders: Order already placed')
+    await expect(
+      orders.connect(buyer).placeOrder(ethers.constants.HashZero),
+    ).to.be.revertedWith('PremiumLimitOrders: No ether escrowed')
+
+    await commitAndWait(commitment)
+    await expect(
+      orders
+        .connect(executor)
+        .executeOrder(buyer.address, registration({ owner: executor.address })),
+    ).to.be.revertedWith('PremiumLimitOrders: No such order')
+    await expect(
+      orders
+        .connect(executor)
+        .executeOrder(buyer.address, registration({ reverseRecord: 1 })),
+    ).to.be.revertedWith(
+      "PremiumLimitOrders: Cannot set the caller's reverse record",
+    )
+  })
+
+  it('keeps orders under the same commitment apart per buyer', async () => {
+    const limit = parseEther('0.1')
+    const commitment = await commitmentOf(registration())
+    await orders.connect(executor).placeOrder(commitment, { value: 1 })
+    await expect(orders.connect(buyer).placeOrder(commitment, { value: limit }))
+      .to.emit(orders, 'OrderPlaced')
+      .withArgs(commitment, buyer.address, limit)
+
+    await evm.advanceTime(4 * DAYS)
+    await commitAndWait(commitment)
+    await expect(
+      orders.connect(executor).executeOrder(executor.address, registration()),
+    ).to.be.revertedWith('PremiumLimitOrders: Price above limit')
+    await orders.connect(executor).executeOrder(buyer.address, registration())
+    expect(await nameWrapper.ownerOf(namehash('premium.eth'))).to.equal(
+      buyer.address,
+    )
+    expect(await orders.orders(commitment, executor.address)).to.equal(1)
+  })
+
+  it('needs the commitment to be committed on the controller', async () => {
+    const commitment = await commitmentOf(registration())
+    await orders
+      .connect(buyer)
+      .placeOrder(commitment, { value: parseEther('1') })
+    await expect(
+      orders.connect(executor).executeOrder(buyer.address, registration()),
+    ).to.be.revertedWith('BulkRegistrarController: Commitment has expired')
+
+    await commitAndWait(commitment)
+    await orders.connect(executor).executeOrder(buyer.address, registration())
+    expect(await nameWrapper.ownerOf(namehash('premium.eth'))).to.equal(
+      buyer.address,
+    )
+  })
+
+  it('lets the buyer cancel an order and reclaim the escrow', async () => {
+    const limit = parseEther('0.1')
+    const commitment = await commitmentOf(registration())
+    await orders.connect(buyer).placeOrder(commitment, { value: limit })
+
+    await expect(
+      orders.connect(executor).cancelOrder(commitment),
+    ).to.be.revertedWith('PremiumLimitOrders: No such order')
+    await expect(() =>
+      orders.connect(buyer).cancelOrder(commitment),
+    ).to.changeEtherBalance(buyer, limit, { includeFee: false })
+    expect(await ethers.provider.getBalance(orders.address)).to.equal(0)
+
+    await evm.advanceTime(4 * DAYS)
+    await commitAndWait(commitment)
+    await expect(
+      orders.connect(executor).executeOrder(buyer.address, registration()),
+    ).to.be.revertedWith('PremiumLimitOrders: No such order')
+  })
+
+  it('supports its interfaces', async () => {
+    expect(await orders.supportsInterface('0x01ffc9a7')).to.equal(true)
+    expect(await orders.supportsInterface('0xffffffff')).to.equal(false)
+  })
+})
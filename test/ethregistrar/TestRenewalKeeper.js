@@ -0,0 +1,263 @@
+const { expect } = require('chai')
+
+const { ethers } = require('hardhat')
+const {
+  evm,
+  contracts: { deploy },
+} = require('../test-utils')
+const { RenewalKeeper } = require('../../lib/ethregistrar/keeper')
+
+const DAYS = 24 * 60 * 60
+const GRACE_PERIOD = 90 * DAYS
+const NULL_ADDRESS = '0x0000000000000000000000000000000000000000'
+const ETH_NAMEHASH = ethers.utils.namehash('eth')
+const { id: labelhash } = ethers.utils
+
+describe('Renewal keeper', function () {
+  let baseRegistrar
+  let bulkRenewal
+  let signers
+  let events
+  let result
+
+  const notify = (event) => events.push(event)
+
+  function keeper(options = {}) {
+    return new RenewalKeeper(bulkRenewal.address, signers[0], {
+      names: ['keeper1', 'keeper2.eth', 'keeper3'],
+      duration: 365 * DAYS,
+      notify,
+      ...options,
+    })
+  }
+
+  async function expiries(names) {
+    return Promise.all(
+      names.map(async (name) =>
+        (await baseRegistrar.nameExpires(labelhash(name))).toNumber(),
+      ),
+    )
+  }
+
+  async function advanceTo(time) {
+    const { timestamp } = await ethers.provider.getBlock('latest')
+    await evm.advanceTime(time - timestamp)
+    await evm.mine()
+  }
+
+  before(async () => {
+    signers = await ethers.getSigners()
+    const ownerAccount = signers[0].address
+
+    const ens = await deploy('ENSRegistry')
+    const resolver = await deploy(
+      'PublicResolver',
+      ens.address,
+      NULL_ADDRESS,
+      NULL_ADDRESS,
+      NULL_ADDRESS,
+    )
+    baseRegistrar = await deploy(
+      'BaseRegistrarImplementation',
+      ens.address,
+      ETH_NAMEHASH,
+    )
+    const dummyOracle = await deploy('DummyOracle', '100000000')
+    const priceOracle = await deploy(
+      'StablePriceOracle',
+      dummyOracle.address,
+      [0, 0, 4, 2, 1],
+    )
+    const controller = await deploy(
+      'ETHRegistrarController',
+      baseRegistrar.address,
+      priceOracle.address,
+      600,
+      86400,
+      NULL_ADDRESS,
+      NULL_ADDRESS,
+    )
+    await baseRegistrar.addController(controller.address)
+    await baseRegistrar.addController(ownerAccount)
+    bulkRenewal = await deploy('BulkRenewal', ens.address)
+
+    // BulkRenewal finds the controller through the .eth resolver.
+    await ens.setSubnodeRecord(
+      ethers.constants.HashZero,
+      labelhash('eth'),
+      ownerAccount,
+      resolver.address,
+      0,
+    )
+    await resolver.setInterface(ETH_NAMEHASH, '0xdf7ed181', controller.address)
+    await ens.setOwner(ETH_NAMEHASH, baseRegistrar.address)
+
+    // Expiring in 10, 20, 40 and 100 days.
+    for (const [name, days] of [
+      ['keeper1', 10],
+      ['abcd', 20],
+      ['keeper2', 40],
+      ['keeper3', 100],
+    ]) {
+      await baseRegistrar.register(labelhash(name), ownerAccount, days * DAYS)
+    }
+  })
+
+  beforeEach(async () => {
+    result = await ethers.provider.send('evm_snapshot')
+    events = []
+  })
+  afterEach(async () => {
+    await ethers.provider.send('evm_revert', [result])
+  })
+
+  it('renews the names expiring within the threshold', async () => {
+    const [expires1, expires2, expires3] = await expiries([
+      'keeper1',
+      'keeper2',
+      'keeper3',
+    ])
+
+    const report = await keeper({ threshold: 30 * DAYS }).run()
+
+    expect(report.due.map(({ name }) => name)).to.deep.equal(['keeper1'])
+    expect(report.ok.map(({ name }) => name)).to.deep.equal([
+      'keeper2',
+      'keeper3',
+    ])
+    expect(report.batches).to.have.length(1)
+    expect(report.batches[0].names).to.deep.equal(['keeper1'])
+    expect(report.batches[0].cost).to.equal(365 * DAYS)
+    expect(report.batches[0].receipt.status).to.equal(1)
+    expect(await expiries(['keeper1', 'keeper2', 'keeper3'])).to.deep.equal([
+      expires1 + 365 * DAYS,
+      expires2,
+      expires3,
+    ])
+    expect(events.map(({ type }) => type)).to.deep.equal(['due', 'renewed'])
+  })
+
+  it('picks names up as time passes, including in their grace period', async () => {
+    const [expires1, expires2] = await expiries(['keeper1', 'keeper2'])
+    // keeper1 is in its grace period and keeper2 is due.
+    await advanceTo(expires1 + 30 * DAYS)
+
+    const report = await keeper({ threshold: 5 * DAYS }).run()
+
+    expect(
+      report.due.map(({ name, inGracePeriod }) => ({ name, inGracePeriod })),
+    ).to.deep.equal([
+      { name: 'keeper1', inGracePeriod: true },
+      { name: 'keeper2', inGracePeriod: false },
+    ])
+    expect(report.due[0].renewableUntil).to.equal(expires1 + GRACE_PERIOD)
+    expect(report.batches[0].names).to.deep.equal(['keeper1', 'keeper2'])
+    expect(await expiries(['keeper1', 'keeper2'])).to.deep.equal([
+      expires1 + 365 * DAYS,
+      expires2 + 365 * DAYS,
+    ])
+  })
+
+  it('reports names past their grace period', async () => {
+    const [expires1] = await expiries(['keeper1'])
+    await advanceTo(expires1 + GRACE_PERIOD + DAYS)
+
+    const report = await keeper({ names: ['keeper1', 'unregistered'] }).run()
+
+    expect(report.lapsed.map(({ name }) => name)).to.deep.equal([
+      'keeper1',
+      'unregistered',
+    ])
+    expect(report.batches).to.deep.equal([])
+    expect(events).to.deep.equal([{ type: 'lapsed', names: report.lapsed }])
+  })
+
+  it('skips names that cost more than the policy allows', async () => {
+    const report = await keeper({
+      names: ['abcd', 'keeper1'],
+      threshold: 100 * DAYS,
+      duration: 10 * DAYS,
+      policy: { maxPricePerName: 15 * DAYS },
+    }).run()
+
+    // Four-letter names cost twice as much.
+    expect(
+      report.skipped.map(({ name, price, reason }) => [name, price, reason]),
+    ).to.deep.equal([
+      ['abcd', ethers.BigNumber.from(20 * DAYS), 'over maxPricePerName'],
+    ])
+    expect(report.batches.map(({ names }) => names)).to.deep.equal([
+      ['keeper1'],
+    ])
+  })
+
+  it('batches names and skips those over the policy', async () => {
+    const report = await keeper({
+      names: ['keeper1', 'keeper2', 'keeper3'],
+      threshold: 100 * DAYS,
+      duration: 10 * DAYS,
+      policy: { maxTotalCost: 25 * DAYS, maxBatchSize: 1 },
+    }).run()
+
+    expect(report.batches.map(({ names }) => names)).to.deep.equal([
+      ['keeper1'],
+      ['keeper2'],
+    ])
+    expect(report.skipped).to.deep.include({
+      ...report.due[2],
+      price: ethers.BigNumber.from(10 * DAYS),
+      reason: 'over maxTotalCost',
+    })
+    expect(events.map(({ type }) => type)).to.deep.equal([
+      'due',
+      'skipped',
+      'renewed',
+      'renewed',
+    ])
+  })
+
+  it('keeps the buffered value within maxTotalCost', async () => {
+    const maxTotalCost = 20 * DAYS
+    const report = await keeper({
+      names: ['keeper1', 'keeper2'],
+      threshold: 100 * DAYS,
+      duration: 10 * DAYS,
+      policy: { maxTotalCost },
+    }).run()
+
+    // Both names cost 10 days' rent, but not with the buffer on top.
+    expect(report.batches.map(({ names }) => names)).to.deep.equal([
+      ['keeper1'],
+    ])
+    expect(report.batches[0].value).to.equal((10 * DAYS * 10500) / 10000)
+    expect(
+      report.skipped.map(({ name, reason }) => [name, reason]),
+    ).to.deep.equal([['keeper2', 'over maxTotalCost']])
+  })
+
+  it('only plans renewals in a dry run', async () => {
+    const before = await expiries(['keeper1', 'keeper2', 'keeper3'])
+
+    const report = await keeper({ threshold: 100 * DAYS, dryRun: true }).run()
+
+    expect(report.batches).to.have.length(1)
+    expect(report.batches[0].names).to.deep.equal([
+      'keeper1',
+      'keeper2',
+      'keeper3',
+    ])
+    expect(report.batches[0].cost).to.equal(3 * 365 * DAYS)
+    expect(report.batches[0].value).to.equal((3 * 365 * DAYS * 10500) / 10000)
+    expect(report.batches[0].receipt).to.equal(undefined)
+    expect(await expiries(['keeper1', 'keeper2', 'keeper3'])).to.deep.equal(
+      before,
+    )
+    expect(events.map(({ type }) => type)).to.deep.equal(['due', 'planned'])
+  })
+
+  it('rejects names that are not normalised', () => {
+    expect(() => keeper({ names: ['Keeper1'] })).to.throw(
+      '"Keeper1" is not normalised; use "keeper1"',
+    )
+  })
+})
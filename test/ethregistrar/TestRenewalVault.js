@@ -0,0 +1,219 @@
+const { expect } = require('chai')
+
+const { ethers } = require('hardhat')
+const {
+  evm,
+  contracts: { deploy },
+} = require('../test-utils')
+
+const DAYS = 24 * 60 * 60
+const YEAR = 365 * DAYS
+const GRACE_PERIOD = 90 * DAYS
+const NULL_ADDRESS = '0x0000000000000000000000000000000000000000'
+const { id: labelhash } = ethers.utils
+
+describe('RenewalVault', function () {
+  let baseRegistrar
+  let controller
+  let vault
+  let signers
+  let owner
+  let keeper
+  let result
+
+  async function expiry(name) {
+    return (await baseRegistrar.nameExpires(labelhash(name))).toNumber()
+  }
+
+  async function advanceTo(time) {
+    const { timestamp } = await ethers.provider.getBlock('latest')
+    await evm.advanceTime(time - timestamp)
+    await evm.mine()
+  }
+
+  before(async () => {
+    signers = await ethers.getSigners()
+    owner = signers[1]
+    keeper = signers[2]
+
+    const ens = await deploy('ENSRegistry')
+    baseRegistrar = await deploy(
+      'BaseRegistrarImplementation',
+      ens.address,
+      ethers.utils.namehash('eth'),
+    )
+    await ens.setSubnodeOwner(
+      ethers.constants.HashZero,
+      labelhash('eth'),
+      baseRegistrar.address,
+    )
+    const dummyOracle = await deploy('DummyOracle', '100000000')
+    const priceOracle = await deploy(
+      'StablePriceOracle',
+      dummyOracle.address,
+      [0, 0, 4, 2, 1],
+    )
+    controller = await deploy(
+      'ETHRegistrarController',
+      baseRegistrar.address,
+      priceOracle.address,
+      600,
+      86400,
+      NULL_ADDRESS,
+      NULL_ADDRESS,
+    )
+    await baseRegistrar.addController(controller.address)
+    await baseRegistrar.addController(signers[0].address)
+    vault = await deploy(
+      'RenewalVault',
+      baseRegistrar.address,
+      controller.address,
+    )
+
+    // Expiring in 10, 20 and 60 days.
+    for (const [name, days] of [
+      ['vault1', 10],
+      ['abcd', 20],
+      ['vault2', 60],
+    ]) {
+      await baseRegistrar.register(labelhash(name), owner.address, days * DAYS)
+    }
+  })
+
+  beforeEach(async () => {
+    result = await ethers.provider.send('evm_snapshot')
+    vault = vault.connect(owner)
+  })
+  afterEach(async () => {
+    await ethers.provider.send('evm_revert', [result])
+  })
+
+  it('holds deposits and lets owners withdraw them', async () => {
+    await expect(vault.deposit({ value: 1000 }))
+      .to.emit(vault, 'Deposited')
+      .withArgs(owner.address, 1000)
+    expect(await vault.balances(owner.address)).to.equal(1000)
+
+    await expect(vault.withdraw(1001)).to.be.revertedWith(
+      'RenewalVault: Insufficient balance',
+    )
+    await expect(() => vault.withdraw(400)).to.changeEtherBalance(owner, 400, {
+      includeFee: false,
+    })
+    expect(await ethers.provider.getBalance(vault.address)).to.equal(600)
+    expect(await vault.balances(owner.address)).to.equal(600)
+    expect(await vault.balances(keeper.address)).to.equal(0)
+  })
+
+  it('keeps a list of subscribed names', async () => {
+    for (const name of ['vault1', 'abcd', 'vault2']) {
+      await vault.subscribe(name, YEAR, 30 * DAYS, YEAR)
+    }
+    await expect(vault.subscribe('vault1', 2 * YEAR, 60 * DAYS, 2 * YEAR))
+      .to.emit(vault, 'NameSubscribed')
+      .withArgs(
+        owner.address,
+        labelhash('vault1'),
+        'vault1',
+        2 * YEAR,
+        60 * DAYS,
+        2 * YEAR,
+      )
+    await expect(vault.unsubscribe('abcd'))
+      .to.emit(vault, 'NameUnsubscribed')
+      .withArgs(owner.address, labelhash('abcd'))
+
+    expect(await vault.subscribedNames(owner.address)).to.deep.equal([
+      'vault1',
+      'vault2',
+    ])
+    const subscription = await vault.subscriptions(
+      owner.address,
+      labelhash('vault1'),
+    )
+    expect(subscription.duration).to.equal(2 * YEAR)
+    expect(subscription.window).to.equal(60 * DAYS)
+
+    await vault.unsubscribe('vault1')
+    await vault.unsubscribe('vault2')
+    expect(await vault.subscribedNames(owner.address)).to.deep.equal([])
+    await expect(vault.unsubscribe('vault1')).to.be.revertedWith(
+      'RenewalVault: Name not subscribed',
+    )
+    await expect(
+      vault.subscribe('vault1', 30 * DAYS, 30 * DAYS, YEAR),
+    ).to.be.revertedWith(
+      'RenewalVault: Duration must be longer than the window',
+    )
+  })
+
+  it('renews names within their window and tips the keeper', async () => {
+    await vault.deposit({ value: 2 * YEAR + 2000 })
+    await vault.setKeeperTip(1000)
+    await vault.subscribe('vault1', YEAR, 30 * DAYS, YEAR)
+    await vault.subscribe('vault2', YEAR, 30 * DAYS, YEAR)
+    const expires1 = await expiry('vault1')
+    const expires2 = await expiry('vault2')
+
+    expect(await vault.dueNames(owner.address)).to.deep.equal(['vault1'])
+    const tx = vault.connect(keeper).renewDue(owner.address)
+    await expect(tx)
+      .to.emit(vault, 'NameRenewed')
+      .withArgs(
+        owner.address,
+        labelhash('vault1'),
+        'vault1',
+        YEAR,
+        expires1 + YEAR,
+      )
+    await expect(tx)
+      .to.emit(vault, 'KeeperTipped')
+      .withArgs(keeper.address, owner.address, 1000)
+    expect(await vault.balances(owner.address)).to.equal(YEAR + 1000)
+    await expect(
+      vault.connect(keeper).renewDue(owner.address),
+    ).to.be.revertedWith('RenewalVault: No names due')
+
+    // vault2 is in its window, and still renewable in its grace period.
+    await advanceTo(expires2 + 10 * DAYS)
+    expect(await vault.dueNames(owner.address)).to.deep.equal(['vault2'])
+    await expect(() =>
+      vault.connect(keeper).renewDue(owner.address),
+    ).to.changeEtherBalance(keeper, 1000, { includeFee: false })
+    expect(await expiry('vault2')).to.equal(expires2 + YEAR)
+    expect(await vault.balances(owner.address)).to.equal(0)
+  })
+
+  it('skips names over their cap, past their grace period or beyond the balance', async () => {
+    await vault.deposit({ value: YEAR })
+    // Four-letter names cost twice as much.
+    await vault.subscribe('abcd', YEAR, 30 * DAYS, YEAR)
+    await vault.subscribe('vault1', YEAR, 30 * DAYS, YEAR)
+    await vault.subscribe('vault2', YEAR, 90 * DAYS, YEAR)
+    const expires1 = await expiry('vault1')
+
+    expect(await vault.dueNames(owner.address)).to.deep.equal([
+      'vault1',
+      'vault2',
+    ])
+    await vault.connect(keeper).renewDue(owner.address)
+    expect(await expiry('vault1')).to.equal(expires1 + YEAR)
+    // Only vault1 fit in the balance.
+    expect(await vault.balances(owner.address)).to.equal(0)
+    expect(await expiry('vault2')).to.be.lessThan(
+      (await ethers.provider.getBlock('latest')).timestamp + 90 * DAYS,
+    )
+
+    await vault.deposit({ value: YEAR })
+    await advanceTo((await expiry('vault2')) + GRACE_PERIOD + 1)
+    expect(await vault.dueNames(owner.address)).to.deep.equal([])
+    await expect(
+      vault.connect(keeper).renewDue(owner.address),
+    ).to.be.revertedWith('RenewalVault: No names due')
+  })
+
+  it('supports its interfaces', async () => {
+    expect(await vault.supportsInterface('0x01ffc9a7')).to.equal(true)
+    expect(await vault.supportsInterface('0x00000000')).to.equal(false)
+  })
+})
@@ -0,0 +1,452 @@
+const { expect } = require('chai')
+
+const { deployments, ethers } = require('hardhat')
+const {
+  evm,
+  contracts: { deploy },
+} = require('../test-utils')
+const {
+  ReverseRecord,
+  makeBulkCommitment,
+  makePlaceholder,
+} = require('../../lib/ethregistrar/commitments')
+const { buildAllowlist } = require('../../lib/ethregistrar/allowlist')
+const { CommitmentState } = require('../../lib/ethregistrar/commitmentStatus')
+const {
+  decodeRevert,
+  simulateRegistrations,
+} = require('../../lib/ethregistrar/simulation')
+const { signVoucher } = require('../../lib/ethregistrar/vouchers')
+
+const DAYS = 24 * 60 * 60
+const REGISTRATION_TIME = 28 * DAYS
+const NULL_ADDRESS = '0x0000000000000000000000000000000000000000'
+const SECRET = '0x0123456789abcdef01234567'
+
+describe('Bulk registration simulation', function () {
+  let controller
+  let baseRegistrar
+  let resolver
+  let untrustedResolver
+  let signers
+  let owner
+  let result
+
+  function registration(name, overrides = {}) {
+    return {
+      name,
+      owner,
+      duration: REGISTRATION_TIME,
+      resolver: NULL_ADDRESS,
+      secret: SECRET,
+      data: [],
+      reverseRecord: ReverseRecord.None,
+      fuses: 0,
+      wrapperExpiry: 0,
+      ...overrides,
+    }
+  }
+
+  function setAddr(target, name) {
+    return target.interface.encodeFunctionData('setAddr(bytes32,address)', [
+      ethers.utils.namehash(`${name}.eth`),
+      owner,
+    ])
+  }
+
+  function summarise(report) {
+    return report.entries.map(({ name, status, failures }) => ({
+      name,
+      status,
+      failures,
+    }))
+  }
+
+  before(async () => {
+    await deployments.fixture(['BulkRegistrarController'])
+    controller = await ethers.getContract('BulkRegistrarController')
+    baseRegistrar = await ethers.getContract('BaseRegistrarImplementation')
+    signers = await ethers.getSigners()
+    owner = signers[1].address
+
+    const ens = await ethers.getContract('ENSRegistry')
+    const nameWrapper = await ethers.getContract('NameWrapper')
+    const reverseRegistrar = await ethers.getContract('ReverseRegistrar')
+    resolver = await deploy(
+      'PublicResolver',
+      ens.address,
+      nameWrapper.address,
+      controller.address,
+      reverseRegistrar.address,
+    )
+    untrustedResolver = await deploy(
+      'PublicResolver',
+      ens.address,
+      nameWrapper.address,
+      NULL_ADDRESS,
+      reverseRegistrar.address,
+    )
+
+    // Registered directly through the registrar by its owner controller.
+    await baseRegistrar
+      .connect(signers[1])
+      .register(ethers.utils.id('taken'), owner, REGISTRATION_TIME)
+  })
+
+  beforeEach(async () => {
+    result = await ethers.provider.send('evm_snapshot')
+  })
+  afterEach(async () => {
+    await ethers.provider.send('evm_revert', [result])
+  })
+
+  it('should price a batch that would register', async () => {
+    const batch = [
+      registration('simulated1'),
+      registration('simulated2', {
+        resolver: resolver.address,
+        data: [setAddr(resolver, 'simulated2')],
+        reverseRecord: ReverseRecord.Caller,
+      }),
+    ]
+
+    const report = await simulateRegistrations(controller, batch)
+
+    expect(report.ok).to.equal(true)
+    expect(summarise(report)).to.deep.equal([
+      { name: 'simulated1', status: 'registered', failures: [] },
+      { name: 'simulated2', status: 'registered', failures: [] },
+    ])
+    expect(report.entries[0].price.base).to.equal(REGISTRATION_TIME)
+    expect(report.entries[0].price.premium).to.equal(0)
+    expect(report.entries[1].cost).to.equal(REGISTRATION_TIME)
+    expect(report.totalCost).to.equal(2 * REGISTRATION_TIME)
+    expect(report.value).to.equal(2 * REGISTRATION_TIME)
+    expect(report.refund).to.equal(0)
+    expect(report.commitment).to.equal(makeBulkCommitment(batch))
+    expect(report.commitmentState).to.equal(CommitmentState.None)
+    expect(report.revertReason).to.equal(undefined)
+  })
+
+  it('should report why each entry would fail', async () => {
+    const batch = [
+      registration('taken'),
+      registration('ab'),
+      registration('tooshort', { duration: REGISTRATION_TIME - 1 }),
+      registration('norecordresolver', {
+        data: [setAddr(resolver, 'norecordresolver')],
+      }),
+      registration('wrongnode', {
+        resolver: resolver.address,
+        data: [setAddr(resolver, 'othername')],
+      }),
+      registration('eoaresolver', {
+        resolver: signers[2].address,
+        data: [setAddr(resolver, 'eoaresolver')],
+      }),
+      registration('untrusted', {
+        resolver: untrustedResolver.address,
+        data: [setAddr(untrustedResolver, 'untrusted')],
+      }),
+      // Burning CANNOT_BURN_FUSES without CANNOT_UNWRAP is prohibited.
+      registration('badfuses', { fuses: 2 }),
+      registration('noreverse', { reverseRecord: ReverseRecord.Caller }),
+      registration('ownerreverse', {
+        resolver: resolver.address,
+        reverseRecord: ReverseRecord.Owner,
+      }),
+      makePlaceholder(registration('hidden')),
+      registration('finename'),
+      registration('finename'),
+    ]
+
+    const report = await simulateRegistrations(controller, batch)
+
+    expect(report.ok).to.equal(false)
+    expect(summarise(report)).to.deep.equal([
+      { name: 'taken', status: 'failed', failures: ['Name is unavailable'] },
+      { name: 'ab', status: 'failed', failures: ['Name is unavailable'] },
+      {
+        name: 'tooshort',
+        status: 'failed',
+        failures: ['Duration is below the minimum of 2419200 seconds'],
+      },
+      {
+        name: 'norecordresolver',
+        status: 'failed',
+        failures: ['Resolver required when data supplied'],
+      },
+      {
+        name: 'wrongnode',
+        status: 'failed',
+        failures: [
+          'Namehash on record 0 does not match the name being registered',
+        ],
+      },
+      {
+        name: 'eoaresolver',
+        status: 'failed',
+        failures: ['Resolver is not a contract'],
+      },
+      {
+        name: 'untrusted',
+        status: 'failed',
+        failures: ['Record 0 reverts: reverted without a reason'],
+      },
+      {
+        name: 'badfuses',
+        status: 'failed',
+        failures: [
+          `Registration reverts: OperationProhibited(${ethers.utils.namehash(
+            'badfuses.eth',
+          )})`,
+        ],
+      },
+      {
+        name: 'noreverse',
+        status: 'failed',
+        failures: ['Reverse record reverts: reverted without a reason'],
+      },
+      {
+        name: 'ownerreverse',
+        status: 'failed',
+        failures: ["Not authorised to set the owner's reverse record"],
+      },
+      { name: '', status: 'placeholder', failures: [] },
+      { name: 'finename', status: 'registered', failures: [] },
+      {
+        name: 'finename',
+        status: 'failed',
+        failures: ['Name appears earlier in the batch'],
+      },
+    ])
+    expect(report.totalCost).to.equal(REGISTRATION_TIME)
+  })
+
+  it('should apply the value and cost limits in batch order', async () => {
+    const batch = [
+      registration('first'),
+      registration('second'),
+      registration('third'),
+      registration('taken'),
+    ]
+
+    const report = await simulateRegistrations(controller, batch, {
+      value: 2 * REGISTRATION_TIME + 100,
+      registrationOptions: {
+        skipFailures: true,
+        maxPrices: [0, REGISTRATION_TIME - 1, 0, 0],
+      },
+    })
+
+    expect(report.ok).to.equal(true)
+    expect(summarise(report)).to.deep.equal([
+      { name: 'first', status: 'registered', failures: [] },
+      {
+        name: 'second',
+        status: 'skipped',
+        failures: ['Price exceeds maximum'],
+      },
+      { name: 'third', status: 'registered', failures: [] },
+      { name: 'taken', status: 'skipped', failures: ['Name is unavailable'] },
+    ])
+    expect(report.totalCost).to.equal(2 * REGISTRATION_TIME)
+    expect(report.refund).to.equal(100)
+
+    const limited = await simulateRegistrations(controller, batch.slice(0, 3), {
+      value: 3 * REGISTRATION_TIME,
+      registrationOptions: { maxTotalCost: 2 * REGISTRATION_TIME },
+    })
+    expect(limited.ok).to.equal(false)
+    expect(limited.entries.map(({ status }) => status)).to.deep.equal([
+      'registered',
+      'registered',
+      'failed',
+    ])
+    expect(limited.entries[2].failures).to.deep.equal([
+      'Total cost exceeds maximum',
+    ])
+  })
+
+  it('should skip invalid names as the controller does', async () => {
+    const batch = [registration('ab'), registration('valid')]
+
+    const report = await simulateRegistrations(controller, batch, {
+      registrationOptions: { skipFailures: true },
+    })
+
+    expect(report.ok).to.equal(true)
+    expect(summarise(report)).to.deep.equal([
+      { name: 'ab', status: 'skipped', failures: ['Name is unavailable'] },
+      { name: 'valid', status: 'registered', failures: [] },
+    ])
+    expect(report.totalCost).to.equal(REGISTRATION_TIME)
+  })
+
+  it('should report the first failure in the order the controller checks', async () => {
+    const batch = [
+      registration('ab', {
+        duration: REGISTRATION_TIME - 1,
+        reverseRecord: ReverseRecord.Owner,
+        owner: signers[2].address,
+      }),
+      registration('tooshort', { duration: REGISTRATION_TIME - 1 }),
+    ]
+
+    const report = await simulateRegistrations(controller, batch, {
+      registrationOptions: { skipFailures: true },
+    })
+
+    expect(report.ok).to.equal(false)
+    expect(summarise(report)).to.deep.equal([
+      {
+        name: 'ab',
+        status: 'skipped',
+        failures: ["Not authorised to set the owner's reverse record"],
+      },
+      {
+        name: 'tooshort',
+        status: 'failed',
+        failures: ['Duration is below the minimum of 2419200 seconds'],
+      },
+    ])
+  })
+
+  it('should report batch-wide problems', async () => {
+    const token = await deploy('DummyERC20', 18, 1000)
+    const report = await simulateRegistrations(
+      controller,
+      [registration('tokenpaid')],
+      {
+        value: 1,
+        registrationOptions: {
+          paymentToken: token.address,
+          maxPrices: [0, 0],
+        },
+      },
+    )
+
+    expect(report.ok).to.equal(false)
+    expect(report.failures).to.deep.equal([
+      'Ether sent with token payment',
+      'Registrations and max prices length mismatch',
+      'Payment token not accepted',
+    ])
+    expect(report.value).to.equal(0)
+  })
+
+  it('should replay the reveal of a revealable batch', async () => {
+    const batch = [registration('revealed1'), registration('revealed2')]
+    await controller.commit(makeBulkCommitment(batch))
+    await evm.advanceTime((await controller.minCommitmentAge()).toNumber())
+    await evm.mine()
+
+    const report = await simulateRegistrations(controller, batch, {
+      value: REGISTRATION_TIME,
+    })
+    expect(report.commitmentState).to.equal(CommitmentState.Revealable)
+    expect(report.revertReason).to.equal(
+      'BulkRegistrarController: Not enough ether provided',
+    )
+    expect(report.entries[1].failures).to.deep.equal([
+      'Not enough ether provided',
+    ])
+    expect(report.ok).to.equal(false)
+
+    const funded = await simulateRegistrations(controller, batch)
+    expect(funded.revertReason).to.equal(undefined)
+    expect(funded.ok).to.equal(true)
+
+    const balance = await ethers.provider.getBalance(signers[0].address)
+    const tx = await controller.register(batch, { value: funded.value })
+    const receipt = await tx.wait()
+    expect(
+      balance.sub(await ethers.provider.getBalance(signers[0].address)),
+    ).to.equal(
+      funded.totalCost.add(receipt.gasUsed.mul(receipt.effectiveGasPrice)),
+    )
+  })
+
+  it('should check entries against an open allowlist', async () => {
+    const allowlist = buildAllowlist([
+      { name: 'listed', owner },
+      { name: 'other', owner },
+    ])
+    const { timestamp } = await ethers.provider.getBlock('latest')
+    await controller.setAllowlist(allowlist.root, timestamp, timestamp + DAYS)
+    const batch = [registration('listed'), registration('unlisted')]
+    const proofs = [allowlist.entries[0].proof, []]
+
+    const unproven = await simulateRegistrations(controller, batch)
+    expect(unproven.ok).to.equal(false)
+    expect(summarise(unproven)).to.deep.equal([
+      { name: 'listed', status: 'failed', failures: ['Not on allowlist'] },
+      { name: 'unlisted', status: 'failed', failures: ['Not on allowlist'] },
+    ])
+
+    await controller.commit(makeBulkCommitment(batch))
+    await evm.advanceTime((await controller.minCommitmentAge()).toNumber())
+    await evm.mine()
+    const report = await simulateRegistrations(controller, batch, {
+      proofs,
+      registrationOptions: { skipFailures: true },
+    })
+    expect(summarise(report)).to.deep.equal([
+      { name: 'listed', status: 'registered', failures: [] },
+      { name: 'unlisted', status: 'skipped', failures: ['Not on allowlist'] },
+    ])
+    expect(report.revertReason).to.equal(undefined)
+    expect(report.ok).to.equal(true)
+
+    const mismatched = await simulateRegistrations(controller, batch, {
+      proofs: [proofs[0]],
+    })
+    expect(mismatched.failures).to.deep.equal([
+      'Registrations and proofs length mismatch',
+    ])
+    expect(mismatched.revertReason).to.equal(
+      'BulkRegistrarController: Registrations and proofs length mismatch',
+    )
+  })
+
+  it('should apply a voucher discount', async () => {
+    await controller.setReferralTerms(signers[2].address, 0)
+    const batch = [registration('discounted')]
+    await controller.commit(makeBulkCommitment(batch))
+    await evm.advanceTime((await controller.minCommitmentAge()).toNumber())
+    await evm.mine()
+    const voucher = await signVoucher(signers[2], controller.address, {
+      registrant: signers[0].address,
+      discountBps: 5000,
+      deadline: (await ethers.provider.getBlock('latest')).timestamp + DAYS,
+    })
+
+    const report = await simulateRegistrations(controller, batch, {
+      registrationOptions: { voucher },
+    })
+
+    expect(report.entries[0].price.base).to.equal(REGISTRATION_TIME / 2)
+    expect(report.totalCost).to.equal(REGISTRATION_TIME / 2)
+    expect(report.revertReason).to.equal(undefined)
+    expect(report.ok).to.equal(true)
+  })
+
+  it('should decode revert data', () => {
+    expect(decodeRevert('0x')).to.equal('reverted without a reason')
+    expect(
+      decodeRevert(
+        new ethers.utils.Interface([
+          'function Error(string)',
+        ]).encodeFunctionData('Error', ['Out of stock']),
+      ),
+    ).to.equal('Out of stock')
+    expect(
+      decodeRevert(
+        new ethers.utils.Interface([
+          'function Panic(uint256)',
+        ]).encodeFunctionData('Panic', [0x11]),
+      ),
+    ).to.equal('panic code 0x11')
+    expect(decodeRevert('0x12345678')).to.equal('reverted with data 0x12345678')
+  })
+})
@@ -17,7 +17,18 @@ async function expectFailure(call) {
     assert.fail("should fail")
 }
 
+async function expectRejection(call, message) {
+    try {
+        await call;
+    } catch (error) {
+        return assert.include(error.message, message);
+    }
+
+    assert.fail("should fail")
+}
+
 module.exports = {
     ensureException: ensureException,
-    expectFailure: expectFailure
+    expectFailure: expectFailure,
+    expectRejection: expectRejection
 }
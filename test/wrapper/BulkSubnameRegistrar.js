@@ -0,0 +1,300 @@
+const { ethers } = require('hardhat')
+const { utils } = ethers
+const { use, expect } = require('chai')
+const { solidity } = require('ethereum-waffle')
+const n = require('eth-ens-namehash')
+const namehash = n.hash
+const { shouldSupportInterfaces } = require('./SupportsInterface.behaviour')
+const { deploy } = require('../test-utils/contracts')
+
+use(solidity)
+
+const labelhash = (label) => utils.keccak256(utils.toUtf8Bytes(label))
+const ROOT_NODE =
+  '0x0000000000000000000000000000000000000000000000000000000000000000'
+const EMPTY_ADDRESS = '0x0000000000000000000000000000000000000000'
+
+const CANNOT_UNWRAP = 1
+const CANNOT_TRANSFER = 4
+const PARENT_CANNOT_CONTROL = 64
+const CAN_DO_EVERYTHING = 0
+const MAX_EXPIRY = 2n ** 64n - 1n
+
+describe('BulkSubnameRegistrar', () => {
+  let EnsRegistry
+  let BaseRegistrar
+  let NameWrapper
+  let PublicResolver
+  let BulkSubnameRegistrar
+  let signers
+  let account
+  let account2
+  let parentExpiry
+  let result
+
+  const parentNode = namehash('parent.eth')
+
+  function subname(label, overrides = {}) {
+    return {
+      label,
+      owner: account2,
+      resolver: EMPTY_ADDRESS,
+      fuses: CAN_DO_EVERYTHING,
+      expiry: 0,
+      data: [],
+      ...overrides,
+    }
+  }
+
+  function setText(label, key, value) {
+    return PublicResolver.interface.encodeFunctionData('setText', [
+      namehash(`${label}.parent.eth`),
+      key,
+      value,
+    ])
+  }
+
+  function setAddr(label, addr) {
+    return PublicResolver.interface.encodeFunctionData(
+      'setAddr(bytes32,address)',
+      [namehash(`${label}.parent.eth`), addr],
+    )
+  }
+
+  before(async () => {
+    signers = await ethers.getSigners()
+    account = await signers[0].getAddress()
+    account2 = await signers[1].getAddress()
+
+    EnsRegistry = await deploy('ENSRegistry')
+    BaseRegistrar = await deploy(
+      'BaseRegistrarImplementation',
+      EnsRegistry.address,
+      namehash('eth'),
+    )
+    await BaseRegistrar.addController(account)
+    const MetaDataservice = await deploy(
+      'StaticMetadataService',
+      'https://ens.domains',
+    )
+    NameWrapper = await deploy(
+      'NameWrapper',
+      EnsRegistry.address,
+      BaseRegistrar.address,
+      MetaDataservice.address,
+    )
+    PublicResolver = await deploy(
+      'PublicResolver',
+      EnsRegistry.address,
+      NameWrapper.address,
+      EMPTY_ADDRESS,
+      EMPTY_ADDRESS,
+    )
+    BulkSubnameRegistrar = await deploy(
+      'BulkSubnameRegistrar',
+      NameWrapper.address,
+    )
+
+    await EnsRegistry.setSubnodeOwner(
+      ROOT_NODE,
+      labelhash('eth'),
+      BaseRegistrar.address,
+    )
+
+    await BaseRegistrar.register(labelhash('parent'), account, 86400)
+    await BaseRegistrar.setApprovalForAll(NameWrapper.address, true)
+    await NameWrapper.wrapETH2LD(
+      'parent',
+      account,
+      CAN_DO_EVERYTHING,
+      MAX_EXPIRY,
+      EMPTY_ADDRESS,
+    )
+    ;[, , parentExpiry] = await NameWrapper.getData(parentNode)
+  })
+
+  beforeEach(async () => {
+    result = await ethers.provider.send('evm_snapshot')
+  })
+  afterEach(async () => {
+    await ethers.provider.send('evm_revert', [result])
+  })
+
+  shouldSupportInterfaces(
+    () => BulkSubnameRegistrar,
+    ['IBulkSubnameRegistrar', 'ERC1155Receiver'],
+  )
+
+  describe('issue()', () => {
+    beforeEach(async () => {
+      await NameWrapper.setApprovalForAll(BulkSubnameRegistrar.address, true)
+    })
+
+    it('Issues every subname in one transaction', async () => {
+      const tx = await BulkSubnameRegistrar.issue(parentNode, [
+        subname('one'),
+        subname('two', { owner: account, resolver: PublicResolver.address }),
+        subname('three', { expiry: 1000 }),
+      ])
+      const receipt = await tx.wait()
+
+      expect(await NameWrapper.ownerOf(namehash('one.parent.eth'))).to.equal(
+        account2,
+      )
+      expect(await NameWrapper.ownerOf(namehash('two.parent.eth'))).to.equal(
+        account,
+      )
+      expect(await EnsRegistry.resolver(namehash('two.parent.eth'))).to.equal(
+        PublicResolver.address,
+      )
+      expect(await EnsRegistry.owner(namehash('three.parent.eth'))).to.equal(
+        NameWrapper.address,
+      )
+      const [, , expiry] = await NameWrapper.getData(
+        namehash('three.parent.eth'),
+      )
+      expect(expiry).to.equal(1000)
+      const wrapped = receipt.logs.filter(
+        (log) =>
+          log.topics[0] === NameWrapper.interface.getEventTopic('NameWrapped'),
+      )
+      expect(wrapped.length).to.equal(3)
+    })
+
+    it('Burns fuses and caps expiries at the parent expiry', async () => {
+      await NameWrapper.setFuses(parentNode, CANNOT_UNWRAP)
+      await BulkSubnameRegistrar.issue(parentNode, [
+        subname('locked', {
+          fuses: PARENT_CANNOT_CONTROL | CANNOT_UNWRAP,
+          expiry: MAX_EXPIRY,
+        }),
+      ])
+
+      const [owner, fuses, expiry] = await NameWrapper.getData(
+        namehash('locked.parent.eth'),
+      )
+      expect(owner).to.equal(account2)
+      expect(fuses).to.equal(PARENT_CANNOT_CONTROL | CANNOT_UNWRAP)
+      expect(expiry).to.equal(parentExpiry)
+    })
+
+    it('Sets records through the resolver before handing the subname over', async () => {
+      await BulkSubnameRegistrar.issue(parentNode, [
+        subname('records', {
+          resolver: PublicResolver.address,
+          fuses: PARENT_CANNOT_CONTROL | CANNOT_UNWRAP | CANNOT_TRANSFER,
+          expiry: MAX_EXPIRY,
+          data: [
+            setAddr('records', account2),
+            setText('records', 'url', 'https://ens.domains'),
+          ],
+        }),
+        subname('plain'),
+      ])
+
+      const node = namehash('records.parent.eth')
+      expect(await PublicResolver['addr(bytes32)'](node)).to.equal(account2)
+      expect(await PublicResolver.text(node, 'url')).to.equal(
+        'https://ens.domains',
+      )
+      const [owner, fuses] = await NameWrapper.getData(node)
+      expect(owner).to.equal(account2)
+      expect(fuses).to.equal(
+        PARENT_CANNOT_CONTROL | CANNOT_UNWRAP | CANNOT_TRANSFER,
+      )
+      expect(
+        await NameWrapper.balanceOf(BulkSubnameRegistrar.address, node),
+      ).to.equal(0)
+      expect(await NameWrapper.ownerOf(namehash('plain.parent.eth'))).to.equal(
+        account2,
+      )
+    })
+
+    it('Replaces subnames the parent still controls', async () => {
+      await BulkSubnameRegistrar.issue(parentNode, [subname('moving')])
+      await BulkSubnameRegistrar.issue(parentNode, [
+        subname('moving', { owner: account }),
+      ])
+
+      expect(await NameWrapper.ownerOf(namehash('moving.parent.eth'))).to.equal(
+        account,
+      )
+    })
+
+    it('Lets accounts approved by the parent owner issue subnames', async () => {
+      await NameWrapper.setApprovalForAll(account2, true)
+
+      await BulkSubnameRegistrar.connect(signers[1]).issue(parentNode, [
+        subname('approved'),
+      ])
+
+      expect(
+        await NameWrapper.ownerOf(namehash('approved.parent.eth')),
+      ).to.equal(account2)
+    })
+
+    it('Does not allow other accounts to issue subnames', async () => {
+      await expect(
+        BulkSubnameRegistrar.connect(signers[1]).issue(parentNode, [
+          subname('stolen'),
+        ]),
+      ).to.be.revertedWith('BulkSubnameRegistrar: Unauthorised')
+    })
+
+    it('Needs the parent owner to approve it on the NameWrapper', async () => {
+      await NameWrapper.setApprovalForAll(BulkSubnameRegistrar.address, false)
+
+      await expect(
+        BulkSubnameRegistrar.issue(parentNode, [subname('unapproved')]),
+      ).to.be.reverted
+    })
+
+    it('Reverts if records are for another name', async () => {
+      await expect(
+        BulkSubnameRegistrar.issue(parentNode, [
+          subname('mismatch', {
+            resolver: PublicResolver.address,
+            data: [setAddr('other', account2)],
+          }),
+        ]),
+      ).to.be.revertedWith(
+        'BulkSubnameRegistrar: Namehash on record do not match the name being issued',
+      )
+    })
+
+    it('Reverts if records are supplied without a resolver', async () => {
+      await expect(
+        BulkSubnameRegistrar.issue(parentNode, [
+          subname('noresolver', { data: [setAddr('noresolver', account2)] }),
+        ]),
+      ).to.be.revertedWith(
+        'BulkSubnameRegistrar: resolver required when data supplied',
+      )
+    })
+
+    it('Issues a large batch', async () => {
+      const subnames = []
+      for (let i = 0; i < 50; i++) {
+        subnames.push(subname(`bulk${i}`))
+      }
+
+      await BulkSubnameRegistrar.issue(parentNode, subnames)
+
+      expect(await NameWrapper.ownerOf(namehash('bulk49.parent.eth'))).to.equal(
+        account2,
+      )
+    })
+  })
+
+  it('Does not accept other wrapped names', async () => {
+    await expect(
+      NameWrapper.safeTransferFrom(
+        account,
+        BulkSubnameRegistrar.address,
+        parentNode,
+        1,
+        '0x',
+      ),
+    ).to.be.revertedWith('BulkSubnameRegistrar: Unexpected token')
+  })
+})
@@ -0,0 +1,433 @@
+const { ethers } = require('hardhat')
+const { utils } = ethers
+const { use, expect } = require('chai')
+const { solidity } = require('ethereum-waffle')
+const n = require('eth-ens-namehash')
+const namehash = n.hash
+const { shouldSupportInterfaces } = require('./SupportsInterface.behaviour')
+const { deploy } = require('../test-utils/contracts')
+const { evm } = require('../test-utils')
+
+use(solidity)
+
+const labelhash = (label) => utils.keccak256(utils.toUtf8Bytes(label))
+const ROOT_NODE =
+  '0x0000000000000000000000000000000000000000000000000000000000000000'
+const EMPTY_ADDRESS = '0x0000000000000000000000000000000000000000'
+const SECRET =
+  '0x0123456789ABCDEF0123456789ABCDEF0123456789ABCDEF0123456789ABCDEF'
+
+const CANNOT_UNWRAP = 1
+const CANNOT_TRANSFER = 4
+const PARENT_CANNOT_CONTROL = 64
+const CAN_DO_EVERYTHING = 0
+const MAX_EXPIRY = 2n ** 64n - 1n
+
+const DAY = 24 * 60 * 60
+const MIN_COMMITMENT_AGE = 60
+const MAX_COMMITMENT_AGE = 86400
+
+describe('SubnameRegistrar', () => {
+  let EnsRegistry
+  let BaseRegistrar
+  let NameWrapper
+  let PublicResolver
+  let SubnameRegistrar
+  let SubnameRegistrar2
+  let signers
+  let account
+  let account2
+  let parentExpiry
+  let result
+
+  const parentNode = namehash('parent.eth')
+
+  async function commit(label, owner, duration, resolver = EMPTY_ADDRESS) {
+    const commitment = await SubnameRegistrar.makeCommitment(
+      parentNode,
+      label,
+      owner,
+      duration,
+      resolver,
+      SECRET,
+    )
+    await SubnameRegistrar2.commit(commitment)
+    await evm.advanceTime(MIN_COMMITMENT_AGE)
+  }
+
+  async function buy(label, duration, value, resolver = EMPTY_ADDRESS) {
+    await commit(label, account2, duration, resolver)
+    return SubnameRegistrar2.register(
+      parentNode,
+      label,
+      account2,
+      duration,
+      resolver,
+      SECRET,
+      { value },
+    )
+  }
+
+  before(async () => {
+    signers = await ethers.getSigners()
+    account = await signers[0].getAddress()
+    account2 = await signers[1].getAddress()
+
+    EnsRegistry = await deploy('ENSRegistry')
+    BaseRegistrar = await deploy(
+      'BaseRegistrarImplementation',
+      EnsRegistry.address,
+      namehash('eth'),
+    )
+    await BaseRegistrar.addController(account)
+    const MetaDataservice = await deploy(
+      'StaticMetadataService',
+      'https://ens.domains',
+    )
+    NameWrapper = await deploy(
+      'NameWrapper',
+      EnsRegistry.address,
+      BaseRegistrar.address,
+      MetaDataservice.address,
+    )
+    PublicResolver = await deploy(
+      'PublicResolver',
+      EnsRegistry.address,
+      NameWrapper.address,
+      EMPTY_ADDRESS,
+      EMPTY_ADDRESS,
+    )
+    SubnameRegistrar = await deploy(
+      'SubnameRegistrar',
+      NameWrapper.address,
+      MIN_COMMITMENT_AGE,
+      MAX_COMMITMENT_AGE,
+    )
+    SubnameRegistrar2 = SubnameRegistrar.connect(signers[1])
+
+    await EnsRegistry.setSubnodeOwner(
+      ROOT_NODE,
+      labelhash('eth'),
+      BaseRegistrar.address,
+    )
+
+    await BaseRegistrar.register(labelhash('parent'), account, 365 * DAY)
+    await BaseRegistrar.setApprovalForAll(NameWrapper.address, true)
+    await NameWrapper.wrapETH2LD(
+      'parent',
+      account,
+      CAN_DO_EVERYTHING,
+      MAX_EXPIRY,
+      EMPTY_ADDRESS,
+    )
+    ;[, , parentExpiry] = await NameWrapper.getData(parentNode)
+    await NameWrapper.setApprovalForAll(SubnameRegistrar.address, true)
+  })
+
+  beforeEach(async () => {
+    result = await ethers.provider.send('evm_snapshot')
+  })
+  afterEach(async () => {
+    await ethers.provider.send('evm_revert', [result])
+  })
+
+  shouldSupportInterfaces(() => SubnameRegistrar, ['ISubnameRegistrar'])
+
+  describe('setListing()', () => {
+    it('Lists a name with length-based prices', async () => {
+      await expect(
+        SubnameRegistrar.setListing(parentNode, EMPTY_ADDRESS, [5, 3, 1], 0),
+      )
+        .to.emit(SubnameRegistrar, 'ListingChanged')
+        .withArgs(parentNode, account, EMPTY_ADDRESS, [5, 3, 1], 0)
+
+      const listing = await SubnameRegistrar.listing(parentNode)
+      expect(listing.owner).to.equal(account)
+      expect(listing.rentPrices.map(Number)).to.deep.equal([5, 3, 1])
+
+      expect(
+        (await SubnameRegistrar.rentPrice(parentNode, 'a', 100)).base,
+      ).to.equal(500)
+      expect(
+        (await SubnameRegistrar.rentPrice(parentNode, 'ab', 100)).base,
+      ).to.equal(300)
+      expect(
+        (await SubnameRegistrar.rentPrice(parentNode, 'abcdef', 100)).base,
+      ).to.equal(100)
+    })
+
+    it('Charges a flat price with a single rent price', async () => {
+      await SubnameRegistrar.setListing(parentNode, EMPTY_ADDRESS, [2], 0)
+
+      expect(
+        (await SubnameRegistrar.rentPrice(parentNode, 'a', 100)).base,
+      ).to.equal(200)
+      expect(
+        (await SubnameRegistrar.rentPrice(parentNode, 'abcdef', 100)).base,
+      ).to.equal(200)
+    })
+
+    it('Does not price empty labels', async () => {
+      await SubnameRegistrar.setListing(parentNode, EMPTY_ADDRESS, [2], 0)
+
+      await expect(
+        SubnameRegistrar.rentPrice(parentNode, '', 100),
+      ).to.be.revertedWith('SubnameRegistrar: Empty label')
+    })
+
+    it('Prices subnames with an oracle', async () => {
+      const dummyOracle = await deploy('DummyOracle', '100000000')
+      const priceOracle = await deploy(
+        'StablePriceOracle',
+        dummyOracle.address,
+        [0, 0, 4, 2, 1],
+      )
+      await SubnameRegistrar.setListing(parentNode, priceOracle.address, [], 0)
+
+      const expected = await priceOracle.price('abc', 0, DAY)
+      const price = await SubnameRegistrar.rentPrice(parentNode, 'abc', DAY)
+      expect(price.base).to.equal(expected.base)
+      expect(price.premium).to.equal(expected.premium)
+    })
+
+    it('Requires pricing', async () => {
+      await expect(
+        SubnameRegistrar.setListing(parentNode, EMPTY_ADDRESS, [], 0),
+      ).to.be.revertedWith('SubnameRegistrar: No pricing supplied')
+    })
+
+    it('Does not allow other accounts to list a name', async () => {
+      await expect(
+        SubnameRegistrar2.setListing(parentNode, EMPTY_ADDRESS, [1], 0),
+      ).to.be.revertedWith('SubnameRegistrar: Unauthorised')
+    })
+
+    it('Requires the parent to burn CANNOT_UNWRAP to sell PARENT_CANNOT_CONTROL', async () => {
+      await expect(
+        SubnameRegistrar.setListing(
+          parentNode,
+          EMPTY_ADDRESS,
+          [1],
+          PARENT_CANNOT_CONTROL,
+        ),
+      ).to.be.revertedWith('SubnameRegistrar: Parent must burn CANNOT_UNWRAP')
+
+      await NameWrapper.setFuses(parentNode, CANNOT_UNWRAP)
+      await SubnameRegistrar.setListing(
+        parentNode,
+        EMPTY_ADDRESS,
+        [1],
+        PARENT_CANNOT_CONTROL,
+      )
+      expect((await SubnameRegistrar.listing(parentNode)).fuses).to.equal(
+        PARENT_CANNOT_CONTROL,
+      )
+    })
+
+    it('Removes a listing', async () => {
+      await SubnameRegistrar.setListing(parentNode, EMPTY_ADDRESS, [1], 0)
+      await expect(SubnameRegistrar.removeListing(parentNode))
+        .to.emit(SubnameRegistrar, 'ListingRemoved')
+        .withArgs(parentNode)
+
+      expect((await SubnameRegistrar.listing(parentNode)).owner).to.equal(
+        EMPTY_ADDRESS,
+      )
+      await expect(
+        SubnameRegistrar.rentPrice(parentNode, 'abc', DAY),
+      ).to.be.revertedWith('SubnameRegistrar: Name not listed')
+    })
+  })
+
+  describe('register()', () => {
+    beforeEach(async () => {
+      await SubnameRegistrar.setListing(parentNode, EMPTY_ADDRESS, [3, 2, 1], 0)
+    })
+
+    it('Registers a subname and credits the parent owner', async () => {
+      const tx = await buy('sub', DAY, DAY, PublicResolver.address)
+      const block = await ethers.provider.getBlock(tx.blockNumber)
+      await expect(tx)
+        .to.emit(SubnameRegistrar, 'SubnameRegistered')
+        .withArgs(parentNode, 'sub', account2, DAY, block.timestamp + DAY)
+
+      const node = namehash('sub.parent.eth')
+      const [owner, fuses, expiry] = await NameWrapper.getData(node)
+      expect(owner).to.equal(account2)
+      expect(fuses).to.equal(0)
+      expect(expiry).to.equal(block.timestamp + DAY)
+      expect(await EnsRegistry.resolver(node)).to.equal(PublicResolver.address)
+      expect(await SubnameRegistrar.balances(account)).to.equal(DAY)
+      expect(await SubnameRegistrar.available(parentNode, 'sub')).to.equal(
+        false,
+      )
+    })
+
+    it('Refunds surplus ether', async () => {
+      const before = await ethers.provider.getBalance(account2)
+      const tx = await buy('sub', DAY, 10 * DAY)
+      const receipt = await tx.wait()
+
+      const after = await ethers.provider.getBalance(account2)
+      const gas = receipt.gasUsed.mul(receipt.effectiveGasPrice)
+      // buy() also commits, so only the register call is compared.
+      expect(before.sub(after)).to.be.gte(gas.add(DAY))
+      expect(
+        await ethers.provider.getBalance(SubnameRegistrar.address),
+      ).to.equal(DAY)
+    })
+
+    it('Burns the listed fuses', async () => {
+      await NameWrapper.setFuses(parentNode, CANNOT_UNWRAP)
+      await SubnameRegistrar.setListing(
+        parentNode,
+        EMPTY_ADDRESS,
+        [1],
+        PARENT_CANNOT_CONTROL | CANNOT_UNWRAP | CANNOT_TRANSFER,
+      )
+      await buy('locked', DAY, DAY)
+
+      const [, fuses] = await NameWrapper.getData(namehash('locked.parent.eth'))
+      expect(fuses).to.equal(
+        PARENT_CANNOT_CONTROL | CANNOT_UNWRAP | CANNOT_TRANSFER,
+      )
+      await expect(
+        NameWrapper.setSubnodeOwner(
+          parentNode,
+          'locked',
+          account,
+          CAN_DO_EVERYTHING,
+          0,
+        ),
+      ).to.be.reverted
+    })
+
+    it('Caps the expiry and price at the parent expiry', async () => {
+      const duration = 2 * 365 * DAY
+      const tx = await buy('long', duration, duration)
+      const block = await ethers.provider.getBlock(tx.blockNumber)
+
+      const [, , expiry] = await NameWrapper.getData(
+        namehash('long.parent.eth'),
+      )
+      expect(expiry).to.equal(parentExpiry)
+      expect(await SubnameRegistrar.balances(account)).to.equal(
+        parentExpiry.sub(block.timestamp),
+      )
+    })
+
+    it('Reverts if not enough ether is provided', async () => {
+      await expect(buy('sub', DAY, DAY - 1)).to.be.revertedWith(
+        'SubnameRegistrar: Not enough ether provided',
+      )
+    })
+
+    it('Rejects registrations without a commitment', async () => {
+      await expect(
+        SubnameRegistrar2.register(
+          parentNode,
+          'sub',
+          account2,
+          DAY,
+          EMPTY_ADDRESS,
+          SECRET,
+          { value: DAY },
+        ),
+      ).to.be.revertedWith('SubnameRegistrar: Commitment has expired')
+    })
+
+    it('Rejects expired commitments', async () => {
+      await commit('sub', account2, DAY)
+      await evm.advanceTime(MAX_COMMITMENT_AGE)
+
+      await expect(
+        SubnameRegistrar2.register(
+          parentNode,
+          'sub',
+          account2,
+          DAY,
+          EMPTY_ADDRESS,
+          SECRET,
+          { value: DAY },
+        ),
+      ).to.be.revertedWith('SubnameRegistrar: Commitment has expired')
+    })
+
+    it('Does not sell subnames that already exist', async () => {
+      await NameWrapper.setSubnodeOwner(
+        parentNode,
+        'taken',
+        account,
+        CAN_DO_EVERYTHING,
+        0,
+      )
+      expect(await SubnameRegistrar.available(parentNode, 'taken')).to.equal(
+        false,
+      )
+      await expect(buy('taken', DAY, DAY)).to.be.revertedWith(
+        'SubnameRegistrar: Name is unavailable',
+      )
+    })
+
+    it('Sells expired subnames again', async () => {
+      await buy('sub', DAY, DAY)
+      await evm.advanceTime(DAY + 1)
+      await evm.mine()
+      expect(await SubnameRegistrar.available(parentNode, 'sub')).to.equal(true)
+
+      const commitment = await SubnameRegistrar.makeCommitment(
+        parentNode,
+        'sub',
+        account,
+        DAY,
+        EMPTY_ADDRESS,
+        SECRET,
+      )
+      await SubnameRegistrar.commit(commitment)
+      await evm.advanceTime(MIN_COMMITMENT_AGE)
+      await SubnameRegistrar.register(
+        parentNode,
+        'sub',
+        account,
+        DAY,
+        EMPTY_ADDRESS,
+        SECRET,
+        { value: DAY },
+      )
+
+      expect(await NameWrapper.ownerOf(namehash('sub.parent.eth'))).to.equal(
+        account,
+      )
+    })
+
+    it('Stops selling once the parent changes owner', async () => {
+      await NameWrapper.safeTransferFrom(account, account2, parentNode, 1, '0x')
+
+      await expect(buy('sub', DAY, DAY)).to.be.revertedWith(
+        'SubnameRegistrar: Name not listed',
+      )
+    })
+  })
+
+  describe('withdraw()', () => {
+    it('Pays proceeds to the parent owner', async () => {
+      await SubnameRegistrar.setListing(parentNode, EMPTY_ADDRESS, [1], 0)
+      await buy('sub', DAY, DAY)
+
+      await expect(() => SubnameRegistrar.withdraw()).to.changeEtherBalance(
+        signers[0],
+        DAY,
+      )
+      expect(
+        await ethers.provider.getBalance(SubnameRegistrar.address),
+      ).to.equal(0)
+      expect(await SubnameRegistrar.balances(account)).to.equal(0)
+    })
+
+    it('Reverts if there is nothing to withdraw', async () => {
+      await expect(SubnameRegistrar2.withdraw()).to.be.revertedWith(
+        'SubnameRegistrar: Nothing to withdraw',
+      )
+    })
+  })
+})
@@ -70,6 +70,19 @@ const INTERFACES = {
     'ownerOf(uint256)',
     'allFusesBurned(bytes32,uint32)',
   ],
+  IBulkSubnameRegistrar: [
+    'issue(bytes32,(string,address,address,uint32,uint64,bytes[])[])',
+  ],
+  ISubnameRegistrar: [
+    'setListing(bytes32,address,uint256[],uint32)',
+    'removeListing(bytes32)',
+    'rentPrice(bytes32,string,uint256)',
+    'available(bytes32,string)',
+    'makeCommitment(bytes32,string,address,uint256,address,bytes32)',
+    'commit(bytes32)',
+    'register(bytes32,string,address,uint256,address,bytes32)',
+    'withdraw()',
+  ],
 }
 
 const INTERFACE_IDS = {}